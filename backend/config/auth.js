@@ -0,0 +1,23 @@
+/**
+ * Authentication Configuration
+ *
+ * Users log in for a JWT (Authorization: Bearer <token>) or create API keys
+ * for scripts (X-API-Key: <key>). Anonymous requests stay allowed but get a
+ * smaller quota (config/quota.js).
+ */
+
+module.exports = {
+  jwt: {
+    // Must be set in production (index.js refuses to start without it)
+    secret: process.env.JWT_SECRET || 'development-only-jwt-secret',
+    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+  },
+
+  // bcrypt cost factor for password hashes
+  bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 10,
+
+  apiKeys: {
+    prefix: 'nwk_',
+    maxPerUser: 10
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Cache Configuration
+ *
+ * CACHE_BACKEND selects where query results are cached:
+ * - memory: in-process NodeCache (default, per instance, lost on restart)
+ * - redis:  shared Redis server (REDIS_URL)
+ * - mongo:  the application's MongoDB database (MONGODB_URI)
+ */
+
+module.exports = {
+  backend: process.env.CACHE_BACKEND || 'memory',
+
+  // TTL in seconds (default 1 hour)
+  ttl: parseInt(process.env.CACHE_TTL) || 3600,
+
+  // Stale-while-revalidate: seconds an expired result may still be served
+  // while it is refreshed in the background (0 disables)
+  staleTtl: parseInt(process.env.CACHE_STALE_TTL) || 0,
+
+  // Prefix for keys in shared backends, so several apps can share one server
+  prefix: process.env.CACHE_PREFIX || 'nasa-weather:',
+
+  // Raw per-cell daily series (services/seriesCache.js), sliced locally for each query
+  series: {
+    enabled: process.env.SERIES_CACHE !== 'false',
+    ttl: parseInt(process.env.SERIES_CACHE_TTL) || 30 * 24 * 60 * 60 // 30 days
+  },
+
+  redis: {
+    url: process.env.REDIS_URL || 'redis://localhost:6379'
+  }
+};
@@ -16,4 +16,10 @@ const connectDB = async () => {
   }
 };
 
+/**
+ * Whether MongoDB is connected - features that need it check this (tests stub it)
+ */
+const isConnected = () => mongoose.connection.readyState === 1;
+
 module.exports = connectDB;
+module.exports.isConnected = isConnected;
@@ -0,0 +1,30 @@
+const path = require('path');
+
+/**
+ * Gazetteer Configuration
+ *
+ * Place names come from GeoNames dump files (https://download.geonames.org/export/dump/):
+ * a cities extract plus the admin1 and country name tables. The repository
+ * ships a small sample in gazetteer/; `npm run gazetteer:load` copies the
+ * files into MongoDB, otherwise they are searched in memory.
+ */
+
+module.exports = {
+  directory: process.env.GAZETTEER_DIR || path.join(__dirname, '..', 'gazetteer'),
+  files: {
+    cities: process.env.GAZETTEER_CITIES_FILE || 'cities.tsv', // e.g. cities15000.txt
+    admin1: 'admin1CodesASCII.txt',
+    countries: 'countryInfo.txt'
+  },
+
+  // Reverse geocoding only names places this close to a point
+  maxDistanceKm: parseFloat(process.env.GAZETTEER_MAX_DISTANCE_KM) || 50,
+
+  search: {
+    defaultLimit: 10,
+    maxLimit: 50
+  },
+
+  // How long an empty or missing places collection is remembered before checking again
+  databaseCheckMs: 60 * 1000
+};
@@ -4,6 +4,8 @@
  * This file contains endpoints and configuration for NASA Earth observation data sources
  */
 
+const path = require('path');
+
 module.exports = {
   // GES DISC Giovanni API
   giovanni: {
@@ -21,29 +23,85 @@ module.exports = {
   // GES DISC OPeNDAP (Hyrax)
   opendap: {
     baseURL: 'https://goldsmr4.gesdisc.eosdis.nasa.gov/opendap',
+    concurrency: parseInt(process.env.NASA_OPENDAP_CONCURRENCY) || 4,
+    timeout: parseInt(process.env.NASA_OPENDAP_TIMEOUT_MS) || 30000,
     datasets: {
-      // MERRA-2 2-meter Temperature (daily)
-      t2m: '/MERRA2/M2SDNXSLV.5.12.4/',
-      // GPM Precipitation
-      precipitation: '/GPM_L3/GPM_3IMERGDF.06/',
-      // MERRA-2 10-meter Wind Speed
-      wind: '/MERRA2/M2SDNXSLV.5.12.4/',
+      // MERRA-2 daily surface statistics (0.5° x 0.625°)
+      merra2: {
+        name: 'MERRA-2 M2SDNXSLV',
+        baseURL: process.env.MERRA2_OPENDAP_URL || 'https://goldsmr4.gesdisc.eosdis.nasa.gov/opendap',
+        path: '/MERRA2/M2SDNXSLV.5.12.4/',
+        // MERRA-2 file stream number depends on the production period
+        granule: (year, month, day) => {
+          const stream = year < 1992 ? 100 : year < 2001 ? 200 : year < 2011 ? 300 : 400;
+          return `${year}/${month}/MERRA2_${stream}.statD_2d_slv_Nx.${year}${month}${day}.nc4`;
+        },
+        dimensions: ['time', 'lat', 'lon'],
+        grid: { latStart: -90, latStep: 0.5, latCount: 361, lonStart: -180, lonStep: 0.625, lonCount: 576 },
+        fillValue: 1e15,
+      },
+      // GPM IMERG final run daily precipitation (0.1° x 0.1°)
+      imerg: {
+        name: 'GPM IMERG GPM_3IMERGDF',
+        baseURL: process.env.IMERG_OPENDAP_URL || 'https://gpm1.gesdisc.eosdis.nasa.gov/opendap',
+        path: '/GPM_L3/GPM_3IMERGDF.06/',
+        granule: (year, month, day) => `${year}/${month}/3B-DAY.MS.MRG.3IMERG.${year}${month}${day}-S000000-E235959.V06.nc4`,
+        dimensions: ['time', 'lon', 'lat'],
+        grid: { latStart: -89.95, latStep: 0.1, latCount: 1800, lonStart: -179.95, lonStep: 0.1, lonCount: 3600 },
+        fillValue: -9999.9,
+        // IMERG starts in June 2000
+        firstYear: 2000,
+      },
     }
   },
 
+  // Local archive of pre-downloaded NetCDF-4/HDF5 granules (services/netcdfArchive.js)
+  // Indexed by `npm run archive:index`, read without any network access
+  netcdfArchive: {
+    directory: process.env.NETCDF_ARCHIVE_DIR || path.join(__dirname, '..', 'archive', 'netcdf'),
+    indexFile: 'index.json',
+    extensions: ['.nc4', '.nc', '.h5', '.hdf5', '.HDF5'],
+    concurrency: parseInt(process.env.NETCDF_ARCHIVE_CONCURRENCY) || 2,
+  },
+
+  // Outbound HTTP policy for all NASA requests (services/httpClient.js)
+  http: {
+    timeout: parseInt(process.env.NASA_HTTP_TIMEOUT_MS) || 30000,
+    retries: parseInt(process.env.NASA_HTTP_RETRIES ?? 3),
+    // Exponential backoff with full jitter: random(0, min(max, base * 2^attempt))
+    backoffBaseMs: parseInt(process.env.NASA_HTTP_BACKOFF_MS) || 500,
+    backoffMaxMs: 10000,
+    // Longest Retry-After we are willing to wait before retrying
+    maxRetryAfterMs: 30000,
+    // Simultaneous requests per host, across all queries
+    hostConcurrency: parseInt(process.env.NASA_HTTP_HOST_CONCURRENCY) || 8,
+    // Consecutive failed requests that open a host's circuit, and how long it stays open
+    breakerThreshold: parseInt(process.env.NASA_HTTP_BREAKER_THRESHOLD) || 5,
+    breakerResetMs: parseInt(process.env.NASA_HTTP_BREAKER_RESET_MS) || 30000
+  },
+
   // Earthdata Search
   earthdata: {
     baseURL: 'https://cmr.earthdata.nasa.gov/search',
+    // Earthdata Login (URS) - protected data servers redirect here (services/earthdataAuth.js)
+    ursURL: process.env.EARTHDATA_URS_URL || 'https://urs.earthdata.nasa.gov',
     auth: {
       username: process.env.NASA_EARTHDATA_USERNAME,
       password: process.env.NASA_EARTHDATA_PASSWORD,
-    }
+      // EDL bearer token, used instead of the cookie flow when set
+      token: process.env.NASA_EARTHDATA_TOKEN,
+    },
+    // Optional file to persist session cookies across restarts
+    cookieFile: process.env.EARTHDATA_COOKIE_FILE || null,
+    maxRedirects: 10
   },
 
   // Variable Definitions (for mapping user requests to dataset variables)
   variables: {
     temperature: {
       code: 't2m',
+      dataset: 'merra2',
+      field: 'T2MMEAN',
       units: 'K',
       displayUnits: '°C',
       description: '2-meter air temperature',
@@ -51,6 +109,8 @@ module.exports = {
     },
     precipitation: {
       code: 'precip',
+      dataset: 'imerg',
+      field: 'precipitationCal',
       units: 'mm/day',
       displayUnits: 'mm/day',
       description: 'Daily precipitation',
@@ -79,10 +139,63 @@ module.exports = {
     }
   },
 
+  // Derived Variables (computed in services/processor.js from aligned daily input series)
+  derivedVariables: {
+    heatindex: {
+      inputs: ['temperature', 'humidity'],
+      displayUnits: '°C',
+      description: 'Heat index ("feels like" temperature from heat and humidity)',
+      formula: 'NWS heat index: Rothfusz regression on T (°F) and RH (%) with low/high humidity adjustments; '
+        + 'Steadman simple formula when the result is below 80 °F',
+    },
+    windchill: {
+      inputs: ['temperature', 'windspeed'],
+      displayUnits: '°C',
+      description: 'Wind chill ("feels like" temperature from cold and wind)',
+      formula: 'WC = 13.12 + 0.6215·T − 11.37·V^0.16 + 0.3965·T·V^0.16 (T in °C, V in km/h); '
+        + 'equals air temperature when T > 10 °C or V ≤ 4.8 km/h',
+    },
+    apparenttemp: {
+      inputs: ['temperature', 'humidity', 'windspeed'],
+      displayUnits: '°C',
+      description: 'Apparent temperature (Steadman, shade)',
+      formula: 'AT = T + 0.33·e − 0.70·v − 4.00, e = RH/100 · 6.105 · exp(17.27·T / (237.7 + T)) '
+        + '(T in °C, v in m/s, e in hPa)',
+    },
+    uncomfortable: {
+      inputs: ['temperature', 'humidity', 'windspeed'],
+      displayUnits: 'flag (0/1)',
+      description: 'Very uncomfortable day: dangerous heat or frostbite-risk cold',
+      formula: '1 when heat index ≥ 40.6 °C (105 °F) or wind chill ≤ −27 °C, otherwise 0',
+    }
+  },
+
   // Default Query Parameters
   defaults: {
     startYear: 1980,
     endYear: 2023,
     window: 7, // ±7 days around target day-of-year
+    maxSpanDays: 31, // Longest dateRange of a multi-day event query
+  },
+
+  // Elevation correction of temperature (services/elevation.js)
+  elevation: {
+    // Coarse global tiles ship in dem/; `npm run dem:build` writes finer ones
+    directory: process.env.DEM_DIR || path.join(__dirname, '..', 'dem'),
+    // Standard atmosphere lapse rate, °C per km
+    lapseRate: 6.5,
+  },
+
+  // Area queries (POST /query/area)
+  area: {
+    maxCells: parseInt(process.env.AREA_MAX_CELLS) || 50,
+    maxSpanDegrees: 10,
+    // Grid used for sources without a native grid (mock, composite derived variables)
+    defaultGrid: {
+      latStart: -90,
+      latStep: 0.5,
+      lonStart: -180,
+      lonStep: 0.625
+    }
   }
 };
@@ -0,0 +1,43 @@
+const cacheConfig = require('./cache');
+
+/**
+ * Quota Configuration
+ *
+ * Every /api request is charged in quota units against the caller's daily and
+ * monthly budgets (UTC calendar day and month): cached results and metadata
+ * are cheap, queries computed from provider data are expensive. A burst
+ * window additionally caps the number of requests.
+ *
+ * Budgets belong to the API key for X-API-Key requests, to the user for JWTs
+ * and to the client IP otherwise. QUOTA_BACKEND selects where counters live
+ * (defaults to CACHE_BACKEND): memory (per instance), redis or mongo.
+ */
+
+module.exports = {
+  backend: process.env.QUOTA_BACKEND || cacheConfig.backend,
+  prefix: `${cacheConfig.prefix}quota:`,
+  redis: cacheConfig.redis,
+
+  // Cost of a request in quota units
+  costs: {
+    request: 1, // any request, cached results included
+    query: parseInt(process.env.QUOTA_COST_QUERY) || 10, // point or multi-variable query computed from provider data
+    area: parseInt(process.env.QUOTA_COST_AREA) || 50 // area query computed from provider data
+  },
+
+  burstWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+
+  // burst in requests per window, daily and monthly in quota units
+  tiers: {
+    anonymous: {
+      burst: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+      daily: parseInt(process.env.QUOTA_DAILY) || 1000,
+      monthly: parseInt(process.env.QUOTA_MONTHLY) || 10000
+    },
+    authenticated: {
+      burst: parseInt(process.env.RATE_LIMIT_AUTH_MAX_REQUESTS) || 1000,
+      daily: parseInt(process.env.QUOTA_AUTH_DAILY) || 20000,
+      monthly: parseInt(process.env.QUOTA_AUTH_MONTHLY) || 400000
+    }
+  }
+};
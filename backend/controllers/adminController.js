@@ -0,0 +1,154 @@
+const cache = require('../services/cache');
+const seriesCache = require('../services/seriesCache');
+const csvWriter = require('../utils/csvWriter');
+const SavedQuery = require('../models/SavedQuery');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Admin Controller
+ *
+ * Cache, export and history maintenance. Every route runs behind
+ * authorize('admin') and audit() (routes/admin.js); handlers put a short
+ * summary of what they did in res.locals.auditResult for the audit log.
+ */
+
+// Cache tier of a request: query results or raw per-cell series
+const cacheTier = tier => (tier === 'series' ? seriesCache : cache);
+
+class AdminController {
+  /**
+   * Clear both cache tiers - DELETE /api/v1/admin/cache (also DELETE /api/v1/weather/cache)
+   */
+  async flushCache(req, res, next) {
+    try {
+      await Promise.all([cache.flush(), seriesCache.flush()]);
+      res.json({
+        success: true,
+        message: 'Cache cleared successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Inspect cache keys - GET /api/v1/admin/cache/keys?pattern=query:*&tier=results&limit=100
+   */
+  async listCacheKeys(req, res, next) {
+    try {
+      const { pattern, tier, limit } = req.validatedData;
+      const keys = await cacheTier(tier).keys(pattern);
+
+      res.locals.auditResult = { total: keys.length };
+      res.json({
+        success: true,
+        tier,
+        pattern,
+        total: keys.length,
+        keys: keys.slice(0, limit)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Evict cache keys by pattern - DELETE /api/v1/admin/cache/keys?pattern=query:40.7*&tier=results
+   */
+  async evictCacheKeys(req, res, next) {
+    try {
+      const { pattern, tier } = req.validatedData;
+      const deleted = await cacheTier(tier).deleteMatching(pattern);
+
+      res.locals.auditResult = { deleted };
+      res.json({
+        success: true,
+        tier,
+        pattern,
+        deleted
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete old CSV exports - DELETE /api/v1/admin/exports?olderThanHours=24
+   */
+  async cleanupExports(req, res, next) {
+    try {
+      const result = csvWriter.cleanupOldFiles(req.validatedData.olderThanHours * 60 * 60 * 1000);
+
+      res.locals.auditResult = result;
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Purge saved query history - DELETE /api/v1/admin/history?olderThanDays=30&userId=...
+   * One of olderThanDays, userId or all=true is required
+   */
+  async purgeHistory(req, res, next) {
+    try {
+      const { olderThanDays, userId } = req.validatedData;
+      const filter = {};
+      if (olderThanDays !== undefined) {
+        filter.createdAt = { $lt: new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000) };
+      }
+      if (userId) {
+        filter.userId = userId;
+      }
+
+      const { deletedCount } = await SavedQuery.deleteMany(filter);
+      console.log(`🧹 Purged ${deletedCount} saved queries`);
+
+      res.locals.auditResult = { deleted: deletedCount };
+      res.json({
+        success: true,
+        deleted: deletedCount
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Read the audit log - GET /api/v1/admin/audit-log?page=1&limit=20&action=cache.flush&userId=...
+   */
+  async getAuditLog(req, res, next) {
+    try {
+      const { page, limit, action, userId } = req.validatedData;
+      const filter = {};
+      if (action) filter.action = action;
+      if (userId) filter.userId = userId;
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditLog.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AdminController();
@@ -0,0 +1,103 @@
+const authService = require('../services/authService');
+
+/**
+ * Auth Controller
+ *
+ * Accounts, logins and API keys
+ */
+
+class AuthController {
+  /**
+   * Register - POST /api/v1/auth/register
+   */
+  async register(req, res, next) {
+    try {
+      const { user, token } = await authService.register(req.validatedData);
+      res.status(201).json({
+        success: true,
+        user: user.toPublicJSON(),
+        token
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Log in - POST /api/v1/auth/login
+   */
+  async login(req, res, next) {
+    try {
+      const { email, password } = req.validatedData;
+      const { user, token } = await authService.login(email, password);
+      res.json({
+        success: true,
+        user: user.toPublicJSON(),
+        token
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Current user - GET /api/v1/auth/me
+   */
+  async me(req, res, next) {
+    try {
+      const user = await authService.getUser(req.user.id);
+      res.json({
+        success: true,
+        user: user.toPublicJSON(),
+        authMethod: req.user.authMethod
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List API keys - GET /api/v1/auth/api-keys
+   */
+  async listApiKeys(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        apiKeys: await authService.listApiKeys(req.user.id)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create an API key - POST /api/v1/auth/api-keys
+   * The key is only ever returned in this response
+   */
+  async createApiKey(req, res, next) {
+    try {
+      const { apiKey, key } = await authService.createApiKey(req.user.id, req.validatedData.name);
+      res.status(201).json({
+        success: true,
+        apiKey,
+        key
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke an API key - DELETE /api/v1/auth/api-keys/:id
+   */
+  async revokeApiKey(req, res, next) {
+    try {
+      await authService.revokeApiKey(req.user.id, req.params.id);
+      res.json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AuthController();
@@ -0,0 +1,86 @@
+const planService = require('../services/planService');
+
+/**
+ * Saved Location Controller
+ *
+ * The caller's favorite locations (authenticated)
+ */
+
+class LocationController {
+  /**
+   * List saved locations - GET /api/v1/locations
+   */
+  async list(req, res, next) {
+    try {
+      const locations = await planService.listLocations(req.user.id);
+      res.json({
+        success: true,
+        locations: locations.map(location => location.toPublicJSON())
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Save a location - POST /api/v1/locations
+   */
+  async create(req, res, next) {
+    try {
+      const location = await planService.createLocation(req.user.id, req.validatedData);
+      res.status(201).json({
+        success: true,
+        location: location.toPublicJSON()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a saved location - GET /api/v1/locations/:id
+   */
+  async get(req, res, next) {
+    try {
+      const location = await planService.getLocation(req.user.id, req.params.id);
+      res.json({
+        success: true,
+        location: location.toPublicJSON()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace a saved location - PUT /api/v1/locations/:id
+   */
+  async update(req, res, next) {
+    try {
+      const location = await planService.updateLocation(req.user.id, req.params.id, req.validatedData);
+      res.json({
+        success: true,
+        location: location.toPublicJSON()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a saved location - DELETE /api/v1/locations/:id
+   */
+  async remove(req, res, next) {
+    try {
+      await planService.deleteLocation(req.user.id, req.params.id);
+      res.json({
+        success: true,
+        message: 'Saved location deleted'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new LocationController();
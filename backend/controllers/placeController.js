@@ -0,0 +1,54 @@
+const gazetteer = require('../services/gazetteer');
+
+/**
+ * Place Controller
+ *
+ * Place-name search and reverse geocoding against the offline gazetteer
+ */
+
+class PlaceController {
+  /**
+   * Search places - GET /api/v1/places/search?q=Paris, TX&limit=10&country=US
+   */
+  async search(req, res, next) {
+    try {
+      const { q, limit, country } = req.validatedData;
+      const results = await gazetteer.search(q, { limit, country });
+
+      res.json({
+        success: true,
+        query: q,
+        total: results.length,
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Nearest named place - GET /api/v1/places/reverse?lat=39.74&lon=-104.99
+   */
+  async reverse(req, res, next) {
+    try {
+      const { lat, lon } = req.validatedData;
+      const place = await gazetteer.reverse(lat, lon);
+
+      if (!place) {
+        return res.status(404).json({
+          success: false,
+          message: `No place within ${gazetteer.options.maxDistanceKm} km of ${lat}, ${lon}`
+        });
+      }
+
+      res.json({
+        success: true,
+        place
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new PlaceController();
@@ -0,0 +1,109 @@
+const planService = require('../services/planService');
+
+/**
+ * Event Plan Controller
+ *
+ * The caller's named event plans and their re-runs (authenticated)
+ */
+
+class PlanController {
+  /**
+   * List event plans - GET /api/v1/plans
+   */
+  async list(req, res, next) {
+    try {
+      const plans = await planService.listPlans(req.user.id);
+      res.json({
+        success: true,
+        plans: plans.map(plan => plan.toPublicJSON())
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create an event plan - POST /api/v1/plans
+   */
+  async create(req, res, next) {
+    try {
+      const plan = await planService.createPlan(req.user.id, req.validatedData);
+      res.status(201).json({
+        success: true,
+        plan: plan.toPublicJSON()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get an event plan - GET /api/v1/plans/:id
+   */
+  async get(req, res, next) {
+    try {
+      const plan = await planService.getPlan(req.user.id, req.params.id);
+      res.json({
+        success: true,
+        plan: plan.toPublicJSON()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace an event plan - PUT /api/v1/plans/:id
+   */
+  async update(req, res, next) {
+    try {
+      const plan = await planService.updatePlan(req.user.id, req.params.id, req.validatedData);
+      res.json({
+        success: true,
+        plan: plan.toPublicJSON()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete an event plan - DELETE /api/v1/plans/:id
+   */
+  async remove(req, res, next) {
+    try {
+      await planService.deletePlan(req.user.id, req.params.id);
+      res.json({
+        success: true,
+        message: 'Event plan deleted'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Re-run a plan with current data - POST /api/v1/plans/:id/run
+   * Reports the change of each threshold's probability since the last run
+   */
+  async run(req, res, next) {
+    try {
+      const { plan, run, changes, computed } = await planService.runPlan(req.user.id, req.params.id);
+
+      // Each query computed from provider data is charged (middleware/quota.js)
+      res.locals.cached = computed === 0;
+      res.locals.quotaQueries = computed;
+
+      res.json({
+        success: true,
+        plan: { id: plan.id, name: plan.name },
+        run,
+        changes
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new PlanController();
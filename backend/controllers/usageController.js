@@ -0,0 +1,40 @@
+const quota = require('../services/quota');
+
+/**
+ * Usage Controller
+ *
+ * Quota consumption of the caller: the API key for X-API-Key requests, the
+ * account for JWTs, the client IP otherwise.
+ */
+
+class UsageController {
+  /**
+   * Get usage - GET /api/v1/usage
+   */
+  async getUsage(req, res, next) {
+    try {
+      const principal = quota.principal(req);
+      const tier = quota.tier(req);
+      const windows = await quota.usage(principal, tier);
+
+      res.json({
+        success: true,
+        principal,
+        tier,
+        costs: quota.config.costs,
+        windows: windows.map(({ name, unit, limit, used, remaining, resetAt }) => ({
+          name,
+          unit,
+          limit,
+          used,
+          remaining,
+          resetAt
+        }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new UsageController();
@@ -1,8 +1,12 @@
 const dataFetcher = require('../services/dataFetcher');
 const processor = require('../services/processor');
 const cache = require('../services/cache');
-const csvWriter = require('../utils/csvWriter');
+const seriesCache = require('../services/seriesCache');
+const gazetteer = require('../services/gazetteer');
+const queryService = require('../services/queryService');
+const jobQueue = require('../services/jobQueue');
 const nasaConfig = require('../config/nasa');
+const geo = require('../utils/geo');
 const SavedQuery = require('../models/SavedQuery');
 
 /**
@@ -15,124 +19,242 @@ class WeatherController {
   /**
    * Main query endpoint - POST /api/v1/weather/query
    * Fetches historical data and computes statistics
+   * With ?async=true the query is queued and a job id is returned (202)
    */
   async query(req, res, next) {
     try {
       const params = req.validatedData;
-      
-      console.log('🔍 Processing weather query:', {
-        lat: params.lat,
-        lon: params.lon,
-        variable: params.variable,
-        dayOfYear: params.dayOfYear
-      });
 
-      // Generate cache key
-      const cacheKey = cache.generateKey(params);
+      if (req.query.async === 'true') {
+        // Fail invalid sources now rather than inside the job
+        dataFetcher.resolveProvider(params.variable, params.yearRange, params.source);
 
-      // Check cache first
-      const cachedResult = cache.get(cacheKey);
-      if (cachedResult) {
-        return res.json({
+        const job = await jobQueue.enqueue('query', params, req.user ? req.user.id : null);
+        return res.status(202).json({
           success: true,
-          cached: true,
-          ...cachedResult
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `${req.baseUrl}/jobs/${job.id}`
         });
       }
 
-      // Fetch data from NASA sources
-      const timeseries = await dataFetcher.fetchPointTimeSeries(
-        params.lat,
-        params.lon,
-        params.variable,
-        params.dayOfYear,
-        params.window,
-        params.yearRange
-      );
-
-      if (!timeseries || timeseries.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'No data available for the specified location and time period'
-        });
-      }
+      const { result } = await queryService.run(params, { userId: req.user ? req.user.id : null });
+      res.locals.cached = Boolean(result.cached); // Cheaper for the quota
+      res.json(result);
 
-      // Compute statistics
-      const stats = processor.computeStats(timeseries, params.threshold);
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Assess data quality
-      const quality = processor.assessDataQuality(timeseries);
+  /**
+   * Job status - GET /api/v1/weather/jobs/:id
+   * Includes the query result once the job has completed
+   */
+  async getJob(req, res, next) {
+    try {
+      const job = await jobQueue.getJob(req.params.id, req.user ? req.user.id : null);
+      const response = {
+        success: true,
+        job: jobQueue.describe(job)
+      };
 
-      // Analyze trend (optional)
-      const trend = processor.analyzeTrend(timeseries);
+      if (job.status === 'completed') {
+        const result = await jobQueue.getResult(job);
+        if (!result) {
+          return res.status(410).json({
+            success: false,
+            message: 'Job result has expired',
+            job: response.job
+          });
+        }
+        response.result = result;
+      }
 
-      // Generate summary text
-      const summary = processor.generateSummary(
-        stats,
-        params.variable,
-        params.threshold
-      );
+      res.json(response);
 
-      // Get variable metadata
-      const varConfig = nasaConfig.variables[params.variable];
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Build metadata
-      const meta = {
-        variable: params.variable,
-        units: varConfig.displayUnits,
+  /**
+   * Multi-variable query - POST /api/v1/weather/query/multi
+   * Joint and conditional probabilities of several variable/threshold conditions
+   */
+  async queryMulti(req, res, next) {
+    try {
+      const params = req.validatedData;
+      const variables = [...new Set(params.conditions.map(c => c.variable))];
+
+      console.log('🔍 Processing multi-variable query:', {
         lat: params.lat,
         lon: params.lon,
-        locationName: params.locationName || `${params.lat}, ${params.lon}`,
-        dayOfYear: params.dayOfYear,
-        window: params.window,
-        yearRange: params.yearRange,
-        dataSource: 'NASA GES DISC / Giovanni',
-        queryDate: new Date().toISOString(),
-        quality
-      };
+        variables,
+        logic: params.logic,
+        dayOfYear: params.dayOfYear
+      });
+
+      // Resolve providers up front so invalid sources fail before fetching
+      const providersByVariable = {};
+      const providerIds = {};
+      variables.forEach(variable => {
+        providersByVariable[variable] = dataFetcher.resolveProvider(variable, params.yearRange, params.source);
+        providerIds[variable] = providersByVariable[variable].id;
+      });
 
-      // Generate CSV export
-      const csvFilename = await csvWriter.generateCSV(timeseries, meta, stats);
-      const downloadUrl = csvWriter.getPublicURL(csvFilename);
+      const cacheKey = cache.generateMultiKey({ ...params, providers: providerIds });
+      const cached = await cache.wrap(cacheKey, async () => {
+        const seriesList = await dataFetcher.fetchMultipleVariables(
+          params.lat,
+          params.lon,
+          variables,
+          params.dayOfYear,
+          params.window,
+          params.yearRange,
+          { source: params.source, interpolation: params.interpolation, alignment: params.alignment, date: params.date }
+        );
+
+        const seriesByVariable = {};
+        const variableResults = {};
+        variables.forEach((variable, i) => {
+          const timeseries = seriesList[i];
+          seriesByVariable[variable] = timeseries;
+          variableResults[variable] = {
+            units: dataFetcher.getVariableConfig(variable).displayUnits,
+            dataSource: providersByVariable[variable].name,
+            // Variables of different datasets sit on different grids
+            spatial: dataFetcher.describeSpatial(providersByVariable[variable], params.lat, params.lon, params.interpolation),
+            stats: processor.computeStats(timeseries),
+            quality: processor.assessDataQuality(timeseries)
+          };
+        });
 
-      // Build response
-      const result = {
-        success: true,
-        meta,
-        stats,
-        trend,
-        summary,
-        distribution: stats.distribution,
-        timeseries: timeseries.slice(0, 100), // Limit to 100 points in response (full data in CSV)
-        downloadUrl,
-        cached: false
-      };
+        const joint = processor.computeJointProbability(seriesByVariable, params.conditions, params.logic);
 
-      // Cache the result
-      cache.set(cacheKey, result);
-
-      // Optionally save to database for history
-      if (process.env.NODE_ENV !== 'development') {
-        try {
-          const savedQuery = new SavedQuery({
-            latitude: params.lat,
-            longitude: params.lon,
-            dayOfYear: params.dayOfYear,
-            variable: params.variable,
-            threshold: params.threshold,
-            window: params.window,
-            yearRange: params.yearRange,
-            locationName: params.locationName,
-            results: result
-          });
-          await savedQuery.save();
-        } catch (dbError) {
-          console.warn('⚠️  Failed to save query to database:', dbError.message);
-          // Don't fail the request if DB save fails
+        if (joint.alignedDays === 0) {
+          const error = new Error('No overlapping data available for the requested variables');
+          error.statusCode = 404;
+          throw error;
         }
-      }
 
-      res.json(result);
+        const place = await gazetteer.describePoint(params.lat, params.lon);
+        const meta = {
+          lat: params.lat,
+          lon: params.lon,
+          locationName: params.locationName || (place ? place.displayName : `${params.lat}, ${params.lon}`),
+          place: place || undefined,
+          dayOfYear: params.dayOfYear,
+          alignment: params.alignment,
+          window: params.window,
+          yearRange: params.yearRange,
+          logic: params.logic,
+          conditions: params.conditions,
+          interpolation: params.interpolation,
+          queryDate: new Date().toISOString()
+        };
+
+        return {
+          success: true,
+          meta,
+          variables: variableResults,
+          probabilities: joint,
+          summary: processor.generateJointSummary(joint),
+          cached: false
+        };
+      });
+
+      const body = cache.annotate(cached);
+      res.locals.cached = Boolean(body.cached);
+      res.json(body);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Area query - POST /api/v1/weather/query/area
+   * Aggregates every grid cell inside a bbox or polygon
+   */
+  async queryArea(req, res, next) {
+    try {
+      const params = req.validatedData;
+
+      const provider = dataFetcher.resolveProvider(params.variable, params.yearRange, params.source);
+      const grid = dataFetcher.getGrid(provider);
+      const cells = geo.gridCellsInPolygon(params.polygon, grid, nasaConfig.area.maxCells);
+
+      console.log('🗺️  Processing area query:', {
+        variable: params.variable,
+        cells: cells.length,
+        dayOfYear: params.dayOfYear
+      });
+
+      const cacheKey = cache.generateAreaKey({ ...params, source: provider.id });
+      const cached = await cache.wrap(cacheKey, async () => {
+        const cellSeries = await dataFetcher.fetchAreaTimeSeries(
+          cells,
+          params.variable,
+          params.dayOfYear,
+          params.window,
+          params.yearRange,
+          { source: params.source, alignment: params.alignment, date: params.date }
+        );
+
+        const area = processor.computeAreaStats(cellSeries, params.threshold);
+
+        if (area.areaMean.length === 0) {
+          const error = new Error('No data available for the specified area and time period');
+          error.statusCode = 404;
+          throw error;
+        }
+
+        const varConfig = dataFetcher.getVariableConfig(params.variable);
+
+        // Per-cell exceedance grid for map rendering
+        const exceedanceGrid = {
+          type: 'FeatureCollection',
+          features: area.cells.map(cell => ({
+            type: 'Feature',
+            geometry: geo.cellPolygon(cell, grid),
+            properties: cell
+          }))
+        };
+
+        const meta = {
+          variable: params.variable,
+          units: varConfig.displayUnits,
+          area: params.polygon,
+          bbox: geo.polygonBounds(params.polygon),
+          cellCount: cells.length,
+          resolution: { lat: grid.latStep, lon: grid.lonStep },
+          locationName: params.locationName || 'Custom area',
+          dayOfYear: params.dayOfYear,
+          alignment: params.alignment,
+          window: params.window,
+          yearRange: params.yearRange,
+          dataSource: provider.name,
+          source: provider.id,
+          queryDate: new Date().toISOString(),
+          quality: processor.assessDataQuality(area.areaMean)
+        };
+
+        return {
+          success: true,
+          meta,
+          stats: area.stats,
+          anyCell: area.anyCell,
+          summary: processor.generateAreaSummary(area, params.variable, params.threshold),
+          grid: exceedanceGrid,
+          timeseries: area.areaMean.slice(0, 100),
+          cached: false
+        };
+      });
+
+      const body = cache.annotate(cached);
+      res.locals.cached = Boolean(body.cached);
+      res.json(body);
 
     } catch (error) {
       next(error);
@@ -171,7 +293,7 @@ class WeatherController {
   }
 
   /**
-   * Get saved queries - GET /api/v1/weather/history
+   * Get the caller's saved queries - GET /api/v1/weather/history
    */
   async getHistory(req, res, next) {
     try {
@@ -179,13 +301,14 @@ class WeatherController {
       const page = parseInt(req.query.page) || 1;
       const skip = (page - 1) * limit;
 
-      const queries = await SavedQuery.find()
+      const filter = { userId: req.user.id };
+      const queries = await SavedQuery.find(filter)
         .sort({ createdAt: -1 })
         .limit(limit)
         .skip(skip)
         .select('-results'); // Don't return full results, just metadata
 
-      const total = await SavedQuery.countDocuments();
+      const total = await SavedQuery.countDocuments(filter);
 
       res.json({
         success: true,
@@ -206,22 +329,28 @@ class WeatherController {
   /**
    * Get cache statistics - GET /api/v1/weather/cache-stats
    */
-  getCacheStats(req, res) {
-    const stats = cache.getStats();
-    res.json({
-      success: true,
-      cache: stats
-    });
+  async getCacheStats(req, res, next) {
+    try {
+      const [stats, series] = await Promise.all([cache.getStats(), seriesCache.getStats()]);
+      res.json({
+        success: true,
+        cache: stats,
+        seriesCache: series
+      });
+    } catch (error) {
+      next(error);
+    }
   }
 
   /**
-   * Clear cache - DELETE /api/v1/weather/cache
+   * Get registered data sources - GET /api/v1/weather/sources
    */
-  clearCache(req, res) {
-    cache.flush();
+  getSources(req, res) {
+    const sources = dataFetcher.providers.list().map(provider => provider.describe());
+
     res.json({
       success: true,
-      message: 'Cache cleared successfully'
+      sources
     });
   }
 
@@ -233,9 +362,21 @@ class WeatherController {
       name: key,
       code: config.code,
       units: config.displayUnits,
-      description: config.description
+      description: config.description,
+      derived: false
     }));
 
+    Object.entries(nasaConfig.derivedVariables).forEach(([key, config]) => {
+      variables.push({
+        name: key,
+        units: config.displayUnits,
+        description: config.description,
+        derived: true,
+        inputs: config.inputs,
+        formula: config.formula
+      });
+    });
+
     res.json({
       success: true,
       variables
@@ -1,18 +1,45 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const connectDB = require('./config/db');
 const weatherRoutes = require('./routes/weather');
+const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
+const usageRoutes = require('./routes/usage');
+const locationRoutes = require('./routes/locations');
+const planRoutes = require('./routes/plans');
+const placeRoutes = require('./routes/places');
 const errorHandler = require('./middleware/errorHandler');
+const { authenticate } = require('./middleware/auth');
+const { createQuotaLimiter } = require('./middleware/quota');
+const jobQueue = require('./services/jobQueue');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Connect to MongoDB
-connectDB();
+// Tokens signed with the development secret could be forged by anyone
+if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+  console.error('❌ JWT_SECRET must be set in production');
+  process.exit(1);
+}
+
+// Connect to MongoDB, then start the background job workers (they need the DB)
+connectDB().then(() => {
+  if (connectDB.isConnected()) {
+    jobQueue.start();
+  }
+});
+
+// Behind a reverse proxy or load balancer, take the client IP from X-Forwarded-For:
+// TRUST_PROXY=1 (number of proxy hops), true, or trusted addresses/subnets
+const trustProxy = process.env.TRUST_PROXY;
+if (/^\d+$/.test(trustProxy)) {
+  app.set('trust proxy', Number(trustProxy));
+} else if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', trustProxy === 'true' || trustProxy);
+}
 
 // Security Middleware
 app.use(helmet());
@@ -23,13 +50,11 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate Limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: 'Too many requests from this IP, please try again later.'
-});
-app.use('/api/', limiter);
+// Authentication (optional: attaches req.user from a JWT or API key)
+app.use('/api/', authenticate);
+
+// Quotas - cost-aware burst, daily and monthly limits per API key, user or IP
+app.use('/api/', createQuotaLimiter());
 
 // Body Parser Middleware
 app.use(express.json());
@@ -47,6 +72,12 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use(`/api/${process.env.API_VERSION || 'v1'}/weather`, weatherRoutes);
+app.use(`/api/${process.env.API_VERSION || 'v1'}/auth`, authRoutes);
+app.use(`/api/${process.env.API_VERSION || 'v1'}/admin`, adminRoutes);
+app.use(`/api/${process.env.API_VERSION || 'v1'}/usage`, usageRoutes);
+app.use(`/api/${process.env.API_VERSION || 'v1'}/locations`, locationRoutes);
+app.use(`/api/${process.env.API_VERSION || 'v1'}/plans`, planRoutes);
+app.use(`/api/${process.env.API_VERSION || 'v1'}/places`, placeRoutes);
 
 // 404 Handler
 app.use((req, res) => {
@@ -0,0 +1,43 @@
+const db = require('../config/db');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Audit Middleware
+ *
+ * audit(action) records an admin action in the AuditLog collection once its
+ * response is sent: who (req.user), what (action, parameters, status and the
+ * summary a controller puts in res.locals.auditResult) and when. Without a
+ * database the action is refused with 503, so no admin action goes unrecorded.
+ * Must run after authorize().
+ */
+
+const audit = (action) => (req, res, next) => {
+  if (!db.isConnected()) {
+    const error = new Error('Admin actions are unavailable: the audit log needs a database connection');
+    error.statusCode = 503;
+    return next(error);
+  }
+
+  res.on('finish', () => {
+    AuditLog.create({
+      userId: req.user.id,
+      email: req.user.email,
+      authMethod: req.user.authMethod,
+      ip: req.ip,
+      action,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      params: { ...req.params, ...req.query },
+      statusCode: res.statusCode,
+      outcome: res.statusCode < 400 ? 'success' : 'failure',
+      result: res.locals.auditResult
+    }).then(
+      () => console.log(`📝 Audit: ${req.user.email} ${action} (${res.statusCode})`),
+      error => console.error(`❌ Audit log write failed for ${action}:`, error.message)
+    );
+  });
+
+  next();
+};
+
+module.exports = audit;
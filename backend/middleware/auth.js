@@ -0,0 +1,63 @@
+const authService = require('../services/authService');
+
+/**
+ * Authentication Middleware
+ *
+ * authenticate: attaches req.user from `Authorization: Bearer <jwt>` or
+ *               `X-API-Key: <key>`; requests without credentials pass as
+ *               anonymous, invalid credentials get 401
+ * requireAuth:  rejects anonymous requests with 401
+ * authorize:    also rejects users without one of the given roles with 403,
+ *               checking the account's current role rather than the token's
+ */
+
+const authenticate = async (req, res, next) => {
+  try {
+    const header = req.get('Authorization');
+    const apiKey = req.get('X-API-Key');
+
+    if (header && header.startsWith('Bearer ')) {
+      req.user = authService.verifyToken(header.slice('Bearer '.length).trim());
+    } else if (apiKey) {
+      req.user = await authService.verifyApiKey(apiKey.trim());
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    const error = new Error('Authentication required: log in for a token or use an API key');
+    error.statusCode = 401;
+    return next(error);
+  }
+  next();
+};
+
+const authorize = (...roles) => (req, res, next) => {
+  requireAuth(req, res, async error => {
+    if (error) return next(error);
+
+    try {
+      req.user.role = await authService.currentRole(req.user);
+    } catch (roleError) {
+      return next(roleError);
+    }
+
+    if (!roles.includes(req.user.role)) {
+      const forbidden = new Error(`Forbidden: requires the ${roles.join(' or ')} role`);
+      forbidden.statusCode = 403;
+      return next(forbidden);
+    }
+    next();
+  });
+};
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  authorize
+};
@@ -36,16 +36,31 @@ const errorHandler = (err, req, res, next) => {
     message = 'Token expired';
   }
 
-  // Axios errors (from external API calls)
+  // NASA Earthdata Login failures (services/earthdataAuth.js) - a server-side
+  // credential problem, reported separately from generic upstream errors
+  let code;
+  if (err.name === 'EarthdataAuthError') {
+    statusCode = 401;
+    message = `NASA Earthdata Login failed: ${err.message}`;
+    code = `EARTHDATA_${err.reason.toUpperCase()}`;
+  }
+
+  // Axios errors (external calls not made through services/httpClient)
   if (err.isAxiosError) {
-    statusCode = err.response?.status || 502;
+    statusCode = err.code === 'ECONNABORTED' ? 504 : 502;
     message = `External API error: ${err.response?.statusText || err.message}`;
   }
 
+  // Upstream unavailable (e.g. circuit open or rate limited) - tell clients when to retry
+  if (err.retryAfter && (statusCode === 503 || statusCode === 429)) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   // Response
   res.status(statusCode).json({
     success: false,
     message,
+    ...(code && { code }),
     ...(process.env.NODE_ENV === 'development' && {
       stack: err.stack,
       error: err
@@ -0,0 +1,94 @@
+const quota = require('../services/quota');
+
+/**
+ * Quota Middleware
+ *
+ * createQuotaLimiter: admits each request against the caller's burst, daily
+ *   and monthly windows (services/quota.js) or answers 429, and sets the
+ *   RateLimit-* headers. Once the response is sent, routes marked with
+ *   quotaCost() are charged their full cost. Must run after `authenticate`.
+ * quotaCost(kind): marks a route whose computed responses cost costs[kind];
+ *   controllers set res.locals.cached when they answer from the cache.
+ */
+
+const secondsUntil = date => Math.max(0, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const payer = {
+  apiKey: 'this API key',
+  user: 'this account',
+  ip: 'this IP'
+};
+
+/**
+ * RateLimit-* headers: the policy closest to exhaustion, plus every policy
+ */
+const setHeaders = (res, windows) => {
+  const closest = windows.reduce((a, b) => (b.remaining / b.limit < a.remaining / a.limit ? b : a));
+  res.set({
+    'RateLimit-Policy': windows.map(window => `${window.limit};w=${window.seconds}`).join(', '),
+    'RateLimit-Limit': String(closest.limit),
+    'RateLimit-Remaining': String(closest.remaining),
+    'RateLimit-Reset': String(secondsUntil(closest.resetAt))
+  });
+};
+
+const limitMessage = (exhausted, principal) => {
+  if (exhausted.name === 'burst') {
+    return principal.type === 'ip'
+      ? 'Too many requests from this IP, please try again later. Authenticated requests get a higher limit.'
+      : `Too many requests for ${payer[principal.type]}, please try again later.`;
+  }
+  return `The ${exhausted.name} quota of ${exhausted.limit} units for ${payer[principal.type]} is used up; it resets at ${exhausted.resetAt.toISOString()}.`;
+};
+
+const createQuotaLimiter = (service = quota) => async (req, res, next) => {
+  const principal = service.principal(req);
+  let admission;
+
+  try {
+    admission = await service.admit(principal, service.tier(req));
+  } catch (error) {
+    // A quota store outage never takes the API down
+    console.warn(`⚠️  Quota check failed (${service.store.name}):`, error.message);
+    return next();
+  }
+
+  setHeaders(res, admission.windows);
+
+  if (!admission.allowed) {
+    const { exhausted } = admission;
+    res.set('Retry-After', String(secondsUntil(exhausted.resetAt)));
+    return res.status(429).json({
+      success: false,
+      message: limitMessage(exhausted, principal),
+      quota: {
+        window: exhausted.name,
+        limit: exhausted.limit,
+        used: exhausted.used,
+        unit: exhausted.unit,
+        resetAt: exhausted.resetAt
+      }
+    });
+  }
+
+  res.on('finish', () => {
+    const extra = service.responseCost(res) - service.config.costs.request;
+    if (extra > 0) {
+      service.charge(principal, extra).catch(error => {
+        console.warn(`⚠️  Quota charge failed (${service.store.name}):`, error.message);
+      });
+    }
+  });
+
+  next();
+};
+
+const quotaCost = kind => (req, res, next) => {
+  res.locals.quotaCost = kind;
+  next();
+};
+
+module.exports = {
+  createQuotaLimiter,
+  quotaCost
+};
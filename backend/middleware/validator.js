@@ -1,33 +1,75 @@
 const Joi = require('joi');
+const providers = require('../services/providers');
+const nasaConfig = require('../config/nasa');
+const geo = require('../utils/geo');
+const calendar = require('../utils/calendar');
+const gazetteer = require('../services/gazetteer');
+const gazetteerConfig = require('../config/gazetteer');
 
 /**
  * Input Validation Schemas using Joi
  */
 
-const weatherQuerySchema = Joi.object({
-  // Location (required)
+/**
+ * Point location fields
+ */
+const locationFields = {
+  // Location (required, unless a `place` name is given)
   lat: Joi.number()
     .min(-90)
     .max(90)
-    .required()
+    .when('place', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() })
     .messages({
       'number.base': 'Latitude must be a number',
       'number.min': 'Latitude must be between -90 and 90',
       'number.max': 'Latitude must be between -90 and 90',
-      'any.required': 'Latitude is required'
+      'any.required': 'Latitude is required',
+      'any.unknown': 'Pass either place or lat/lon, not both'
     }),
 
   lon: Joi.number()
     .min(-180)
     .max(180)
-    .required()
+    .when('place', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() })
     .messages({
       'number.base': 'Longitude must be a number',
       'number.min': 'Longitude must be between -180 and 180',
       'number.max': 'Longitude must be between -180 and 180',
-      'any.required': 'Longitude is required'
+      'any.required': 'Longitude is required',
+      'any.unknown': 'Pass either place or lat/lon, not both'
     }),
 
+  // Place name looked up in the gazetteer instead of lat/lon, e.g. "Denver, CO"
+  place: Joi.string()
+    .trim()
+    .min(1)
+    .max(200)
+    .optional(),
+
+  // How grid values are turned into a point value
+  interpolation: Joi.string()
+    .valid('nearest', 'bilinear', 'idw')
+    .default('nearest')
+    .messages({
+      'any.only': 'Interpolation must be one of: nearest, bilinear, idw'
+    })
+};
+
+/**
+ * A YYYY-MM-DD date that exists (no 2021-02-29)
+ */
+const dateField = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .custom((value, helpers) => (calendar.parseDate(value) ? value : helpers.error('any.invalid')))
+  .messages({
+    'string.pattern.base': 'Date must be in YYYY-MM-DD format',
+    'any.invalid': 'Date must be a real calendar date'
+  });
+
+/**
+ * Fields shared by all query schemas (time window, source)
+ */
+const commonQueryFields = {
   // Time (day of year OR date)
   dayOfYear: Joi.number()
     .integer()
@@ -40,27 +82,14 @@ const weatherQuerySchema = Joi.object({
       'number.max': 'Day of year must be between 1 and 366'
     }),
 
-  date: Joi.string()
-    .pattern(/^\d{4}-\d{2}-\d{2}$/)
-    .messages({
-      'string.pattern.base': 'Date must be in YYYY-MM-DD format'
-    }),
+  date: dateField,
 
-  // Variable (required)
-  variable: Joi.string()
-    .valid('temperature', 'precipitation', 'windspeed', 'humidity', 'dust')
-    .required()
+  // How the window lines up across years (see utils/calendar.js)
+  alignment: Joi.string()
+    .valid('dayOfYear', 'calendarDate')
+    .default('dayOfYear')
     .messages({
-      'any.only': 'Variable must be one of: temperature, precipitation, windspeed, humidity, dust',
-      'any.required': 'Variable is required'
-    }),
-
-  // Optional parameters
-  threshold: Joi.number()
-    .optional()
-    .allow(null)
-    .messages({
-      'number.base': 'Threshold must be a number'
+      'any.only': 'Alignment must be one of: dayOfYear, calendarDate'
     }),
 
   window: Joi.number()
@@ -88,21 +117,529 @@ const weatherQuerySchema = Joi.object({
       .default(2023)
   }).default({ start: 1980, end: 2023 }),
 
+  // Optional data source (provider id, see GET /sources)
+  source: Joi.string()
+    .valid(...providers.ids())
+    .optional()
+    .messages({
+      'any.only': `Source must be one of: ${providers.ids().join(', ')}`
+    }),
+
   // Optional location name
   locationName: Joi.string()
     .max(200)
     .optional()
+};
+
+// Raw and derived variables (see GET /variables)
+const VARIABLES = [
+  ...Object.keys(nasaConfig.variables),
+  ...Object.keys(nasaConfig.derivedVariables)
+];
+
+const variableField = Joi.string()
+  .valid(...VARIABLES)
+  .required()
+  .messages({
+    'any.only': `Variable must be one of: ${VARIABLES.join(', ')}`,
+    'any.required': 'Variable is required'
+  });
+
+const normalPeriod = (start, end) => Joi.object({
+  start: Joi.number().integer().min(1980).max(2023).required(),
+  end: Joi.number().integer().min(1980).max(2023).min(Joi.ref('start')).required()
+}).default({ start, end });
+
+const weatherQuerySchema = Joi.object({
+  ...locationFields,
+  ...commonQueryFields,
+
+  // Variable (required)
+  variable: variableField,
+
+  // Optional parameters
+  threshold: Joi.number()
+    .optional()
+    .allow(null)
+    .messages({
+      'number.base': 'Threshold must be a number'
+    }),
+
+  // Climate normal periods compared by the trend analysis
+  normals: Joi.object({
+    early: normalPeriod(1981, 2010),
+    recent: normalPeriod(1994, 2023)
+  }).default({
+    early: { start: 1981, end: 2010 },
+    recent: { start: 1994, end: 2023 }
+  }),
+
+  // Point elevation for lapse-rate corrected temperature: metres, or 'auto' to use the DEM
+  elevation: Joi.alternatives()
+    .try(
+      Joi.number().min(-450).max(8850).messages({
+        'number.min': 'Elevation must be between -450 and 8850 metres',
+        'number.max': 'Elevation must be between -450 and 8850 metres'
+      }),
+      Joi.string().valid('auto')
+    )
+    .when('variable', { is: 'temperature', otherwise: Joi.forbidden() })
+    .messages({
+      'alternatives.types': "Elevation must be a number of metres or 'auto'",
+      'any.unknown': 'Elevation correction is only available for temperature'
+    }),
+
+  // Optional extra analyses
+  analysis: Joi.array()
+    .items(Joi.string().valid('extremes'))
+    .unique()
+    .default([])
+    .messages({
+      'any.only': 'Analysis must be one of: extremes'
+    }),
+
+  // Multi-day event: the same span of days in every year instead of a ±window
+  dateRange: Joi.object({
+    start: dateField.required(),
+    end: dateField.required()
+  }),
+
+  // Whether the threshold must be exceeded on any, all or N consecutive days of the span
+  spanMode: Joi.string()
+    .valid('any', 'all', 'consecutive')
+    .default('any')
+    .messages({
+      'any.only': 'Span mode must be one of: any, all, consecutive'
+    }),
+
+  consecutiveDays: Joi.number()
+    .integer()
+    .min(2)
+    .when('spanMode', { is: 'consecutive', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'number.min': 'Consecutive days must be at least 2',
+      'any.required': 'consecutiveDays is required when spanMode is consecutive',
+      'any.unknown': 'consecutiveDays is only allowed when spanMode is consecutive'
+    })
+
+}).or('dayOfYear', 'date', 'dateRange') // Must provide dayOfYear, date or dateRange
+  .without('dateRange', ['dayOfYear', 'date'])
+  .messages({
+    'object.missing': 'Either dayOfYear, date or dateRange must be provided',
+    'object.without': 'dateRange cannot be combined with dayOfYear or date'
+  });
+
+/**
+ * Multi-variable query: several variable/threshold conditions combined with AND/OR
+ */
+const conditionSchema = Joi.object({
+  variable: variableField,
+  operator: Joi.string()
+    .valid('>', '>=', '<', '<=')
+    .default('>')
+    .messages({
+      'any.only': 'Operator must be one of: >, >=, <, <='
+    }),
+  threshold: Joi.number()
+    .required()
+    .messages({
+      'number.base': 'Threshold must be a number',
+      'any.required': 'Threshold is required'
+    })
+});
+
+const multiQuerySchema = Joi.object({
+  ...locationFields,
+  ...commonQueryFields,
+
+  conditions: Joi.array()
+    .items(conditionSchema)
+    .min(2)
+    .max(5)
+    .required()
+    .messages({
+      'array.min': 'At least 2 conditions are required',
+      'array.max': 'At most 5 conditions are allowed',
+      'any.required': 'Conditions (or an expression) are required'
+    }),
+
+  logic: Joi.string()
+    .uppercase()
+    .valid('AND', 'OR')
+    .default('AND')
+    .messages({
+      'any.only': 'Logic must be AND or OR'
+    }),
+
+  // Alternative to conditions/logic, e.g. "temperature > 32 AND humidity > 60"
+  expression: Joi.string()
+    .max(500)
+    .optional()
 
-}).or('dayOfYear', 'date') // Must provide either dayOfYear or date
+}).or('dayOfYear', 'date')
   .messages({
     'object.missing': 'Either dayOfYear or date must be provided'
   });
 
 /**
- * Validate request body against schema
+ * Area query: a bbox or GeoJSON polygon instead of a point
  */
-const validateWeatherQuery = (req, res, next) => {
-  const { error, value } = weatherQuerySchema.validate(req.body, {
+const longitude = Joi.number().min(-180).max(180);
+const latitude = Joi.number().min(-90).max(90);
+
+const polygonGeometry = Joi.object({
+  type: Joi.string().valid('Polygon').required(),
+  // Rings of [lon, lat] positions; the first ring is the outline, the others are holes
+  coordinates: Joi.array()
+    .items(Joi.array().items(Joi.array().ordered(longitude.required(), latitude.required())).min(4))
+    .min(1)
+    .required()
+}).messages({
+  'array.min': 'Polygon rings need at least 4 positions (first and last identical)'
+});
+
+const areaQuerySchema = Joi.object({
+  ...commonQueryFields,
+
+  variable: variableField,
+
+  // [minLon, minLat, maxLon, maxLat]
+  bbox: Joi.array()
+    .ordered(longitude.required(), latitude.required(), longitude.required(), latitude.required())
+    .messages({
+      'array.includesRequiredUnknowns': 'bbox must be [minLon, minLat, maxLon, maxLat]'
+    }),
+
+  // GeoJSON Polygon geometry, or a Feature wrapping one
+  polygon: Joi.alternatives().try(
+    polygonGeometry,
+    Joi.object({
+      type: Joi.string().valid('Feature').required(),
+      geometry: polygonGeometry.required(),
+      properties: Joi.any()
+    })
+  ),
+
+  threshold: Joi.number()
+    .required()
+    .messages({
+      'number.base': 'Threshold must be a number',
+      'any.required': 'Threshold is required for area queries'
+    })
+
+}).or('dayOfYear', 'date')
+  .xor('bbox', 'polygon')
+  .messages({
+    'object.missing': 'Either dayOfYear or date (and either bbox or polygon) must be provided',
+    'object.xor': 'Provide either bbox or polygon, not both'
+  });
+
+/**
+ * Gazetteer lookups (routes/places.js)
+ */
+const placeSearchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200).required().messages({
+    'any.required': 'Query (q) is required'
+  }),
+  limit: Joi.number().integer().min(1).max(gazetteerConfig.search.maxLimit).default(gazetteerConfig.search.defaultLimit),
+  country: Joi.string().trim().length(2).uppercase().messages({
+    'string.length': 'Country must be an ISO 3166 alpha-2 code'
+  })
+});
+
+const placeReverseQuerySchema = Joi.object({
+  lat: locationFields.lat,
+  lon: locationFields.lon
+});
+
+/**
+ * Account schemas (routes/auth.js)
+ */
+const emailField = Joi.string()
+  .email()
+  .max(254)
+  .required()
+  .messages({
+    'string.email': 'Email must be a valid email address',
+    'any.required': 'Email is required'
+  });
+
+const registerSchema = Joi.object({
+  email: emailField,
+  password: Joi.string()
+    .min(8)
+    .max(128)
+    .required()
+    .messages({
+      'string.min': 'Password must be at least 8 characters',
+      'string.max': 'Password must be at most 128 characters',
+      'any.required': 'Password is required'
+    }),
+  name: Joi.string().trim().max(100)
+});
+
+const loginSchema = Joi.object({
+  email: emailField,
+  password: Joi.string().required().messages({
+    'any.required': 'Password is required'
+  })
+});
+
+const apiKeySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'API key name is required'
+    })
+});
+
+/**
+ * Saved locations (routes/locations.js)
+ */
+const siteElevationField = Joi.number()
+  .min(-450)
+  .max(8850)
+  .allow(null)
+  .messages({
+    'number.base': 'Elevation must be a number of metres',
+    'number.min': 'Elevation must be between -450 and 8850 metres',
+    'number.max': 'Elevation must be between -450 and 8850 metres'
+  });
+
+const itemNameField = Joi.string()
+  .trim()
+  .min(1)
+  .max(100)
+  .required()
+  .messages({
+    'any.required': 'Name is required'
+  });
+
+const savedLocationSchema = Joi.object({
+  name: itemNameField,
+  lat: locationFields.lat,
+  lon: locationFields.lon,
+  elevation: siteElevationField
+});
+
+/**
+ * Event plans (routes/plans.js): a location (or a saved location's id), a
+ * date range and the thresholds checked over it
+ */
+const planThresholdSchema = Joi.object({
+  variable: variableField,
+  threshold: Joi.number().required().messages({
+    'number.base': 'Threshold must be a number',
+    'any.required': 'Threshold is required'
+  }),
+  spanMode: Joi.string()
+    .valid('any', 'all', 'consecutive')
+    .default('any')
+    .messages({
+      'any.only': 'Span mode must be one of: any, all, consecutive'
+    }),
+  consecutiveDays: Joi.number()
+    .integer()
+    .min(2)
+    .when('spanMode', { is: 'consecutive', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'number.min': 'Consecutive days must be at least 2',
+      'any.required': 'consecutiveDays is required when spanMode is consecutive',
+      'any.unknown': 'consecutiveDays is only allowed when spanMode is consecutive'
+    })
+});
+
+const eventPlanSchema = Joi.object({
+  name: itemNameField,
+  location: Joi.object({
+    name: Joi.string().trim().max(100),
+    lat: locationFields.lat,
+    lon: locationFields.lon,
+    elevation: siteElevationField
+  }),
+  locationId: Joi.string().hex().length(24).messages({
+    'string.hex': 'locationId must be a saved location id',
+    'string.length': 'locationId must be a saved location id'
+  }),
+  dateRange: Joi.object({
+    start: dateField.required(),
+    end: dateField.required()
+  }).required().messages({
+    'any.required': 'dateRange is required'
+  }),
+  thresholds: Joi.array()
+    .items(planThresholdSchema)
+    .min(1)
+    .max(10)
+    .required()
+    .messages({
+      'array.min': 'A plan needs at least one threshold',
+      'array.max': 'A plan can have at most 10 thresholds',
+      'any.required': 'thresholds are required'
+    }),
+  notes: Joi.string().allow('').max(2000).default(''),
+  source: commonQueryFields.source,
+  yearRange: Joi.object({
+    start: Joi.number().integer().min(1980).max(2023).required(),
+    end: Joi.number().integer().min(1980).max(2023).min(Joi.ref('start')).required()
+  })
+}).xor('location', 'locationId')
+  .messages({
+    'object.missing': 'Either location or locationId must be provided',
+    'object.xor': 'location cannot be combined with locationId'
+  });
+
+/**
+ * Admin query strings (routes/admin.js)
+ */
+const cacheTierField = Joi.string()
+  .valid('results', 'series')
+  .default('results')
+  .messages({
+    'any.only': 'tier must be results or series'
+  });
+
+// Cache key pattern: * matches any run of characters, ? a single character
+const keyPatternField = Joi.string().trim().min(1).max(200);
+
+const cacheKeysQuerySchema = Joi.object({
+  pattern: keyPatternField.default('*'),
+  tier: cacheTierField,
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+const cacheEvictQuerySchema = Joi.object({
+  pattern: keyPatternField.required().messages({
+    'any.required': 'pattern is required (use DELETE /admin/cache to clear everything)'
+  }),
+  tier: cacheTierField
+});
+
+const exportsCleanupQuerySchema = Joi.object({
+  olderThanHours: Joi.number().min(0).default(24)
+});
+
+const historyPurgeQuerySchema = Joi.object({
+  olderThanDays: Joi.number().min(0),
+  userId: Joi.string().trim().max(100),
+  all: Joi.boolean().valid(true)
+})
+  .or('olderThanDays', 'userId', 'all')
+  .messages({
+    'object.missing': 'Pass olderThanDays, userId or all=true'
+  });
+
+const auditLogQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  action: Joi.string().trim().max(100),
+  userId: Joi.string().trim().max(100)
+});
+
+/**
+ * Parse a condition expression such as "precipitation > 5 OR windspeed > 12"
+ * @returns {Object} {conditions, logic} or {error}
+ */
+const parseConditionExpression = (expression) => {
+  const parts = expression.trim().split(/\s+(AND|OR)\s+/i);
+  const operators = parts.filter((p, i) => i % 2 === 1).map(p => p.toUpperCase());
+
+  if (new Set(operators).size > 1) {
+    return { error: 'Expression cannot mix AND and OR' };
+  }
+
+  const conditions = [];
+  for (const term of parts.filter((p, i) => i % 2 === 0)) {
+    const match = term.trim().match(/^([a-zA-Z]+)\s*(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)$/);
+    if (!match) {
+      return { error: `Invalid condition: "${term.trim()}"` };
+    }
+    conditions.push({ variable: match[1], operator: match[2], threshold: parseFloat(match[3]) });
+  }
+
+  return { conditions, logic: operators[0] || 'AND' };
+};
+
+/**
+ * Convert date (YYYY-MM-DD) to dayOfYear when only a date was given
+ * A dateRange is keyed by the day of its first day
+ */
+const applyDayOfYear = (value) => {
+  if (value.date && !value.dayOfYear) {
+    value.dayOfYear = calendar.dayOfYear(value.date);
+  }
+  if (value.dateRange) {
+    value.dayOfYear = calendar.dayOfYear(value.dateRange.start);
+  }
+  return value;
+};
+
+/**
+ * Checks of a dateRange that span several fields
+ * @returns {Array} Validation errors ({field, message})
+ */
+const checkDateRange = (params) => {
+  const errors = [];
+  const { dateRange } = params;
+  const length = calendar.spanLength(dateRange);
+  const maxDays = nasaConfig.defaults.maxSpanDays;
+
+  if (length < 1) {
+    errors.push({ field: 'dateRange.end', message: 'dateRange end must not be before its start' });
+  } else if (length > maxDays) {
+    errors.push({ field: 'dateRange', message: `dateRange cannot be longer than ${maxDays} days` });
+  } else if (params.consecutiveDays > length) {
+    errors.push({ field: 'consecutiveDays', message: `consecutiveDays cannot exceed the ${length} days of dateRange` });
+  }
+
+  if (params.threshold === undefined || params.threshold === null) {
+    errors.push({ field: 'threshold', message: 'Threshold is required with dateRange' });
+  }
+
+  return errors;
+};
+
+/**
+ * Send a 400 response in the standard validation error format
+ */
+const sendValidationError = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors
+});
+
+/**
+ * Replace a validated `place` name by the coordinates of its best gazetteer
+ * match; its display name becomes the default locationName
+ */
+const resolvePlace = async (req, res, next) => {
+  const params = req.validatedData;
+  if (!params.place) return next();
+
+  try {
+    const match = await gazetteer.resolve(params.place);
+    if (!match) {
+      return sendValidationError(res, [{ field: 'place', message: `No place found matching "${params.place}"` }]);
+    }
+
+    params.lat = match.lat;
+    params.lon = match.lon;
+    params.locationName = params.locationName || match.displayName;
+    delete params.place;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a middleware validating req.body (or another request field) against a schema
+ */
+const validateBody = (schema, source = 'body') => (req, res, next) => {
+  const { error, value } = schema.validate(req[source], {
     abortEarly: false, // Return all errors, not just the first
     stripUnknown: true // Remove unknown fields
   });
@@ -112,29 +649,146 @@ const validateWeatherQuery = (req, res, next) => {
       field: detail.path.join('.'),
       message: detail.message
     }));
+    return sendValidationError(res, errors);
+  }
+
+  // Attach validated data to request
+  req.validatedData = applyDayOfYear(value);
+  next();
+};
+
+/**
+ * Validate request body against schema
+ */
+const validateWeatherQuery = (req, res, next) => {
+  validateBody(weatherQuerySchema)(req, res, () => {
+    const params = req.validatedData;
+
+    if (params.dateRange) {
+      const errors = checkDateRange(params);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+    }
+
+    resolvePlace(req, res, next);
+  });
+};
+
+const validateRegister = validateBody(registerSchema);
+const validateLogin = validateBody(loginSchema);
+const validateApiKey = validateBody(apiKeySchema);
+
+const validateCacheKeysQuery = validateBody(cacheKeysQuerySchema, 'query');
+const validateCacheEvictQuery = validateBody(cacheEvictQuerySchema, 'query');
+const validateExportsCleanupQuery = validateBody(exportsCleanupQuerySchema, 'query');
+const validateHistoryPurgeQuery = validateBody(historyPurgeQuerySchema, 'query');
+const validateAuditLogQuery = validateBody(auditLogQuerySchema, 'query');
+const validatePlaceSearchQuery = validateBody(placeSearchQuerySchema, 'query');
+const validatePlaceReverseQuery = validateBody(placeReverseQuerySchema, 'query');
+
+const validateSavedLocation = validateBody(savedLocationSchema);
+
+/**
+ * Validate an event plan; the date range is checked like a span query's
+ */
+const validateEventPlan = (req, res, next) => {
+  validateBody(eventPlanSchema)(req, res, () => {
+    const { dateRange, thresholds } = req.validatedData;
+    const errors = checkDateRange({ dateRange, threshold: 0 });
 
-    return res.status(400).json({
-      success: false,
-      message: 'Validation error',
-      errors
+    const length = calendar.spanLength(dateRange);
+    thresholds.forEach((t, i) => {
+      if (errors.length === 0 && t.consecutiveDays > length) {
+        errors.push({ field: `thresholds.${i}.consecutiveDays`, message: `consecutiveDays cannot exceed the ${length} days of dateRange` });
+      }
     });
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    next();
+  });
+};
+
+/**
+ * Validate a point query built in code (e.g. from an event plan) like
+ * validateWeatherQuery does for request bodies
+ * @returns {Object} {params} or {errors}
+ */
+const buildWeatherQuery = (input) => {
+  const { error, value } = weatherQuerySchema.validate(input, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return { errors: error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message })) };
   }
 
-  // Convert date to dayOfYear if date was provided
-  if (value.date && !value.dayOfYear) {
-    const date = new Date(value.date);
-    const start = new Date(date.getFullYear(), 0, 1);
-    const diff = date - start;
-    const oneDay = 1000 * 60 * 60 * 24;
-    value.dayOfYear = Math.floor(diff / oneDay) + 1;
+  const params = applyDayOfYear(value);
+  const errors = params.dateRange ? checkDateRange(params) : [];
+  return errors.length > 0 ? { errors } : { params };
+};
+
+/**
+ * Validate multi-variable query (expands `expression` into conditions first)
+ */
+const validateMultiQuery = (req, res, next) => {
+  if (req.body && typeof req.body.expression === 'string' && !req.body.conditions) {
+    const parsed = parseConditionExpression(req.body.expression);
+    if (parsed.error) {
+      return sendValidationError(res, [{ field: 'expression', message: parsed.error }]);
+    }
+    req.body = { ...req.body, conditions: parsed.conditions, logic: parsed.logic };
   }
 
-  // Attach validated data to request
-  req.validatedData = value;
-  next();
+  return validateBody(multiQuerySchema)(req, res, () => resolvePlace(req, res, next));
+};
+
+/**
+ * Validate area query and normalise the area to a GeoJSON Polygon (`polygon`)
+ */
+const validateAreaQuery = (req, res, next) => {
+  validateBody(areaQuerySchema)(req, res, () => {
+    const params = req.validatedData;
+
+    if (params.bbox) {
+      const [minLon, minLat, maxLon, maxLat] = params.bbox;
+      if (minLon >= maxLon || minLat >= maxLat) {
+        return sendValidationError(res, [{ field: 'bbox', message: 'bbox minimums must be smaller than maximums' }]);
+      }
+      params.polygon = geo.bboxToPolygon(params.bbox);
+    } else if (params.polygon.type === 'Feature') {
+      params.polygon = params.polygon.geometry;
+    }
+
+    // Keep the grid scan small; the cell limit is checked once the grid is known
+    const [minLon, minLat, maxLon, maxLat] = geo.polygonBounds(params.polygon);
+    const maxSpan = nasaConfig.area.maxSpanDegrees;
+    if (maxLon - minLon > maxSpan || maxLat - minLat > maxSpan) {
+      return sendValidationError(res, [{ field: params.bbox ? 'bbox' : 'polygon', message: `Area cannot span more than ${maxSpan} degrees` }]);
+    }
+
+    next();
+  });
 };
 
 module.exports = {
   weatherQuerySchema,
-  validateWeatherQuery
+  multiQuerySchema,
+  areaQuerySchema,
+  validateWeatherQuery,
+  validateMultiQuery,
+  validateAreaQuery,
+  validateRegister,
+  validateLogin,
+  validateApiKey,
+  validateSavedLocation,
+  validateEventPlan,
+  buildWeatherQuery,
+  validateCacheKeysQuery,
+  validateCacheEvictQuery,
+  validateExportsCleanupQuery,
+  validateHistoryPurgeQuery,
+  validateAuditLogQuery,
+  validatePlaceSearchQuery,
+  validatePlaceReverseQuery,
+  parseConditionExpression
 };
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for the audit log of admin actions (middleware/audit.js)
+ * Entries are never updated or expired by the application.
+ */
+const auditLogSchema = new mongoose.Schema({
+  // Who
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  email: String,
+  authMethod: String, // jwt or apiKey
+  ip: String,
+
+  // What, e.g. cache.flush, cache.evict, exports.cleanup, history.purge
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  method: String,
+  path: String,
+  params: mongoose.Schema.Types.Mixed, // Query string and route parameters
+  statusCode: Number,
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    required: true
+  },
+  result: mongoose.Schema.Types.Mixed, // Summary reported by the action (e.g. deleted count)
+
+  // When
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
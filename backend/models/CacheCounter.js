@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for cache hit/miss/set counters shared by all instances (CACHE_BACKEND=mongo)
+ */
+const cacheCounterSchema = new mongoose.Schema({
+  _id: String, // Cache key prefix
+  hits: { type: Number, default: 0 },
+  misses: { type: Number, default: 0 },
+  sets: { type: Number, default: 0 }
+});
+
+module.exports = mongoose.model('CacheCounter', cacheCounterSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for query results cached in MongoDB (CACHE_BACKEND=mongo)
+ * Values are stored as JSON strings, so any result shape fits
+ */
+const cacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // Automatic deletion
+  }
+});
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const nasaConfig = require('../config/nasa');
+
+/**
+ * A variable threshold checked over the plan's date range (see span queries)
+ */
+const planThresholdSchema = new mongoose.Schema({
+  variable: {
+    type: String,
+    required: true,
+    enum: [...Object.keys(nasaConfig.variables), ...Object.keys(nasaConfig.derivedVariables)]
+  },
+  threshold: {
+    type: Number,
+    required: true
+  },
+  spanMode: {
+    type: String,
+    enum: ['any', 'all', 'consecutive'],
+    default: 'any'
+  },
+  consecutiveDays: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Schema for a user's named event plan: a location, a date range and the
+ * thresholds that matter for the event. Plans never expire; lastRun keeps
+ * the results of the latest re-run so the next one can report changes.
+ */
+const eventPlanSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  // Coordinates are copied from a saved location (locationId) when one is given
+  location: {
+    name: String,
+    lat: {
+      type: Number,
+      required: true,
+      min: -90,
+      max: 90
+    },
+    lon: {
+      type: Number,
+      required: true,
+      min: -180,
+      max: 180
+    },
+    elevation: {
+      type: Number,
+      default: null
+    }
+  },
+  locationId: {
+    type: String,
+    default: null
+  },
+
+  dateRange: {
+    start: {
+      type: String,
+      required: true
+    },
+    end: {
+      type: String,
+      required: true
+    }
+  },
+  thresholds: {
+    type: [planThresholdSchema],
+    validate: [thresholds => thresholds.length > 0, 'A plan needs at least one threshold']
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+
+  // Optional query settings (provider defaults when unset)
+  source: {
+    type: String,
+    default: null
+  },
+  yearRange: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // {ranAt, results: [...]} of the latest re-run
+  lastRun: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+eventPlanSchema.methods.toPublicJSON = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    location: {
+      name: this.location.name,
+      lat: this.location.lat,
+      lon: this.location.lon,
+      elevation: this.location.elevation
+    },
+    locationId: this.locationId,
+    dateRange: { start: this.dateRange.start, end: this.dateRange.end },
+    thresholds: this.thresholds.map(t => ({
+      variable: t.variable,
+      threshold: t.threshold,
+      spanMode: t.spanMode,
+      consecutiveDays: t.consecutiveDays
+    })),
+    notes: this.notes,
+    source: this.source,
+    yearRange: this.yearRange,
+    lastRun: this.lastRun,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('EventPlan', eventPlanSchema);
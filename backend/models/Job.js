@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for background jobs (async queries)
+ * Persisted so queued and running jobs survive a server restart
+ */
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['query']
+  },
+
+  // Validated request parameters
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Submitting user (null for anonymous jobs, which anyone with the id may read)
+  userId: {
+    type: String,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  progress: {
+    percent: { type: Number, default: 0, min: 0, max: 100 },
+    message: { type: String, default: 'Queued' }
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    message: String,
+    statusCode: Number
+  },
+
+  // Where the result can be found once completed
+  cacheKey: String,
+  savedQueryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedQuery'
+  },
+
+  // Timestamps
+  startedAt: Date,
+  finishedAt: Date,
+  heartbeatAt: Date, // Updated while running, used to detect jobs of a crashed worker
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days TTL
+    index: { expires: 0 } // Automatic deletion
+  }
+});
+
+// Queue order: oldest queued job first
+jobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
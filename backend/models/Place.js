@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a gazetteer place (a GeoNames city), written by
+ * scripts/loadGazetteer.js and read by services/gazetteer.js
+ */
+const placeSchema = new mongoose.Schema({
+  geonameId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  asciiName: String,
+  countryCode: String,
+  countryName: String,
+  admin1Code: String,
+  admin1Name: String,
+  lat: {
+    type: Number,
+    required: true
+  },
+  lon: {
+    type: Number,
+    required: true
+  },
+  // GeoJSON copy of lat/lon for $nearSphere
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true } // [lon, lat]
+  },
+  featureCode: String,
+  population: {
+    type: Number,
+    default: 0
+  },
+  elevation: {
+    type: Number,
+    default: null
+  },
+  timezone: String,
+
+  // Normalized names and alternate names (utils/geonames.js normalize)
+  searchNames: [String],
+  // Normalized admin1 and country codes and names, matched by "Denver, CO"
+  qualifiers: [String]
+});
+
+placeSchema.index({ location: '2dsphere' });
+placeSchema.index({ searchNames: 1, population: -1 });
+
+module.exports = mongoose.model('Place', placeSchema);
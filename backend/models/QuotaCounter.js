@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for quota counters shared by all instances (QUOTA_BACKEND=mongo)
+ * One document per principal and quota window, deleted once the window is over
+ */
+const quotaCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // Automatic deletion
+  }
+});
+
+module.exports = mongoose.model('QuotaCounter', quotaCounterSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a user's saved (favorite) location
+ * Unlike SavedQuery history, saved locations never expire.
+ */
+const savedLocationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  lat: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  lon: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  // Site elevation in metres, used for lapse-rate corrected temperature
+  elevation: {
+    type: Number,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One name per user; listing is by user
+savedLocationSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+savedLocationSchema.methods.toPublicJSON = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    lat: this.lat,
+    lon: this.lon,
+    elevation: this.elevation,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('SavedLocation', savedLocationSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const nasaConfig = require('../config/nasa');
+const calendar = require('../utils/calendar');
 
 /**
  * Schema for storing user queries and cached results
@@ -27,7 +29,7 @@ const savedQuerySchema = new mongoose.Schema({
   variable: {
     type: String,
     required: true,
-    enum: ['temperature', 'precipitation', 'windspeed', 'humidity', 'dust']
+    enum: [...Object.keys(nasaConfig.variables), ...Object.keys(nasaConfig.derivedVariables)]
   },
   threshold: {
     type: Number,
@@ -50,18 +52,59 @@ const savedQuerySchema = new mongoose.Schema({
     }
   },
 
-  // Results (cached)
-  results: {
-    meta: mongoose.Schema.Types.Mixed,
-    stats: mongoose.Schema.Types.Mixed,
-    exceedance: mongoose.Schema.Types.Mixed,
-    distribution: mongoose.Schema.Types.Mixed,
-    timeseries: [mongoose.Schema.Types.Mixed]
+  source: {
+    type: String,
+    default: null
   },
 
+  // Queried date, if given instead of dayOfYear, and window alignment across years (see utils/calendar.js)
+  date: {
+    type: String,
+    default: null
+  },
+  alignment: {
+    type: String,
+    default: 'dayOfYear'
+  },
+
+  // Spatial interpolation method (nearest, bilinear, idw)
+  interpolation: {
+    type: String,
+    default: 'nearest'
+  },
+
+  // Point elevation for lapse-rate correction (metres or 'auto'), null if uncorrected
+  elevation: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Multi-day event span {start, end, mode, consecutiveDays}, null for ±window queries
+  span: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Optional analyses (e.g. ['extremes']) and the climate normal periods compared by the trend
+  analysis: {
+    type: [String],
+    default: []
+  },
+  normals: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Results (cached) - the full query response, also served by GET /jobs/:id
+  results: mongoose.Schema.Types.Mixed,
+
   // Metadata
   locationName: String,
-  userId: String, // Optional: for user authentication
+  userId: { // Authenticated user who ran the query, null for anonymous queries
+    type: String,
+    default: null,
+    index: true
+  },
   queryHash: {
     type: String,
     unique: true,
@@ -90,7 +133,7 @@ savedQuerySchema.index({ latitude: 1, longitude: 1, dayOfYear: 1, variable: 1 })
 // Method to generate query hash
 savedQuerySchema.methods.generateHash = function() {
   const crypto = require('crypto');
-  const queryString = `${this.latitude},${this.longitude},${this.dayOfYear},${this.variable},${this.window},${this.yearRange.start},${this.yearRange.end}`;
+  const queryString = `${this.latitude},${this.longitude},${this.dayOfYear},${this.variable},${this.threshold},${this.window},${this.yearRange.start},${this.yearRange.end},${this.source},${this.interpolation},${this.elevation},${calendar.anchorKey(this)},${JSON.stringify(this.span)},${[...(this.analysis || [])].sort().join('+')},${JSON.stringify(this.normals)},${this.userId}`;
   return crypto.createHash('md5').update(queryString).digest('hex');
 };
 
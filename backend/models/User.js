@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const authConfig = require('../config/auth');
+
+const ROLES = ['user', 'admin'];
+
+/**
+ * API key of a user, for scripted access
+ * Only a SHA-256 hash of the key is stored; the key itself is shown once on creation.
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Start of the key, shown so users can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: Date
+});
+
+/**
+ * Schema for user accounts
+ */
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  // Admins may use the /admin endpoints and the cache management routes
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  apiKeys: [apiKeySchema],
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastLoginAt: Date
+});
+
+// API key lookup on every key-authenticated request
+userSchema.index({ 'apiKeys.keyHash': 1 });
+
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, authConfig.bcryptRounds);
+};
+
+userSchema.methods.verifyPassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Public view of an API key (never the hash)
+userSchema.methods.describeApiKey = function(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    createdAt: apiKey.createdAt,
+    lastUsedAt: apiKey.lastUsedAt
+  };
+};
+
+// Public view of the user (used in auth responses)
+userSchema.methods.toPublicJSON = function() {
+  return {
+    id: this.id,
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('User', userSchema);
+module.exports.ROLES = ROLES;
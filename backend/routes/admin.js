@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { authorize } = require('../middleware/auth');
+const audit = require('../middleware/audit');
+const {
+  validateCacheKeysQuery,
+  validateCacheEvictQuery,
+  validateExportsCleanupQuery,
+  validateHistoryPurgeQuery,
+  validateAuditLogQuery
+} = require('../middleware/validator');
+
+/**
+ * Admin Routes (admin role only)
+ * Base path: /api/v1/admin
+ * Every action is recorded in the audit log (GET /audit-log itself is not)
+ */
+
+router.use(authorize('admin'));
+
+// Clear both cache tiers
+// DELETE /api/v1/admin/cache
+router.delete('/cache', audit('cache.flush'), adminController.flushCache);
+
+// Inspect cache keys; pattern supports * and ?
+// GET /api/v1/admin/cache/keys?pattern=query:*&tier=results|series&limit=100
+router.get('/cache/keys', validateCacheKeysQuery, audit('cache.keys'), adminController.listCacheKeys);
+
+// Evict cache keys matching a pattern
+// DELETE /api/v1/admin/cache/keys?pattern=query:40.7*&tier=results|series
+router.delete('/cache/keys', validateCacheEvictQuery, audit('cache.evict'), adminController.evictCacheKeys);
+
+// Delete CSV exports older than the given age
+// DELETE /api/v1/admin/exports?olderThanHours=24
+router.delete('/exports', validateExportsCleanupQuery, audit('exports.cleanup'), adminController.cleanupExports);
+
+// Purge saved query history
+// DELETE /api/v1/admin/history?olderThanDays=30&userId=...  (or ?all=true)
+router.delete('/history', validateHistoryPurgeQuery, audit('history.purge'), adminController.purgeHistory);
+
+// Read the audit log, newest first
+// GET /api/v1/admin/audit-log?page=1&limit=20&action=cache.flush&userId=...
+router.get('/audit-log', validateAuditLogQuery, adminController.getAuditLog);
+
+module.exports = router;
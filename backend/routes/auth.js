@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { requireAuth } = require('../middleware/auth');
+const { validateRegister, validateLogin, validateApiKey } = require('../middleware/validator');
+
+/**
+ * Auth Routes
+ * Base path: /api/v1/auth
+ */
+
+// Create an account
+// POST /api/v1/auth/register
+// Body: { email, password, name? }
+router.post('/register', validateRegister, authController.register);
+
+// Log in for a JWT
+// POST /api/v1/auth/login
+// Body: { email, password }
+router.post('/login', validateLogin, authController.login);
+
+// Current user
+// GET /api/v1/auth/me
+router.get('/me', requireAuth, authController.me);
+
+// API keys for scripted access (X-API-Key header)
+// GET/POST /api/v1/auth/api-keys, DELETE /api/v1/auth/api-keys/:id
+// Body (POST): { name }
+router.get('/api-keys', requireAuth, authController.listApiKeys);
+router.post('/api-keys', requireAuth, validateApiKey, authController.createApiKey);
+router.delete('/api-keys/:id', requireAuth, authController.revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const locationController = require('../controllers/locationController');
+const { requireAuth } = require('../middleware/auth');
+const { validateSavedLocation } = require('../middleware/validator');
+
+/**
+ * Saved Location Routes (authenticated)
+ * Base path: /api/v1/locations
+ */
+
+router.use(requireAuth);
+
+// List / save locations
+// GET /api/v1/locations, POST /api/v1/locations
+// Body (POST): { name, lat, lon, elevation? }
+router.get('/', locationController.list);
+router.post('/', validateSavedLocation, locationController.create);
+
+// Read / replace / delete one location
+// GET, PUT, DELETE /api/v1/locations/:id
+router.get('/:id', locationController.get);
+router.put('/:id', validateSavedLocation, locationController.update);
+router.delete('/:id', locationController.remove);
+
+module.exports = router;
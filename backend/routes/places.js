@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const placeController = require('../controllers/placeController');
+const { validatePlaceSearchQuery, validatePlaceReverseQuery } = require('../middleware/validator');
+
+/**
+ * Place Routes
+ * Base path: /api/v1/places
+ */
+
+// Search places by name; "Name, admin1 or country" narrows the search
+// GET /api/v1/places/search?q=Denver, CO&limit=10&country=US
+router.get('/search', validatePlaceSearchQuery, placeController.search);
+
+// Nearest place to a point: display name, timezone and country
+// GET /api/v1/places/reverse?lat=39.74&lon=-104.99
+router.get('/reverse', validatePlaceReverseQuery, placeController.reverse);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const planController = require('../controllers/planController');
+const { requireAuth } = require('../middleware/auth');
+const { quotaCost } = require('../middleware/quota');
+const { validateEventPlan } = require('../middleware/validator');
+
+/**
+ * Event Plan Routes (authenticated)
+ * Base path: /api/v1/plans
+ */
+
+router.use(requireAuth);
+
+// List / create plans
+// GET /api/v1/plans, POST /api/v1/plans
+// Body (POST): { name, location: { lat, lon, elevation?, name? } or locationId, dateRange: { start, end },
+//                thresholds: [{ variable, threshold, spanMode?, consecutiveDays? }], notes?, source?, yearRange? }
+router.get('/', planController.list);
+router.post('/', validateEventPlan, planController.create);
+
+// Read / replace / delete one plan
+// GET, PUT, DELETE /api/v1/plans/:id
+router.get('/:id', planController.get);
+router.put('/:id', validateEventPlan, planController.update);
+router.delete('/:id', planController.remove);
+
+// Recompute the plan's probabilities and report what changed since the last run
+// POST /api/v1/plans/:id/run
+router.post('/:id/run', quotaCost('query'), planController.run);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const usageController = require('../controllers/usageController');
+
+/**
+ * Usage Routes
+ * Base path: /api/v1/usage
+ */
+
+// Quota consumption of the caller in the burst, daily and monthly windows
+// GET /api/v1/usage
+router.get('/', usageController.getUsage);
+
+module.exports = router;
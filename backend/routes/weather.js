@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const weatherController = require('../controllers/weatherController');
-const { validateWeatherQuery } = require('../middleware/validator');
+const adminController = require('../controllers/adminController');
+const { validateWeatherQuery, validateMultiQuery, validateAreaQuery } = require('../middleware/validator');
+const { requireAuth, authorize } = require('../middleware/auth');
+const audit = require('../middleware/audit');
+const { quotaCost } = require('../middleware/quota');
 
 /**
  * Weather API Routes
@@ -10,24 +14,46 @@ const { validateWeatherQuery } = require('../middleware/validator');
 
 // Main query endpoint
 // POST /api/v1/weather/query
-// Body: { lat, lon, dayOfYear (or date), variable, threshold?, window?, yearRange? }
-router.post('/query', validateWeatherQuery, weatherController.query);
+// Body: { lat, lon, dayOfYear (or date), variable, threshold?, window?, yearRange?, source? }
+//   or: { lat, lon, dateRange: { start, end }, spanMode?, consecutiveDays?, variable, threshold, ... }
+// Add ?async=true to queue the query and poll GET /jobs/:id
+// Queries computed from provider data (not cached) cost more quota units
+router.post('/query', quotaCost('query'), validateWeatherQuery, weatherController.query);
+
+// Multi-variable joint-probability query
+// POST /api/v1/weather/query/multi
+// Body: { lat, lon, dayOfYear (or date), conditions: [{ variable, operator, threshold }], logic?, ... }
+//   or: { lat, lon, dayOfYear (or date), expression: "temperature > 32 AND humidity > 60", ... }
+router.post('/query/multi', quotaCost('query'), validateMultiQuery, weatherController.queryMulti);
+
+// Area query over a bounding box or GeoJSON polygon
+// POST /api/v1/weather/query/area
+// Body: { bbox: [minLon, minLat, maxLon, maxLat] or polygon: GeoJSON Polygon, variable, threshold, dayOfYear (or date), ... }
+router.post('/query/area', quotaCost('area'), validateAreaQuery, weatherController.queryArea);
+
+// Async job status and result
+// GET /api/v1/weather/jobs/:id
+router.get('/jobs/:id', weatherController.getJob);
 
 // Download CSV export
 // GET /api/v1/weather/download/:filename
 router.get('/download/:filename', weatherController.downloadCSV);
 
-// Get query history
+// Get the caller's query history (authenticated)
 // GET /api/v1/weather/history?page=1&limit=20
-router.get('/history', weatherController.getHistory);
+router.get('/history', requireAuth, weatherController.getHistory);
 
-// Get cache statistics (useful for debugging)
+// Get cache statistics (admin)
 // GET /api/v1/weather/cache-stats
-router.get('/cache-stats', weatherController.getCacheStats);
+router.get('/cache-stats', authorize('admin'), weatherController.getCacheStats);
 
-// Clear cache (admin endpoint)
+// Clear cache (admin, audited) - same as DELETE /api/v1/admin/cache
 // DELETE /api/v1/weather/cache
-router.delete('/cache', weatherController.clearCache);
+router.delete('/cache', authorize('admin'), audit('cache.flush'), adminController.flushCache);
+
+// Get registered data sources (providers)
+// GET /api/v1/weather/sources
+router.get('/sources', weatherController.getSources);
 
 // Get supported variables and their metadata
 // GET /api/v1/weather/variables
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * NetCDF Archive Index CLI
+ *
+ * Usage:
+ *   node scripts/archiveIndex.js build  [directory]   Scan granules and write index.json
+ *   node scripts/archiveIndex.js verify [directory]   Check indexed granules against the disk
+ *
+ * The directory defaults to NETCDF_ARCHIVE_DIR (see config/nasa.js).
+ * `verify` exits with code 1 when granules are missing, changed, unreadable or not indexed.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const nasaConfig = require('../config/nasa');
+const { NetcdfArchive } = require('../services/netcdfArchive');
+
+const [command, directory] = process.argv.slice(2);
+
+const archive = new NetcdfArchive({
+  ...nasaConfig.netcdfArchive,
+  directory: directory ? path.resolve(directory) : nasaConfig.netcdfArchive.directory
+});
+
+const build = () => {
+  const index = archive.saveIndex(archive.buildIndex());
+
+  const counts = {};
+  index.files.forEach(entry => {
+    counts[entry.dataset] = (counts[entry.dataset] || 0) + 1;
+  });
+  Object.entries(counts).forEach(([dataset, count]) => {
+    const { fields, yearRange } = archive.summary(dataset);
+    console.log(`   ${dataset}: ${count} granules, ${yearRange.start}-${yearRange.end}, fields ${fields.join(', ')}`);
+  });
+  index.skipped.forEach(entry => console.warn(`⚠️  Skipped ${entry.path}: ${entry.reason}`));
+
+  console.log(`✅ Wrote ${archive.indexPath()}`);
+  return 0;
+};
+
+const verify = () => {
+  const { checked, problems, unindexed } = archive.verify();
+
+  problems.forEach(entry => console.error(`❌ ${entry.path}: ${entry.problem}`));
+  unindexed.forEach(file => console.warn(`⚠️  ${file}: not indexed`));
+
+  if (problems.length > 0 || unindexed.length > 0) {
+    console.error(`❌ ${problems.length} problem(s), ${unindexed.length} unindexed granule(s) - rerun "build"`);
+    return 1;
+  }
+
+  console.log(`✅ ${checked} granules verified`);
+  return 0;
+};
+
+const commands = { build, verify };
+
+if (!commands[command]) {
+  console.error('Usage: node scripts/archiveIndex.js <build|verify> [directory]');
+  process.exit(2);
+}
+
+process.exit(commands[command]());
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * DEM Tile Builder
+ *
+ * Usage:
+ *   node scripts/buildDem.js <grid.asc> [directory] [--tile-size 10] [--clamp-negative]
+ *
+ * Converts an ESRI ASCII grid (e.g. ETOPO or GMTED resampled to a few arc-minutes:
+ * `gdal_translate -of AAIGrid -tr 0.0833333 0.0833333 input.tif dem.asc`) into the
+ * tile set read by services/elevation.js. The directory defaults to DEM_DIR.
+ * --clamp-negative turns bathymetry (negative heights) into sea level.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const nasaConfig = require('../config/nasa');
+const { Elevation } = require('../services/elevation');
+
+const NODATA = -32768;
+
+const args = process.argv.slice(2);
+const flag = name => {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  const [, value] = args.splice(i, 2);
+  return value;
+};
+const clampNegative = args.includes('--clamp-negative');
+if (clampNegative) args.splice(args.indexOf('--clamp-negative'), 1);
+const tileSize = parseInt(flag('--tile-size')) || 10;
+const [input, directory = nasaConfig.elevation.directory] = args;
+
+const fail = message => {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+};
+
+const build = async () => {
+  if (!input) {
+    console.error('Usage: node scripts/buildDem.js <grid.asc> [directory] [--tile-size 10] [--clamp-negative]');
+    process.exit(2);
+  }
+
+  const lines = readline.createInterface({ input: fs.createReadStream(input), crlfDelay: Infinity });
+  const header = {};
+  const tiles = new Map();
+  const naming = new Elevation({ directory });
+  let row = 0;
+  let size;
+
+  for await (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+
+    // Header: "ncols 480", "xllcorner -80", ...
+    if (row === 0 && /^[a-z_]+\s/i.test(trimmed)) {
+      const [key, value] = trimmed.split(/\s+/);
+      header[key.toLowerCase()] = parseFloat(value);
+      continue;
+    }
+
+    if (size === undefined) {
+      const { ncols, nrows, cellsize } = header;
+      if (!ncols || !nrows || !cellsize) fail('Not an ESRI ASCII grid (ncols, nrows, cellsize required)');
+
+      // Corner of the grid, whether given as corner or centre of the first cell
+      header.west = header.xllcorner ?? header.xllcenter - cellsize / 2;
+      header.south = header.yllcorner ?? header.yllcenter - cellsize / 2;
+
+      size = Math.round(tileSize / cellsize);
+      const aligned = v => Math.abs(v / cellsize - Math.round(v / cellsize)) < 1e-6;
+      if (!aligned(tileSize) || !aligned(header.west) || !aligned(header.south)) {
+        fail(`Tile size and grid corner must be multiples of the cell size (${cellsize}°)`);
+      }
+    }
+
+    const values = trimmed.split(/\s+/).map(Number);
+    if (values.length !== header.ncols) fail(`Row ${row + 1} has ${values.length} values, expected ${header.ncols}`);
+
+    // Rows run from north to south
+    const lat = header.south + (header.nrows - row - 0.5) * header.cellsize;
+    values.forEach((value, col) => {
+      const lon = header.west + (col + 0.5) * header.cellsize;
+      const lat0 = Math.floor(lat / tileSize) * tileSize;
+      const lon0 = Math.floor(lon / tileSize) * tileSize;
+      const name = naming.tileName(lat0, lon0);
+
+      if (!tiles.has(name)) tiles.set(name, new Int16Array(size * size).fill(NODATA));
+
+      let height = value === header.nodata_value || isNaN(value) ? NODATA : Math.round(value);
+      if (clampNegative && height !== NODATA && height < 0) height = 0;
+
+      const tileRow = Math.floor((lat - lat0) / header.cellsize);
+      const tileCol = Math.floor((lon - lon0) / header.cellsize);
+      tiles.get(name)[tileRow * size + tileCol] = height;
+    });
+    row++;
+  }
+
+  if (row !== header.nrows) fail(`Expected ${header.nrows} rows, found ${row}`);
+
+  fs.mkdirSync(directory, { recursive: true });
+  tiles.forEach((data, name) => {
+    fs.writeFileSync(path.join(directory, `${name}.i16`), Buffer.from(data.buffer));
+  });
+
+  fs.writeFileSync(path.join(directory, 'index.json'), JSON.stringify({
+    version: 1,
+    resolution: header.cellsize,
+    tileSize,
+    nodata: NODATA,
+    source: path.basename(input),
+    builtAt: new Date().toISOString(),
+    tiles: Array.from(tiles.keys()).sort()
+  }, null, 2));
+
+  console.log(`✅ Wrote ${tiles.size} tiles (${header.cellsize}°, ${tileSize}° tiles) to ${directory}`);
+};
+
+build().catch(error => fail(error.message));
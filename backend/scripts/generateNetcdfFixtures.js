@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Generate the synthetic NetCDF-4/HDF5 granules in tests/fixtures/netcdf
+ *
+ * Usage: node scripts/generateNetcdfFixtures.js
+ *
+ * Each granule is a 3 x 3 cell cut of the real MERRA-2 / IMERG grid around
+ * New York with the real file names, variable names, dimension order and
+ * fill values, and the same centre values as the OPeNDAP fixtures. MERRA-2
+ * values are chunked and deflated like the real granules, IMERG values are
+ * stored contiguously, so both layouts are read.
+ * Needs the h5wasm dev dependency (an ES module, hence the dynamic import).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'netcdf');
+
+// Centre cells: MERRA-2 (40.5, -73.75), IMERG (40.75, -74.05)
+const MERRA2_LAT = [40, 40.5, 41];
+const MERRA2_LON = [-74.375, -73.75, -73.125];
+const IMERG_LAT = [40.65, 40.75, 40.85];
+const IMERG_LON = [-74.15, -74.05, -73.95];
+
+const MERRA2_FILL = 1e15;
+const IMERG_FILL = -9999.9;
+
+const merra2 = [
+  { date: '20210703', centre: 298.65 },
+  { date: '20210704', centre: 300.15 },
+  { date: '20210705', centre: MERRA2_FILL }
+];
+
+const imerg = [
+  { date: '20210703', centre: 12.5 },
+  { date: '20210704', centre: 0 }
+];
+
+/**
+ * 3 x 3 values with the given centre, neighbours offset so a wrong cell is noticed
+ */
+const grid = centre => Float32Array.from({ length: 9 }, (_, i) => (i === 4 ? centre : centre + (i - 4) * 0.5));
+
+const writeGranule = (h5wasm, relativePath, build) => {
+  const filepath = path.join(FIXTURE_DIR, relativePath);
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+
+  const file = new h5wasm.File(filepath, 'w');
+  build(file);
+  file.close();
+  console.log(`✅ ${relativePath}`);
+};
+
+const coordinate = (file, name, values, units) => {
+  const dataset = file.create_dataset({ name, data: new Float64Array(values) });
+  dataset.create_attribute('units', units);
+};
+
+const main = async () => {
+  const h5wasm = await import('h5wasm/node');
+  await h5wasm.ready;
+
+  fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+
+  merra2.forEach(({ date, centre }) => {
+    const name = `MERRA2/${date.slice(0, 4)}/${date.slice(4, 6)}/MERRA2_400.statD_2d_slv_Nx.${date}.nc4`;
+    writeGranule(h5wasm, name, file => {
+      file.create_attribute('RangeBeginningDate', `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}`);
+      coordinate(file, 'lat', MERRA2_LAT, 'degrees_north');
+      coordinate(file, 'lon', MERRA2_LON, 'degrees_east');
+
+      // [time][lat][lon]
+      const values = grid(300);
+      values[4] = centre;
+      const t2m = file.create_dataset({ name: 'T2MMEAN', data: values, shape: [1, 3, 3], chunks: [1, 2, 2], compression: 'gzip' });
+      t2m.create_attribute('units', 'K');
+      t2m.create_attribute('_FillValue', new Float32Array([MERRA2_FILL]));
+    });
+  });
+
+  imerg.forEach(({ date, centre }) => {
+    const name = `IMERG/3B-DAY.MS.MRG.3IMERG.${date}-S000000-E235959.V06.nc4`;
+    writeGranule(h5wasm, name, file => {
+      coordinate(file, 'lat', IMERG_LAT, 'degrees_north');
+      coordinate(file, 'lon', IMERG_LON, 'degrees_east');
+
+      // [time][lon][lat]
+      const values = grid(5);
+      values[4] = centre;
+      const precip = file.create_dataset({ name: 'precipitationCal', data: values, shape: [1, 3, 3] });
+      precip.create_attribute('units', 'mm');
+      precip.create_attribute('_FillValue', new Float32Array([IMERG_FILL]));
+    });
+  });
+
+  // Not a granule of a known dataset: must be skipped by the index
+  writeGranule(h5wasm, 'other/unrelated.h5', file => {
+    file.create_dataset({ name: 'foo', data: new Float32Array([1, 2, 3]) });
+  });
+};
+
+main().catch(error => {
+  console.error('❌ Fixture generation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Gazetteer Loader
+ *
+ * Usage:
+ *   node scripts/loadGazetteer.js [directory] [--cities cities15000.txt]
+ *
+ * Replaces the places collection with a GeoNames cities extract and its
+ * admin1CodesASCII.txt and countryInfo.txt (https://download.geonames.org/export/dump/).
+ * The directory and cities file default to GAZETTEER_DIR and
+ * GAZETTEER_CITIES_FILE (the bundled sample). Connects to MONGODB_URI.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const gazetteerConfig = require('../config/gazetteer');
+const Place = require('../models/Place');
+const { readGazetteer } = require('../utils/geonames');
+
+const BATCH_SIZE = 1000;
+
+const args = process.argv.slice(2);
+const citiesFlag = args.indexOf('--cities');
+const cities = citiesFlag === -1 ? gazetteerConfig.files.cities : args.splice(citiesFlag, 2)[1];
+const [directory = gazetteerConfig.directory] = args;
+
+const run = async () => {
+  let places;
+  try {
+    places = readGazetteer(directory, { ...gazetteerConfig.files, cities });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+  if (places.length === 0) {
+    console.error(`❌ No places in ${directory}/${cities}`);
+    return 1;
+  }
+
+  await connectDB();
+
+  try {
+    await Place.deleteMany({});
+    for (let i = 0; i < places.length; i += BATCH_SIZE) {
+      await Place.insertMany(places.slice(i, i + BATCH_SIZE).map(place => ({
+        ...place,
+        location: { type: 'Point', coordinates: [place.lon, place.lat] }
+      })));
+    }
+    await Place.syncIndexes();
+
+    console.log(`✅ Loaded ${places.length} places from ${directory}/${cities}`);
+    return 0;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().then(code => process.exit(code));
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * User Role CLI
+ *
+ * Usage:
+ *   node scripts/setRole.js <email> <user|admin>
+ *
+ * Connects to MONGODB_URI. The new role applies at once: admin routes read
+ * the account's current role rather than the one in its JWT.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const authService = require('../services/authService');
+const { ROLES } = require('../models/User');
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !ROLES.includes(role)) {
+  console.error(`Usage: node scripts/setRole.js <email> <${ROLES.join('|')}>`);
+  process.exit(2);
+}
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const user = await authService.setRole(email, role);
+    console.log(`✅ ${user.email} is now ${user.role}`);
+    return 0;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().then(code => process.exit(code));
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const db = require('../config/db');
+const User = require('../models/User');
+
+/**
+ * Auth Service
+ *
+ * Registration, login (JWT) and API keys. Tokens are stateless: a valid JWT
+ * identifies its user without a database lookup, so only logins, account
+ * endpoints and API keys need MongoDB.
+ */
+
+class AuthService {
+  /**
+   * Accounts live in MongoDB - without it they are unavailable
+   */
+  assertReady() {
+    if (!db.isConnected()) {
+      throw this.error('Accounts are unavailable: no database connection', 503);
+    }
+  }
+
+  /**
+   * Create an account
+   * @returns {Promise<Object>} {user, token}
+   */
+  async register({ email, password, name }) {
+    this.assertReady();
+
+    if (await User.exists({ email: email.toLowerCase() })) {
+      throw this.error('An account with this email already exists', 409);
+    }
+
+    const user = new User({ email, name });
+    await user.setPassword(password);
+    await user.save();
+
+    console.log(`👤 User registered: ${user.email}`);
+    return { user, token: this.signToken(user) };
+  }
+
+  /**
+   * Check credentials
+   * @returns {Promise<Object>} {user, token}
+   */
+  async login(email, password) {
+    this.assertReady();
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    // Same answer for unknown emails and wrong passwords
+    if (!user || !(await user.verifyPassword(password))) {
+      throw this.error('Invalid email or password', 401);
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+    return { user, token: this.signToken(user) };
+  }
+
+  /**
+   * Change the role of a user (scripts/setRole.js)
+   */
+  async setRole(email, role) {
+    this.assertReady();
+
+    const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { $set: { role } }, { new: true, runValidators: true });
+    if (!user) {
+      throw this.error(`No user with email ${email}`, 404);
+    }
+    return user;
+  }
+
+  async getUser(id) {
+    this.assertReady();
+
+    const user = await User.findById(id);
+    if (!user) {
+      throw this.error('User not found', 404);
+    }
+    return user;
+  }
+
+  signToken(user) {
+    return jwt.sign({ sub: user.id, email: user.email, role: user.role }, authConfig.jwt.secret, {
+      expiresIn: authConfig.jwt.expiresIn
+    });
+  }
+
+  /**
+   * Verify a JWT
+   * The role in the token is the one it was issued with; authorize() checks
+   * the current role (see currentRole()).
+   * @returns {Object} req.user for the token
+   * @throws JsonWebTokenError / TokenExpiredError (401 in errorHandler)
+   */
+  verifyToken(token) {
+    const payload = jwt.verify(token, authConfig.jwt.secret);
+    return { id: payload.sub, email: payload.email, role: payload.role || 'user', authMethod: 'jwt' };
+  }
+
+  /**
+   * Current role of an authenticated user, for access control
+   * API keys are looked up on every request, so their role is current; a JWT
+   * keeps its role for days, so it is read again from the account and a
+   * demotion applies at once.
+   * @throws 401 when the account no longer exists, 503 without a database
+   */
+  async currentRole(user) {
+    if (user.authMethod === 'apiKey') return user.role;
+
+    this.assertReady();
+    const account = mongoose.isValidObjectId(user.id) ? await User.findById(user.id).select('role') : null;
+    if (!account) {
+      throw this.error('This account no longer exists', 401);
+    }
+    return account.role;
+  }
+
+  /**
+   * New random API key
+   * @returns {Object} {key, prefix, keyHash}
+   */
+  generateApiKey() {
+    const key = `${authConfig.apiKeys.prefix}${crypto.randomBytes(24).toString('base64url')}`;
+    return { key, prefix: key.slice(0, authConfig.apiKeys.prefix.length + 6), keyHash: this.hashApiKey(key) };
+  }
+
+  hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Create an API key for a user
+   * @returns {Promise<Object>} {apiKey, key} - the key itself is only returned here
+   */
+  async createApiKey(userId, name) {
+    const user = await this.getUser(userId);
+    if (user.apiKeys.length >= authConfig.apiKeys.maxPerUser) {
+      throw this.error(`At most ${authConfig.apiKeys.maxPerUser} API keys per user; revoke one first`, 409);
+    }
+
+    const { key, prefix, keyHash } = this.generateApiKey();
+    user.apiKeys.push({ name, prefix, keyHash });
+    await user.save();
+
+    return { apiKey: user.describeApiKey(user.apiKeys[user.apiKeys.length - 1]), key };
+  }
+
+  async listApiKeys(userId) {
+    const user = await this.getUser(userId);
+    return user.apiKeys.map(apiKey => user.describeApiKey(apiKey));
+  }
+
+  async revokeApiKey(userId, apiKeyId) {
+    const user = await this.getUser(userId);
+    const apiKey = user.apiKeys.id(apiKeyId);
+    if (!apiKey) {
+      throw this.error('API key not found', 404);
+    }
+
+    apiKey.deleteOne();
+    await user.save();
+  }
+
+  /**
+   * Find the user of an API key
+   * @returns {Promise<Object>} req.user for the key
+   * @throws 401 for unknown or revoked keys
+   */
+  async verifyApiKey(key) {
+    this.assertReady();
+
+    const keyHash = this.hashApiKey(key);
+    const user = await User.findOne({ 'apiKeys.keyHash': keyHash });
+    if (!user) {
+      throw this.error('Invalid API key', 401);
+    }
+
+    const apiKey = user.apiKeys.find(k => k.keyHash === keyHash);
+
+    // Bookkeeping only - never delays or fails the request
+    User.updateOne(
+      { _id: user._id, 'apiKeys._id': apiKey._id },
+      { $set: { 'apiKeys.$.lastUsedAt': new Date() } }
+    ).catch(error => console.warn('⚠️  API key usage update failed:', error.message));
+
+    return { id: user.id, email: user.email, role: user.role, authMethod: 'apiKey', apiKeyId: apiKey.id };
+  }
+
+  error(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new AuthService();
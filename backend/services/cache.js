@@ -1,95 +1,302 @@
 const NodeCache = require('node-cache');
+const cacheConfig = require('../config/cache');
+const { createAdapter } = require('./cacheAdapters');
+const calendar = require('../utils/calendar');
 
 /**
  * Cache Service
  * 
- * In-memory cache for query results to improve performance
- * For production, consider Redis for distributed caching
+ * Caches query results to improve performance. The storage backend is
+ * pluggable (services/cacheAdapters): in-process memory, Redis or MongoDB.
+ * Backend errors are logged and treated as cache misses, so a cache outage
+ * never fails a query.
+ *
+ * wrap() adds stampede protection: concurrent misses for the same key share
+ * one computation, and with CACHE_STALE_TTL set an expired entry is served
+ * while a single background refresh replaces it (stale-while-revalidate).
+ *
+ * get()/set() keep their original synchronous contract: they work on this
+ * process's copy of the entries it set, and set() also writes the entry
+ * through to the backend. Code that needs entries shared between instances
+ * uses the async API (wrap, read, store).
  */
 
 class CacheService {
   constructor() {
-    // TTL in seconds (default 1 hour)
-    this.cache = new NodeCache({
-      stdTTL: parseInt(process.env.CACHE_TTL) || 3600,
+    this.ttl = cacheConfig.ttl;
+    this.staleTtl = cacheConfig.staleTtl;
+    this.adapter = createAdapter(cacheConfig);
+
+    // This process's copy behind get()/set()
+    this.local = new NodeCache({
+      stdTTL: this.ttl,
       checkperiod: 600, // Check for expired keys every 10 minutes
       useClones: false // Better performance, but be careful with mutations
     });
 
-    // Track stats
-    this.stats = {
-      hits: 0,
-      misses: 0,
-      sets: 0
-    };
+    // key -> promise of the computation currently running for it
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Swap the storage backend (e.g. a Redis stand-in in tests)
+   */
+  useAdapter(adapter) {
+    this.adapter = adapter;
+    this.local.flushAll();
+  }
+
+  /**
+   * Increment a shared counter without letting failures escape
+   */
+  async count(counter) {
+    try {
+      await this.adapter.increment(counter);
+    } catch (error) {
+      console.warn(`⚠️  Cache stats update failed (${this.adapter.name}):`, error.message);
+    }
   }
 
   /**
    * Generate cache key from query parameters
    */
   generateKey(params) {
-    const { lat, lon, variable, dayOfYear, window, yearRange } = params;
-    return `query:${lat}:${lon}:${variable}:${dayOfYear}:${window}:${yearRange.start}:${yearRange.end}`;
+    const { lat, lon, variable, window, yearRange, source, threshold, analysis = [], normals, interpolation = 'nearest', elevation, dateRange, spanMode, consecutiveDays } = params;
+    const normalsKey = normals
+      ? `${normals.early.start}-${normals.early.end}/${normals.recent.start}-${normals.recent.end}`
+      : '';
+    const spanKey = dateRange ? `${dateRange.start}/${dateRange.end}/${spanMode}/${consecutiveDays ?? ''}` : '';
+    return `query:${lat}:${lon}:${variable}:${calendar.anchorKey(params)}:${window}:${yearRange.start}:${yearRange.end}:${source || 'auto'}:${threshold ?? ''}:${[...analysis].sort().join(',')}:${normalsKey}:${interpolation}:${elevation ?? ''}:${spanKey}`;
   }
 
   /**
-   * Get value from cache
+   * Generate cache key for multi-variable queries
+   * @param {Object} params - Query parameters plus `providers`, the resolved provider id per variable
+   */
+  generateMultiKey(params) {
+    const { lat, lon, window, yearRange, providers, conditions, logic, interpolation = 'nearest' } = params;
+    const conditionKey = conditions
+      .map(c => `${c.variable}${c.operator}${c.threshold}`)
+      .join(',');
+    const providerKey = Object.keys(providers)
+      .sort()
+      .map(variable => `${variable}=${providers[variable]}`)
+      .join(',');
+    return `multi:${lat}:${lon}:${calendar.anchorKey(params)}:${window}:${yearRange.start}:${yearRange.end}:${providerKey}:${logic}:${conditionKey}:${interpolation}`;
+  }
+
+  /**
+   * Generate cache key for area queries
+   */
+  generateAreaKey(params) {
+    const { variable, polygon, window, yearRange, source, threshold } = params;
+    const areaKey = polygon.coordinates
+      .map(ring => ring.map(([lon, lat]) => `${lon},${lat}`).join(';'))
+      .join('|');
+    return `area:${variable}:${calendar.anchorKey(params)}:${window}:${yearRange.start}:${yearRange.end}:${source || 'auto'}:${threshold}:${areaKey}`;
+  }
+
+  /**
+   * Read an entry, whether fresh or stale
+   * Entries are stored as {value, freshUntil}; the backend keeps them for
+   * CACHE_STALE_TTL seconds after they stop being fresh.
+   * @returns {Promise<Object|null>} {value, stale} or null
+   */
+  async getEntry(key) {
+    let entry;
+    try {
+      entry = await this.adapter.get(key);
+    } catch (error) {
+      console.warn(`⚠️  Cache read failed (${this.adapter.name}):`, error.message);
+    }
+
+    if (entry === undefined) {
+      await this.count('misses');
+      console.log(`❌ Cache MISS: ${key}`);
+      return null;
+    }
+
+    const stale = Date.now() > entry.freshUntil;
+    await this.count('hits');
+    console.log(`🎯 Cache ${stale ? 'STALE HIT' : 'HIT'}: ${key}`);
+    return { value: entry.value, stale };
+  }
+
+  /**
+   * Read a value from the backend, whether fresh or stale
+   * @returns {Promise<*>} Cached value, or null when missing
+   */
+  async read(key) {
+    const entry = await this.getEntry(key);
+    return entry ? entry.value : null;
+  }
+
+  /**
+   * Get value from this process's cache
+   * @returns {*} Cached value, or null when missing or expired
    */
   get(key) {
-    const value = this.cache.get(key);
+    const value = this.local.get(key);
     if (value !== undefined) {
-      this.stats.hits++;
+      this.count('hits');
       console.log(`🎯 Cache HIT: ${key}`);
       return value;
     }
-    this.stats.misses++;
+    this.count('misses');
     console.log(`❌ Cache MISS: ${key}`);
     return null;
   }
 
   /**
-   * Set value in cache
+   * Set value in this process's cache and write it through to the backend
+   * @param {number} ttl - Optional TTL in seconds (default CACHE_TTL)
+   * @returns {boolean} Whether the value was stored locally
    */
   set(key, value, ttl = null) {
-    const success = ttl ? this.cache.set(key, value, ttl) : this.cache.set(key, value);
-    if (success) {
-      this.stats.sets++;
-      console.log(`💾 Cache SET: ${key}`);
-    }
+    const success = ttl ? this.local.set(key, value, ttl) : this.local.set(key, value);
+    this.store(key, value, ttl);
     return success;
   }
 
+  /**
+   * Store a value in the backend
+   * @param {number} ttl - Optional TTL in seconds (default CACHE_TTL)
+   * @returns {Promise<boolean>} Whether the value was stored
+   */
+  async store(key, value, ttl = null) {
+    const freshFor = ttl || this.ttl;
+    const entry = { value, freshUntil: Date.now() + freshFor * 1000 };
+
+    try {
+      await this.adapter.set(key, entry, Math.ceil(freshFor + this.staleTtl));
+    } catch (error) {
+      console.warn(`⚠️  Cache write failed (${this.adapter.name}):`, error.message);
+      return false;
+    }
+
+    await this.count('sets');
+    console.log(`💾 Cache SET: ${key}`);
+    return true;
+  }
+
+  /**
+   * Get a cached value or compute and cache it
+   * - fresh entry: returned as is
+   * - stale entry (CACHE_STALE_TTL > 0): returned immediately, refreshed in the background
+   * - miss: computed once, concurrent callers for the same key wait for the same promise
+   * @param {string} key - Cache key
+   * @param {Function} compute - async () => value
+   * @returns {Promise<Object>} {value, status: 'hit' | 'stale' | 'miss' | 'coalesced'}
+   */
+  async wrap(key, compute) {
+    const entry = await this.getEntry(key);
+
+    if (entry && !entry.stale) {
+      return { value: entry.value, status: 'hit' };
+    }
+
+    // Backends keep entries up to a second past their TTL, which is no stale window
+    if (entry && entry.stale && this.staleTtl > 0) {
+      this.coalesce(key, compute).catch(error => {
+        console.warn(`⚠️  Background refresh failed for ${key}:`, error.message);
+      });
+      return { value: entry.value, status: 'stale' };
+    }
+
+    const joined = this.inFlight.has(key);
+    const value = await this.coalesce(key, compute);
+    return { value, status: joined ? 'coalesced' : 'miss' };
+  }
+
+  /**
+   * Response body for a wrap() result: values served from the cache are
+   * flagged `cached` (and `stale` while a refresh is running)
+   */
+  annotate({ value, status }) {
+    if (status !== 'hit' && status !== 'stale') return value;
+    return { ...value, cached: true, ...(status === 'stale' && { stale: true }) };
+  }
+
+  /**
+   * Run compute() for a key unless it is already running, then cache the value
+   */
+  coalesce(key, compute) {
+    if (this.inFlight.has(key)) {
+      console.log(`🔗 Cache COALESCED: ${key}`);
+      return this.inFlight.get(key);
+    }
+
+    const promise = (async () => {
+      const value = await compute();
+      await this.store(key, value);
+      return value;
+    })().finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
   /**
    * Delete key from cache
    */
-  delete(key) {
-    return this.cache.del(key);
+  async delete(key) {
+    this.local.del(key);
+    return this.adapter.delete(key);
   }
 
   /**
    * Clear all cache
    */
-  flush() {
-    this.cache.flushAll();
+  async flush() {
+    this.local.flushAll();
+    await this.adapter.flush();
     console.log('🧹 Cache flushed');
   }
 
+  /**
+   * Keys of cached results matching a pattern (`*` and `?` wildcards), sorted
+   */
+  async keys(pattern = '*') {
+    return (await this.adapter.keys(pattern)).sort();
+  }
+
+  /**
+   * Evict the cached results matching a pattern
+   * @returns {Promise<number>} Number of evicted entries
+   */
+  async deleteMatching(pattern) {
+    const matcher = new RegExp(`^${this.adapter.patternSource(pattern)}$`);
+    this.local.del(this.local.keys().filter(key => matcher.test(key)));
+
+    const count = await this.adapter.deleteMatching(pattern);
+    console.log(`🧹 Cache evicted ${count} entries matching ${pattern}`);
+    return count;
+  }
+
   /**
    * Get cache statistics
+   * Counters come from the backend, so shared backends report totals across instances
    */
-  getStats() {
-    const keys = this.cache.keys();
-    const hitRate = this.stats.hits + this.stats.misses > 0
-      ? (this.stats.hits / (this.stats.hits + this.stats.misses) * 100).toFixed(2)
+  async getStats() {
+    const [keys, counters, info] = await Promise.all([
+      this.adapter.keyCount(),
+      this.adapter.counters(),
+      this.adapter.info()
+    ]);
+    const hitRate = counters.hits + counters.misses > 0
+      ? (counters.hits / (counters.hits + counters.misses) * 100).toFixed(2)
       : 0;
 
     return {
-      keys: keys.length,
-      hits: this.stats.hits,
-      misses: this.stats.misses,
-      sets: this.stats.sets,
+      backend: this.adapter.name,
+      keys,
+      hits: counters.hits,
+      misses: counters.misses,
+      sets: counters.sets,
       hitRate: `${hitRate}%`,
-      memoryUsage: this.cache.getStats()
+      inFlight: this.inFlight.size,
+      staleWhileRevalidate: this.staleTtl > 0,
+      ...info
     };
   }
 }
@@ -0,0 +1,96 @@
+/**
+ * Base Cache Adapter
+ *
+ * Common interface implemented by every cache backend behind services/cache.js.
+ * All methods are async; values are plain JSON-serialisable objects.
+ * Hit/miss/set counters are stored in the backend itself, so shared backends
+ * report statistics aggregated across all instances.
+ */
+
+class CacheAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * @returns {Promise<*>} Cached value, or undefined when missing or expired
+   */
+  async get(key) {
+    throw new Error(`Cache adapter '${this.name}' does not implement get`);
+  }
+
+  /**
+   * @param {number} ttl - Time to live in seconds
+   */
+  async set(key, value, ttl) {
+    throw new Error(`Cache adapter '${this.name}' does not implement set`);
+  }
+
+  async delete(key) {
+    throw new Error(`Cache adapter '${this.name}' does not implement delete`);
+  }
+
+  /**
+   * Remove all cached entries (counters are kept)
+   */
+  async flush() {
+    throw new Error(`Cache adapter '${this.name}' does not implement flush`);
+  }
+
+  /**
+   * Keys of the entries matching a pattern
+   * @param {string} pattern - `*` matches any characters, `?` a single one
+   * @returns {Promise<Array>} Keys as passed to set()
+   */
+  async keys(pattern) {
+    throw new Error(`Cache adapter '${this.name}' does not implement keys`);
+  }
+
+  /**
+   * Remove the entries matching a pattern (see keys())
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async deleteMatching(pattern) {
+    throw new Error(`Cache adapter '${this.name}' does not implement deleteMatching`);
+  }
+
+  /**
+   * Anchored regular expression source for a key pattern
+   */
+  patternSource(pattern) {
+    return pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+  }
+
+  /**
+   * Number of cached entries
+   */
+  async keyCount() {
+    throw new Error(`Cache adapter '${this.name}' does not implement keyCount`);
+  }
+
+  /**
+   * Increment a statistics counter (hits, misses, sets)
+   */
+  async increment(counter) {
+    throw new Error(`Cache adapter '${this.name}' does not implement increment`);
+  }
+
+  /**
+   * @returns {Promise<Object>} {hits, misses, sets}
+   */
+  async counters() {
+    throw new Error(`Cache adapter '${this.name}' does not implement counters`);
+  }
+
+  /**
+   * Backend specific details for GET /cache-stats
+   */
+  async info() {
+    return {};
+  }
+}
+
+module.exports = CacheAdapter;
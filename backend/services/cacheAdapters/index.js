@@ -0,0 +1,40 @@
+const MemoryAdapter = require('./memoryAdapter');
+const RedisAdapter = require('./redisAdapter');
+const MongoAdapter = require('./mongoAdapter');
+
+/**
+ * Cache Adapter Factory
+ *
+ * Builds the backend selected by config/cache.js (CACHE_BACKEND)
+ */
+
+const createAdapter = (config) => {
+  switch (config.backend) {
+    case 'memory':
+      return new MemoryAdapter({ ttl: config.ttl });
+
+    case 'redis': {
+      const Redis = require('ioredis');
+      const client = new Redis(config.redis.url, {
+        // Fail fast while Redis is down; the cache service treats errors as misses
+        maxRetriesPerRequest: 1,
+        enableOfflineQueue: false
+      });
+      client.on('error', error => console.warn('⚠️  Redis cache error:', error.message));
+      return new RedisAdapter({ client, prefix: config.prefix });
+    }
+
+    case 'mongo':
+      return new MongoAdapter({ prefix: config.prefix });
+
+    default:
+      throw new Error(`Unknown CACHE_BACKEND '${config.backend}' (expected memory, redis or mongo)`);
+  }
+};
+
+module.exports = {
+  createAdapter,
+  MemoryAdapter,
+  RedisAdapter,
+  MongoAdapter
+};
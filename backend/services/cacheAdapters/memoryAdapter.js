@@ -0,0 +1,65 @@
+const NodeCache = require('node-cache');
+const CacheAdapter = require('./baseAdapter');
+
+/**
+ * Memory Cache Adapter
+ *
+ * In-process NodeCache. Fast, but every instance has its own cache and
+ * counters, and everything is lost on restart.
+ */
+
+class MemoryAdapter extends CacheAdapter {
+  constructor({ ttl }) {
+    super('memory');
+
+    this.cache = new NodeCache({
+      stdTTL: ttl,
+      checkperiod: 600, // Check for expired keys every 10 minutes
+      useClones: false // Better performance, but be careful with mutations
+    });
+    this.stats = { hits: 0, misses: 0, sets: 0 };
+  }
+
+  async get(key) {
+    return this.cache.get(key);
+  }
+
+  async set(key, value, ttl) {
+    return ttl ? this.cache.set(key, value, ttl) : this.cache.set(key, value);
+  }
+
+  async delete(key) {
+    return this.cache.del(key) > 0;
+  }
+
+  async flush() {
+    this.cache.flushAll();
+  }
+
+  async keys(pattern) {
+    const matcher = new RegExp(`^${this.patternSource(pattern)}$`);
+    return this.cache.keys().filter(key => matcher.test(key));
+  }
+
+  async deleteMatching(pattern) {
+    return this.cache.del(await this.keys(pattern));
+  }
+
+  async keyCount() {
+    return this.cache.keys().length;
+  }
+
+  async increment(counter) {
+    this.stats[counter]++;
+  }
+
+  async counters() {
+    return { ...this.stats };
+  }
+
+  async info() {
+    return { memoryUsage: this.cache.getStats() };
+  }
+}
+
+module.exports = MemoryAdapter;
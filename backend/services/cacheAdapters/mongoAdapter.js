@@ -0,0 +1,99 @@
+const CacheAdapter = require('./baseAdapter');
+const CacheEntry = require('../../models/CacheEntry');
+const CacheCounter = require('../../models/CacheCounter');
+
+/**
+ * MongoDB Cache Adapter
+ *
+ * Persists cached results in the application database so they survive
+ * restarts and are shared by all instances. MongoDB's TTL monitor only runs
+ * once a minute, so expiry is also checked on read.
+ */
+
+class MongoAdapter extends CacheAdapter {
+  constructor({ prefix }) {
+    super('mongo');
+    this.prefix = prefix;
+  }
+
+  entryKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async get(key) {
+    const entry = await CacheEntry.findOne({
+      key: this.entryKey(key),
+      expiresAt: { $gt: new Date() }
+    }).lean();
+    return entry ? JSON.parse(entry.value) : undefined;
+  }
+
+  async set(key, value, ttl) {
+    await CacheEntry.updateOne(
+      { key: this.entryKey(key) },
+      { $set: { value: JSON.stringify(value), expiresAt: new Date(Date.now() + ttl * 1000) } },
+      { upsert: true }
+    );
+    return true;
+  }
+
+  async delete(key) {
+    const { deletedCount } = await CacheEntry.deleteOne({ key: this.entryKey(key) });
+    return deletedCount > 0;
+  }
+
+  /**
+   * Filter matching every entry with this prefix
+   */
+  prefixFilter() {
+    const escaped = this.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return { key: { $regex: `^${escaped}` } };
+  }
+
+  /**
+   * Filter matching the entries of a key pattern
+   */
+  patternFilter(pattern) {
+    const escaped = this.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return { key: { $regex: `^${escaped}${this.patternSource(pattern)}$` } };
+  }
+
+  async keys(pattern) {
+    const entries = await CacheEntry.find(
+      { ...this.patternFilter(pattern), expiresAt: { $gt: new Date() } },
+      { key: 1 }
+    ).lean();
+    return entries.map(entry => entry.key.slice(this.prefix.length));
+  }
+
+  async deleteMatching(pattern) {
+    const { deletedCount } = await CacheEntry.deleteMany(this.patternFilter(pattern));
+    return deletedCount;
+  }
+
+  async flush() {
+    await CacheEntry.deleteMany(this.prefixFilter());
+  }
+
+  async keyCount() {
+    return CacheEntry.countDocuments({
+      ...this.prefixFilter(),
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  async increment(counter) {
+    await CacheCounter.updateOne({ _id: this.prefix }, { $inc: { [counter]: 1 } }, { upsert: true });
+  }
+
+  async counters() {
+    const doc = await CacheCounter.findById(this.prefix).lean();
+    return {
+      hits: doc ? doc.hits : 0,
+      misses: doc ? doc.misses : 0,
+      sets: doc ? doc.sets : 0
+    };
+  }
+}
+
+module.exports = MongoAdapter;
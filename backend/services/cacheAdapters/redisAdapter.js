@@ -0,0 +1,96 @@
+const CacheAdapter = require('./baseAdapter');
+
+/**
+ * Redis Cache Adapter
+ *
+ * Shared cache for several API instances. Entries are JSON strings stored
+ * under `<prefix>entry:<key>` with a Redis TTL; counters live in the
+ * `<prefix>stats` hash.
+ */
+
+class RedisAdapter extends CacheAdapter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - ioredis (or compatible) client
+   * @param {string} options.prefix - Key prefix
+   */
+  constructor({ client, prefix }) {
+    super('redis');
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  entryKey(key) {
+    return `${this.prefix}entry:${key}`;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.entryKey(key));
+    return raw === null ? undefined : JSON.parse(raw);
+  }
+
+  async set(key, value, ttl) {
+    await this.client.set(this.entryKey(key), JSON.stringify(value), 'EX', ttl);
+    return true;
+  }
+
+  async delete(key) {
+    return (await this.client.del(this.entryKey(key))) > 0;
+  }
+
+  /**
+   * Iterate over entry keys with SCAN (KEYS would block the server)
+   * @param {string} pattern - Key pattern, `*` and `?` wildcards. SCAN only narrows by
+   *   the pattern with `?` and glob characters widened to `*` (glob escaping varies by
+   *   server); keys are then checked exactly here.
+   */
+  async scanEntries(onBatch, pattern = '*') {
+    const match = this.entryKey(pattern.replace(/[?[\]\\]+/g, '*'));
+    const exact = new RegExp(`^${this.patternSource(this.entryKey(pattern))}$`);
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', match, 'COUNT', 500);
+      cursor = next;
+      const matching = keys.filter(key => exact.test(key));
+      if (matching.length > 0) await onBatch(matching);
+    } while (cursor !== '0');
+  }
+
+  async flush() {
+    await this.scanEntries(keys => this.client.del(...keys));
+  }
+
+  async keys(pattern) {
+    const found = [];
+    const offset = this.entryKey('').length;
+    await this.scanEntries(keys => { found.push(...keys.map(key => key.slice(offset))); }, pattern);
+    return found;
+  }
+
+  async deleteMatching(pattern) {
+    let count = 0;
+    await this.scanEntries(async keys => { count += await this.client.del(...keys); }, pattern);
+    return count;
+  }
+
+  async keyCount() {
+    let count = 0;
+    await this.scanEntries(keys => { count += keys.length; });
+    return count;
+  }
+
+  async increment(counter) {
+    await this.client.hincrby(`${this.prefix}stats`, counter, 1);
+  }
+
+  async counters() {
+    const stats = await this.client.hgetall(`${this.prefix}stats`);
+    return {
+      hits: parseInt(stats.hits) || 0,
+      misses: parseInt(stats.misses) || 0,
+      sets: parseInt(stats.sets) || 0
+    };
+  }
+}
+
+module.exports = RedisAdapter;
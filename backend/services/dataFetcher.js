@@ -1,16 +1,66 @@
-const axios = require('axios');
 const nasaConfig = require('../config/nasa');
+const providers = require('./providers');
+const processor = require('./processor');
+const seriesCache = require('./seriesCache');
+const geo = require('../utils/geo');
+const calendar = require('../utils/calendar');
 
 /**
  * Data Fetcher Service
  * 
  * Handles fetching historical weather data from NASA sources
- * Currently implements mock data - will be extended to real NASA APIs
+ * The actual source is picked from the provider registry (services/providers)
  */
 
 class DataFetcher {
   constructor() {
     this.config = nasaConfig;
+    this.providers = providers;
+  }
+
+  /**
+   * Resolve which data provider serves a query
+   * @param {string} variable - Variable name
+   * @param {object} yearRange - {start, end} years
+   * @param {string} source - Optional provider id requested by the client
+   * @returns {DataProvider}
+   */
+  resolveProvider(variable, yearRange, source = null) {
+    const derived = this.config.derivedVariables[variable];
+    if (!derived) {
+      return this.providers.resolve(variable, yearRange, source);
+    }
+
+    // Derived variables are served by whichever providers serve their inputs
+    const resolved = new Map();
+    derived.inputs.forEach(input => {
+      const provider = this.providers.resolve(input, yearRange, source);
+      resolved.set(provider.id, provider);
+    });
+
+    const list = Array.from(resolved.values());
+    if (list.length === 1) {
+      return list[0];
+    }
+    return {
+      id: list.map(p => p.id).join('+'),
+      name: list.map(p => p.name).join(' + ')
+    };
+  }
+
+  /**
+   * Grid used to enumerate the cells of an area query
+   * Sources without a native grid use the default (MERRA-2) grid
+   */
+  getGrid(provider) {
+    return provider.grid || this.config.area.defaultGrid;
+  }
+
+  /**
+   * Get the configuration of a raw or derived variable
+   */
+  getVariableConfig(variable) {
+    return this.config.variables[variable] || this.config.derivedVariables[variable] || null;
   }
 
   /**
@@ -21,146 +71,199 @@ class DataFetcher {
    * @param {number} dayOfYear - Target day of year (1-366)
    * @param {number} window - Window around target day (±days)
    * @param {object} yearRange - {start, end} years
+   * @param {object} options - {source} optional provider id, {interpolation}, {alignment, date} window
+   *   alignment (see utils/calendar.js), {dateRange} fetch the span's days in every year instead of the
+   *   ±window (dayOfYear and window are then ignored), {onProgress} callback (done, total)
    * @returns {Promise<Array>} Array of {date, value} objects
    */
-  async fetchPointTimeSeries(lat, lon, variable, dayOfYear, window, yearRange) {
-    console.log(`📡 Fetching data for: lat=${lat}, lon=${lon}, variable=${variable}, day=${dayOfYear}`);
-
-    // For hackathon: Start with mock data generator
-    // TODO: Replace with real NASA API calls
-    const useMockData = process.env.USE_MOCK_DATA !== 'false';
-
-    if (useMockData) {
-      return this.generateMockData(lat, lon, variable, dayOfYear, window, yearRange);
-    } else {
-      // Real NASA API integration
-      return this.fetchRealNASAData(lat, lon, variable, dayOfYear, window, yearRange);
+  async fetchPointTimeSeries(lat, lon, variable, dayOfYear, window, yearRange, options = {}) {
+    const derived = this.config.derivedVariables[variable];
+    if (derived) {
+      const inputSeries = await this.fetchMultipleVariables(lat, lon, derived.inputs, dayOfYear, window, yearRange, options);
+      const seriesByVariable = {};
+      derived.inputs.forEach((input, i) => {
+        seriesByVariable[input] = inputSeries[i];
+      });
+      return processor.deriveSeries(variable, seriesByVariable);
+    }
+
+    const provider = this.resolveProvider(variable, yearRange, options.source);
+
+    // Nearby coordinates share grid cells, and their cached raw series
+    const method = options.interpolation || 'nearest';
+    const cells = this.getSpatialCells(provider, lat, lon, method).filter(cell => cell.weight > 0);
+
+    console.log(`📡 Fetching data from ${provider.id}: cells=${cells.map(c => `(${c.lat}, ${c.lon})`).join(' ')}, variable=${variable}, day=${dayOfYear}, interpolation=${method}`);
+
+    const days = options.dateRange
+      ? this.buildSpans(options.dateRange, yearRange, options).flatMap(span => span.days)
+      : this.buildTargetDays(dayOfYear, window, yearRange, options);
+
+    // Combined progress across the cells
+    const progress = cells.map(() => 0);
+    const onCellProgress = i => done => {
+      progress[i] = done;
+      options.onProgress(progress.reduce((sum, d) => sum + d, 0), days.length * cells.length);
+    };
+
+    try {
+      const seriesList = await Promise.all(cells.map((cell, i) =>
+        seriesCache.fetchDays(provider, { lat: cell.lat, lon: cell.lon }, variable, days, {
+          onProgress: options.onProgress ? onCellProgress(i) : undefined
+        }).catch(error => {
+          // A cell without data (e.g. beyond a regional archive) only drops out of the interpolation
+          if (error.statusCode === 404 && cells.length > 1) return null;
+          throw error;
+        })
+      ));
+
+      if (seriesList.every(series => series === null)) {
+        const error = new Error(`No ${variable} data around ${lat}, ${lon}`);
+        error.statusCode = 404;
+        throw error;
+      }
+
+      if (options.onProgress) options.onProgress(days.length, days.length);
+      return cells.length === 1 ? seriesList[0] : this.interpolateSeries(seriesList, cells.map(c => c.weight));
+    } catch (error) {
+      console.error(`❌ Error fetching data from ${provider.id}:`, error.message);
+      throw error;
     }
   }
 
   /**
-   * Generate realistic mock data for testing
-   * Simulates historical weather patterns
+   * Grid cells (with weights) used to get a point value
+   * @param {string} method - 'nearest', 'bilinear' or 'idw'
+   * @returns {Array} Array of {lat, lon, weight, distanceKm}
    */
-  generateMockData(lat, lon, variable, dayOfYear, window, yearRange) {
-    const data = [];
-    const varConfig = this.config.variables[variable];
-
-    for (let year = yearRange.start; year <= yearRange.end; year++) {
-      for (let day = dayOfYear - window; day <= dayOfYear + window; day++) {
-        // Handle day-of-year wrap-around
-        let actualDay = day;
-        let actualYear = year;
-        
-        if (day < 1) {
-          actualDay = 365 + day; // Wrap to previous year end
-          actualYear = year - 1;
-        } else if (day > 365) {
-          actualDay = day - 365; // Wrap to next year start
-          actualYear = year + 1;
-        }
-
-        // Generate realistic values based on variable type
-        let value;
-        switch (variable) {
-          case 'temperature':
-            // Simulate seasonal pattern + random variation
-            const seasonalTemp = 15 + 15 * Math.sin((actualDay - 80) * 2 * Math.PI / 365);
-            value = seasonalTemp + (Math.random() - 0.5) * 10; // ±5°C variation
-            break;
-
-          case 'precipitation':
-            // Precipitation is more sporadic (many zeros, occasional high values)
-            value = Math.random() < 0.7 ? 0 : Math.random() * 50; // 70% dry days
-            break;
-
-          case 'windspeed':
-            // Wind speed typically 0-20 m/s
-            value = Math.abs(5 + (Math.random() - 0.5) * 10);
-            break;
-
-          case 'humidity':
-            // Humidity 20-100%
-            value = 40 + Math.random() * 50;
-            break;
-
-          case 'dust':
-            // Dust aerosol (lower values, occasional spikes)
-            value = Math.random() * 0.5;
-            break;
-
-          default:
-            value = Math.random() * 100;
-        }
-
-        // Apply unit conversion if needed
-        if (varConfig && varConfig.conversion) {
-          value = varConfig.conversion(value);
-        }
-
-        // Create date string
-        const date = this.dayOfYearToDate(actualYear, actualDay);
-
-        data.push({
-          date: date.toISOString().split('T')[0],
-          value: parseFloat(value.toFixed(2)),
-          year: actualYear,
-          dayOfYear: actualDay
-        });
-      }
-    }
+  getSpatialCells(provider, lat, lon, method = 'nearest') {
+    const grid = this.getGrid(provider);
 
-    console.log(`✅ Generated ${data.length} mock data points`);
-    return data;
+    if (method === 'nearest') {
+      const cell = geo.snapToGrid(grid, lat, lon);
+      return [{ ...cell, weight: 1, distanceKm: geo.distanceKm(lat, lon, cell.lat, cell.lon) }];
+    }
+    return geo.surroundingCells(grid, lat, lon, method);
   }
 
   /**
-   * Fetch real data from NASA APIs
-   * TODO: Implement actual API calls to Giovanni/OPeNDAP
+   * Weighted average of aligned cell series, day by day
+   * Missing values (or cells) are left out and the remaining weights renormalized.
+   * @param {Array} seriesList - Array of series (or null for cells without data), same days in the same order
+   * @param {Array<number>} weights - Weight of each cell
    */
-  async fetchRealNASAData(lat, lon, variable, dayOfYear, window, yearRange) {
-    // Example structure for Giovanni API call
-    try {
-      const varConfig = this.config.variables[variable];
-      
-      // Build request parameters
-      const params = {
-        lat,
-        lon,
-        variable: varConfig.code,
-        startDate: `${yearRange.start}-01-01`,
-        endDate: `${yearRange.end}-12-31`,
-        // Add more NASA-specific parameters
+  interpolateSeries(seriesList, weights) {
+    const template = seriesList.find(series => series !== null);
+
+    return template.map((day, i) => {
+      let sum = 0;
+      let weightSum = 0;
+      seriesList.forEach((series, c) => {
+        const value = series && series[i].value;
+        if (value === null || value === undefined) return;
+        sum += value * weights[c];
+        weightSum += weights[c];
+      });
+
+      return {
+        ...day,
+        value: weightSum > 0 ? parseFloat((sum / weightSum).toFixed(2)) : null
       };
+    });
+  }
 
-      // Example: Giovanni time series endpoint
-      // const response = await axios.get(this.config.giovanni.baseURL, { params });
-      
-      // For now, fall back to mock data
-      console.warn('⚠️  Real NASA API not yet implemented, using mock data');
-      return this.generateMockData(lat, lon, variable, dayOfYear, window, yearRange);
+  /**
+   * Spatial sampling reported in `meta.spatial`
+   * @returns {Object} {method, grid: nearest cell centre, distanceKm, resolution, cells}
+   */
+  describeSpatial(provider, lat, lon, method = 'nearest') {
+    const round = (v, digits) => parseFloat(v.toFixed(digits));
+    const grid = this.getGrid(provider);
+    const nearest = geo.snapToGrid(grid, lat, lon);
 
-    } catch (error) {
-      console.error('❌ Error fetching NASA data:', error.message);
-      throw new Error(`Failed to fetch data from NASA: ${error.message}`);
+    return {
+      method,
+      grid: nearest,
+      distanceKm: round(geo.distanceKm(lat, lon, nearest.lat, nearest.lon), 2),
+      resolution: { lat: grid.latStep, lon: grid.lonStep },
+      cells: this.getSpatialCells(provider, lat, lon, method)
+        .filter(cell => cell.weight > 0)
+        .map(cell => ({
+          lat: cell.lat,
+          lon: cell.lon,
+          weight: round(cell.weight, 4),
+          distanceKm: round(cell.distanceKm, 2)
+        }))
+    };
+  }
+
+  /**
+   * Fetch time series for every cell of an area
+   * Cells are fetched one after another; each cell already fetches its days concurrently.
+   * Cells without data (e.g. no archived series nearby) are returned with an empty series.
+   * @param {Array} cells - Array of {lat, lon} cell centres
+   * @returns {Promise<Array>} Array of {cell, timeseries}
+   */
+  async fetchAreaTimeSeries(cells, variable, dayOfYear, window, yearRange, options = {}) {
+    const results = [];
+
+    for (const [i, cell] of cells.entries()) {
+      try {
+        const timeseries = await this.fetchPointTimeSeries(
+          cell.lat, cell.lon, variable, dayOfYear, window, yearRange,
+          { source: options.source, alignment: options.alignment, date: options.date }
+        );
+        results.push({ cell, timeseries });
+      } catch (error) {
+        if (error.statusCode !== 404) throw error;
+        results.push({ cell, timeseries: [] });
+      }
+
+      if (options.onProgress) options.onProgress(i + 1, cells.length);
     }
+
+    return results;
+  }
+
+  /**
+   * List the days covered by a ±window query
+   * @param {object} options - {alignment} 'dayOfYear' or 'calendarDate', {date} the queried date if any
+   * @returns {Array} Array of {year, dayOfYear, date} objects
+   */
+  buildTargetDays(dayOfYear, window, yearRange, options = {}) {
+    const anchor = calendar.anchor({ dayOfYear, date: options.date, alignment: options.alignment });
+    return calendar.windowDays(anchor, window, yearRange);
   }
 
   /**
-   * Convert day-of-year to Date object
+   * List the days of a multi-day span in every year
+   * @param {object} dateRange - {start, end} dates of the span
+   * @param {object} options - {alignment} 'dayOfYear' or 'calendarDate'
+   * @returns {Array} Array of {year, days} spans, one per year
    */
-  dayOfYearToDate(year, dayOfYear) {
-    const date = new Date(year, 0, 1);
-    date.setDate(dayOfYear);
-    return date;
+  buildSpans(dateRange, yearRange, options = {}) {
+    return calendar.spans(dateRange, yearRange, options.alignment);
   }
 
   /**
    * Fetch data for multiple variables at once
    */
-  async fetchMultipleVariables(lat, lon, variables, dayOfYear, window, yearRange) {
-    const promises = variables.map(variable =>
-      this.fetchPointTimeSeries(lat, lon, variable, dayOfYear, window, yearRange)
+  async fetchMultipleVariables(lat, lon, variables, dayOfYear, window, yearRange, options = {}) {
+    // Report combined progress across all variables
+    const progress = variables.map(() => ({ done: 0, total: 1 }));
+    const onVariableProgress = (i) => (done, total) => {
+      progress[i] = { done, total };
+      options.onProgress(
+        progress.reduce((sum, p) => sum + p.done, 0),
+        progress.reduce((sum, p) => sum + p.total, 0)
+      );
+    };
+
+    const promises = variables.map((variable, i) =>
+      this.fetchPointTimeSeries(lat, lon, variable, dayOfYear, window, yearRange, {
+        ...options,
+        onProgress: options.onProgress ? onVariableProgress(i) : undefined
+      })
     );
     return Promise.all(promises);
   }
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const axios = require('axios');
+const nasaConfig = require('../config/nasa');
+
+/**
+ * Earthdata Login Authentication
+ *
+ * GES DISC data servers redirect unauthenticated requests to Earthdata Login
+ * (URS). This module follows that redirect chain by hand: Basic credentials
+ * are only ever sent to URS, session cookies set along the way are kept in a
+ * cookie jar (optionally persisted to disk) and replayed on later requests so
+ * the login is done once per session.
+ *
+ * With NASA_EARTHDATA_TOKEN set, requests carry a bearer token instead; a
+ * rejected token is refreshed from URS once when credentials are configured.
+ *
+ * Credential problems surface as EarthdataAuthError (statusCode 401), which
+ * errorHandler reports separately from generic upstream failures.
+ */
+
+class EarthdataAuthError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} reason - missing_credentials, invalid_credentials, invalid_token,
+   *                          unauthorized or redirect_loop
+   */
+  constructor(message, reason) {
+    super(message);
+    this.name = 'EarthdataAuthError';
+    this.statusCode = 401;
+    this.reason = reason;
+  }
+}
+
+class EarthdataAuth {
+  /**
+   * @param {Object} config - See config/nasa.js `earthdata`
+   */
+  constructor(config = nasaConfig.earthdata) {
+    this.config = config;
+    this.ursHost = new URL(config.ursURL).host;
+    this.username = config.auth.username;
+    this.password = config.auth.password;
+    this.token = config.auth.token || null;
+
+    // Cookie domain -> Map(name -> {value, hostOnly, expiresAt})
+    this.jar = new Map();
+    this.loadCookies();
+  }
+
+  hasCredentials() {
+    return Boolean(this.username && this.password);
+  }
+
+  /**
+   * GET a URL, logging in through Earthdata Login if the server asks for it
+   * @param {string} url - Absolute URL
+   * @param {Object} config - axios request config
+   * @returns {Promise<Object>} axios response
+   * @throws EarthdataAuthError on credential failures; other axios errors as-is
+   */
+  async get(url, config = {}) {
+    try {
+      return await this.follow(url, config);
+    } catch (error) {
+      // Rejected token: get a fresh one and try once more
+      if (error.reason === 'invalid_token' && this.hasCredentials()) {
+        await this.refreshToken();
+        return this.follow(url, config);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Follow the redirect chain, authenticating at URS and collecting cookies
+   */
+  async follow(url, config) {
+    const dataHost = new URL(url).host;
+    let current = url;
+
+    for (let hop = 0; hop <= this.config.maxRedirects; hop++) {
+      const target = new URL(current);
+      const atUrs = target.host === this.ursHost;
+      const headers = { ...config.headers };
+
+      const cookie = this.cookieHeader(target.hostname);
+      if (cookie) headers.Cookie = cookie;
+
+      if (atUrs) {
+        if (!this.hasCredentials()) {
+          throw new EarthdataAuthError(
+            'Earthdata Login credentials are not configured (set NASA_EARTHDATA_USERNAME/PASSWORD or NASA_EARTHDATA_TOKEN)',
+            'missing_credentials'
+          );
+        }
+        headers.Authorization = this.basicAuth();
+      } else if (this.token && target.host === dataHost) {
+        // Never leak the token to hosts other than the one asked for
+        headers.Authorization = `Bearer ${this.token}`;
+      }
+
+      let response;
+      try {
+        response = await axios.get(current, {
+          ...config,
+          headers,
+          maxRedirects: 0,
+          validateStatus: status => status >= 200 && status < 400
+        });
+      } catch (error) {
+        if (error.response) this.storeCookies(target.hostname, error.response.headers['set-cookie']);
+        throw this.authError(error, atUrs) || error;
+      }
+
+      this.storeCookies(target.hostname, response.headers['set-cookie']);
+
+      if (response.status >= 300 && response.headers.location) {
+        current = new URL(response.headers.location, current).toString();
+        continue;
+      }
+
+      // Ending up on a URS page (login form, application approval) means no data
+      if (atUrs) {
+        throw new EarthdataAuthError(
+          'Earthdata Login did not return to the data server; approve the NASA GESDISC DATA ARCHIVE application in your Earthdata profile',
+          'unauthorized'
+        );
+      }
+
+      return response;
+    }
+
+    throw new EarthdataAuthError('Too many redirects during Earthdata Login', 'redirect_loop');
+  }
+
+  /**
+   * Map a 401/403 during the flow to an EarthdataAuthError
+   * @returns {EarthdataAuthError|null} null for errors unrelated to authentication
+   */
+  authError(error, atUrs) {
+    const status = error.response && error.response.status;
+    if (status !== 401 && status !== 403) return null;
+
+    if (atUrs) {
+      return new EarthdataAuthError('Earthdata Login rejected the configured credentials', 'invalid_credentials');
+    }
+    if (this.token && status === 401) {
+      return new EarthdataAuthError('Earthdata Login bearer token was rejected or has expired', 'invalid_token');
+    }
+    return new EarthdataAuthError(
+      `Data server denied access (HTTP ${status}); check that your Earthdata account is authorized for this dataset`,
+      'unauthorized'
+    );
+  }
+
+  /**
+   * Get a bearer token for the configured account from URS
+   */
+  async refreshToken() {
+    console.log('🔑 Refreshing Earthdata Login token');
+
+    try {
+      const { data } = await axios.post(
+        `${this.config.ursURL.replace(/\/$/, '')}/api/users/find_or_create_token`,
+        null,
+        { headers: { Authorization: this.basicAuth() }, timeout: nasaConfig.http.timeout }
+      );
+      if (!data || !data.access_token) {
+        throw new Error('no access_token in response');
+      }
+      this.token = data.access_token;
+    } catch (error) {
+      if (error.response && error.response.status === 401) {
+        throw new EarthdataAuthError('Earthdata Login rejected the configured credentials', 'invalid_credentials');
+      }
+      throw new EarthdataAuthError(`Could not refresh Earthdata Login token: ${error.message}`, 'invalid_token');
+    }
+  }
+
+  basicAuth() {
+    return `Basic ${Buffer.from(`${this.username}:${this.password}`).toString('base64')}`;
+  }
+
+  /**
+   * Cookie header for a host (expired cookies are dropped)
+   */
+  cookieHeader(hostname) {
+    const now = Date.now();
+    const pairs = [];
+
+    this.jar.forEach((cookies, domain) => {
+      const matches = hostname === domain || hostname.endsWith(`.${domain}`);
+      if (!matches) return;
+
+      cookies.forEach((cookie, name) => {
+        if (cookie.expiresAt && cookie.expiresAt <= now) {
+          cookies.delete(name);
+        } else if (!cookie.hostOnly || hostname === domain) {
+          pairs.push(`${name}=${cookie.value}`);
+        }
+      });
+    });
+
+    return pairs.join('; ');
+  }
+
+  /**
+   * Parse Set-Cookie headers into the jar
+   */
+  storeCookies(hostname, setCookie) {
+    if (!setCookie) return;
+
+    let changed = false;
+    [].concat(setCookie).forEach(header => {
+      const [pair, ...attributes] = header.split(';').map(part => part.trim());
+      const eq = pair.indexOf('=');
+      if (eq <= 0) return;
+
+      const name = pair.slice(0, eq);
+      const value = pair.slice(eq + 1);
+      let domain = hostname;
+      let hostOnly = true;
+      let expiresAt = null;
+
+      attributes.forEach(attribute => {
+        const [key, ...rest] = attribute.split('=');
+        const attrValue = rest.join('=');
+        switch (key.toLowerCase()) {
+          case 'domain': {
+            const cookieDomain = attrValue.replace(/^\./, '').toLowerCase();
+            // Ignore domains the host does not belong to
+            if (hostname === cookieDomain || hostname.endsWith(`.${cookieDomain}`)) {
+              domain = cookieDomain;
+              hostOnly = false;
+            }
+            break;
+          }
+          case 'max-age':
+            expiresAt = Date.now() + parseInt(attrValue) * 1000;
+            break;
+          case 'expires':
+            if (expiresAt === null && !isNaN(Date.parse(attrValue))) expiresAt = Date.parse(attrValue);
+            break;
+        }
+      });
+
+      if (!this.jar.has(domain)) this.jar.set(domain, new Map());
+      this.jar.get(domain).set(name, { value, hostOnly, expiresAt });
+      changed = true;
+    });
+
+    if (changed) this.saveCookies();
+  }
+
+  /**
+   * Drop all session cookies (forces a new login)
+   */
+  clearCookies() {
+    this.jar.clear();
+    this.saveCookies();
+  }
+
+  loadCookies() {
+    if (!this.config.cookieFile || !fs.existsSync(this.config.cookieFile)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.config.cookieFile, 'utf8'));
+      Object.entries(stored).forEach(([domain, cookies]) => {
+        this.jar.set(domain, new Map(Object.entries(cookies)));
+      });
+    } catch (error) {
+      console.warn('⚠️  Could not read Earthdata cookie file:', error.message);
+    }
+  }
+
+  saveCookies() {
+    if (!this.config.cookieFile) return;
+
+    const stored = {};
+    this.jar.forEach((cookies, domain) => {
+      stored[domain] = Object.fromEntries(cookies);
+    });
+
+    try {
+      fs.writeFileSync(this.config.cookieFile, JSON.stringify(stored), { mode: 0o600 });
+    } catch (error) {
+      console.warn('⚠️  Could not write Earthdata cookie file:', error.message);
+    }
+  }
+}
+
+module.exports = new EarthdataAuth();
+module.exports.EarthdataAuth = EarthdataAuth;
+module.exports.EarthdataAuthError = EarthdataAuthError;
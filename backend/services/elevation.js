@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const nasaConfig = require('../config/nasa');
+
+/**
+ * Elevation Service
+ *
+ * Looks up terrain heights in a coarse DEM tile set and corrects grid-cell
+ * temperatures to a point's elevation with a constant lapse rate: a cell
+ * value stands for the cell's mean height, so a point 500 m above it is
+ * about 3.25 °C colder.
+ *
+ * Tile set layout (written by scripts/buildDem.js):
+ *   <directory>/index.json   {version, resolution, tileSize, nodata, source, tiles: [name]}
+ *   <directory>/<name>.i16   Int16 little-endian metres, rows from south to north,
+ *                            tile `N40W080` covers 40..40+tileSize N, 80..80-tileSize W
+ * Nodata samples (sea in land-only DEMs) count as sea level in cell means.
+ */
+
+const INDEX_VERSION = 1;
+
+class Elevation {
+  /**
+   * @param {Object} options - See config/nasa.js `elevation`
+   */
+  constructor(options = nasaConfig.elevation) {
+    this.options = { ...options };
+    this.directory = this.options.directory;
+    this.index = undefined;
+    this.tiles = new Map();
+  }
+
+  /**
+   * Tile set index, or null if no DEM is installed
+   */
+  getIndex() {
+    if (this.index !== undefined) return this.index;
+
+    const indexPath = path.join(this.directory, 'index.json');
+    this.index = null;
+
+    if (fs.existsSync(indexPath)) {
+      const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      if (index.version === INDEX_VERSION) {
+        this.index = { ...index, tiles: new Set(index.tiles) };
+        console.log(`⛰️  DEM loaded: ${index.tiles.length} tiles at ${index.resolution}° from ${this.directory}`);
+      } else {
+        console.warn(`⚠️  Ignoring DEM index with version ${index.version} in ${this.directory}`);
+      }
+    }
+    return this.index;
+  }
+
+  isAvailable() {
+    return this.getIndex() !== null;
+  }
+
+  /**
+   * Tile name of the tile containing a point (SRTM style, e.g. N40W080)
+   */
+  tileName(lat0, lon0) {
+    const latPart = `${lat0 < 0 ? 'S' : 'N'}${String(Math.abs(lat0)).padStart(2, '0')}`;
+    const lonPart = `${lon0 < 0 ? 'W' : 'E'}${String(Math.abs(lon0)).padStart(3, '0')}`;
+    return `${latPart}${lonPart}`;
+  }
+
+  loadTile(name) {
+    if (!this.tiles.has(name)) {
+      const buffer = fs.readFileSync(path.join(this.directory, `${name}.i16`));
+      this.tiles.set(name, new Int16Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length)));
+    }
+    return this.tiles.get(name);
+  }
+
+  /**
+   * DEM sample containing a point
+   * @returns {number|null} Metres; null for nodata or outside the tile set
+   */
+  sample(lat, lon) {
+    const index = this.getIndex();
+    if (!index) return null;
+
+    const { tileSize, resolution } = index;
+    const size = Math.round(tileSize / resolution);
+    const wrappedLon = ((lon + 180) % 360 + 360) % 360 - 180;
+    const clampedLat = Math.min(lat, 90 - resolution / 2);
+
+    const lat0 = Math.floor(clampedLat / tileSize) * tileSize;
+    const lon0 = Math.floor(wrappedLon / tileSize) * tileSize;
+    const name = this.tileName(lat0, lon0);
+    if (!index.tiles.has(name)) return null;
+
+    const row = Math.min(size - 1, Math.floor((clampedLat - lat0) / resolution));
+    const col = Math.min(size - 1, Math.floor((wrappedLon - lon0) / resolution));
+    const value = this.loadTile(name)[row * size + col];
+    return value === index.nodata ? null : value;
+  }
+
+  /**
+   * Mean height of the DEM samples whose centres lie in a box
+   * @returns {number|null} Metres; null if the box is outside the tile set
+   */
+  meanElevation(minLat, maxLat, minLon, maxLon) {
+    const index = this.getIndex();
+    if (!index) return null;
+
+    // Sample centres sit at (i + 0.5) * resolution
+    const { resolution } = index;
+    const from = min => Math.ceil(min / resolution - 0.5);
+    const to = max => Math.ceil(max / resolution - 0.5) - 1;
+
+    let sum = 0;
+    let count = 0;
+    for (let i = from(minLat); i <= to(maxLat); i++) {
+      for (let j = from(minLon); j <= to(maxLon); j++) {
+        const lat = (i + 0.5) * resolution;
+        const lon = (j + 0.5) * resolution;
+        const value = this.sample(lat, lon);
+        if (value === null && !this.covers(lat, lon)) continue;
+        sum += value === null ? 0 : value;
+        count++;
+      }
+    }
+
+    return count > 0 ? sum / count : null;
+  }
+
+  /**
+   * Whether the tile set has a tile for a point
+   */
+  covers(lat, lon) {
+    const { tileSize } = this.getIndex();
+    const wrappedLon = ((lon + 180) % 360 + 360) % 360 - 180;
+    return this.getIndex().tiles.has(this.tileName(
+      Math.floor(Math.min(lat, 90 - 1e-9) / tileSize) * tileSize,
+      Math.floor(wrappedLon / tileSize) * tileSize
+    ));
+  }
+
+  /**
+   * Mean height of one grid cell
+   * @param {Object} cell - {lat, lon} cell centre
+   * @param {Object} grid - {latStep, lonStep}
+   */
+  cellElevation(cell, grid) {
+    return this.meanElevation(
+      Math.max(-90, cell.lat - grid.latStep / 2),
+      Math.min(90, cell.lat + grid.latStep / 2),
+      cell.lon - grid.lonStep / 2,
+      cell.lon + grid.lonStep / 2
+    );
+  }
+
+  /**
+   * Temperature adjustment from the grid cells' height to a point's height
+   * @param {number|string} elevation - Point elevation in metres, or 'auto' to look it up in the DEM
+   * @param {Array} cells - Cells used for the point with their weights ({lat, lon, weight})
+   * @param {Object} grid - Grid of the cells
+   * @returns {Object} {pointElevation, pointElevationSource, cellElevation, lapseRate, adjustment};
+   *   without a DEM cellElevation and adjustment are null and `note` says why
+   * @throws 503 for 'auto' without a DEM, 400 if the DEM has no data for the location
+   */
+  correctionFor(lat, lon, elevation, cells, grid) {
+    if (!this.isAvailable()) {
+      if (elevation === 'auto') {
+        throw this.error('Elevation lookup (\'auto\') needs a DEM; none is installed (see npm run dem:build)', 503);
+      }
+
+      // The cells' height is unknown, so the series stays as it is
+      return {
+        pointElevation: Math.round(elevation),
+        pointElevationSource: 'user',
+        cellElevation: null,
+        lapseRate: this.options.lapseRate,
+        adjustment: null,
+        note: 'No DEM installed: grid-cell height unknown, temperature not corrected'
+      };
+    }
+
+    const pointElevation = elevation === 'auto' ? this.sample(lat, lon) : elevation;
+    if (pointElevation === null) {
+      throw this.error('No DEM elevation for this location; pass `elevation` in metres instead', 400);
+    }
+
+    let weighted = 0;
+    let weightSum = 0;
+    cells.forEach(cell => {
+      const height = this.cellElevation(cell, grid);
+      if (height === null) return;
+      weighted += height * cell.weight;
+      weightSum += cell.weight;
+    });
+    if (weightSum === 0) {
+      throw this.error('No DEM elevation for the grid cells around this location', 400);
+    }
+
+    const cellElevation = weighted / weightSum;
+    const { lapseRate } = this.options;
+
+    return {
+      pointElevation: Math.round(pointElevation),
+      pointElevationSource: elevation === 'auto' ? 'dem' : 'user',
+      cellElevation: Math.round(cellElevation),
+      lapseRate,
+      // Higher than the cell: colder
+      adjustment: parseFloat((((cellElevation - pointElevation) / 1000) * lapseRate).toFixed(2))
+    };
+  }
+
+  /**
+   * Add a constant adjustment to every value of a series
+   */
+  correctSeries(timeseries, adjustment) {
+    return timeseries.map(d => ({
+      ...d,
+      value: d.value === null ? null : parseFloat((d.value + adjustment).toFixed(2))
+    }));
+  }
+
+  error(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new Elevation();
+module.exports.Elevation = Elevation;
@@ -0,0 +1,210 @@
+const db = require('../config/db');
+const gazetteerConfig = require('../config/gazetteer');
+const Place = require('../models/Place');
+const geonames = require('../utils/geonames');
+const geo = require('../utils/geo');
+
+/**
+ * Gazetteer Service
+ *
+ * Place-name search and reverse geocoding against an offline GeoNames
+ * extract. Places are read from MongoDB once `npm run gazetteer:load` has
+ * filled the places collection; without it (or without a database) the
+ * bundled files are searched in memory, so lookups never need an external
+ * service.
+ *
+ * Searches match the first comma-separated part of a query against place
+ * names and alternate names and every further part against the admin1
+ * and country codes and names: "Paris, TX" finds Paris, Texas. Exact
+ * names rank before prefixes, then larger places first.
+ */
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class Gazetteer {
+  /**
+   * @param {Object} options - See config/gazetteer.js
+   */
+  constructor(options = gazetteerConfig) {
+    this.options = { ...options };
+    this.places = undefined;
+    this.databaseCheck = null;
+  }
+
+  /**
+   * Places of the bundled files, read on first use
+   */
+  getPlaces() {
+    if (this.places !== undefined) return this.places;
+
+    try {
+      this.places = geonames.readGazetteer(this.options.directory, this.options.files);
+      console.log(`🗺️  Gazetteer loaded: ${this.places.length} places from ${this.options.directory}`);
+    } catch (error) {
+      console.warn(`⚠️  Gazetteer files unavailable in ${this.options.directory}: ${error.message}`);
+      this.places = [];
+    }
+    return this.places;
+  }
+
+  /**
+   * Whether the places collection is connected and loaded
+   * An empty collection is only checked again after databaseCheckMs
+   */
+  async usesDatabase() {
+    if (!db.isConnected()) return false;
+
+    const check = this.databaseCheck;
+    if (check && (check.loaded || Date.now() - check.at < this.options.databaseCheckMs)) {
+      return check.loaded;
+    }
+
+    const loaded = (await Place.estimatedDocumentCount()) > 0;
+    this.databaseCheck = { loaded, at: Date.now() };
+    return loaded;
+  }
+
+  /**
+   * Split "Denver, CO" into a normalized name and qualifiers
+   */
+  parseQuery(query) {
+    const [name, ...qualifiers] = String(query).split(',').map(geonames.normalize);
+    return { name, qualifiers: qualifiers.filter(Boolean) };
+  }
+
+  /**
+   * Search places by name
+   * @param {string} query - e.g. "Denver", "Paris, TX", "Springfield, Missouri, US"
+   * @param {Object} options - {limit, country} (ISO country code)
+   * @returns {Promise<Array>} Places (see describe())
+   */
+  async search(query, { limit = this.options.search.defaultLimit, country } = {}) {
+    const { name, qualifiers } = this.parseQuery(query);
+    if (!name) return [];
+
+    const matches = (await this.usesDatabase())
+      ? await this.searchDatabase(name, qualifiers, country, limit)
+      : this.searchMemory(name, qualifiers, country);
+
+    return this.rank(matches, name).slice(0, limit).map(place => this.describe(place));
+  }
+
+  /**
+   * Exact names and prefixes are queried separately, so a small town with
+   * the exact name is not crowded out by larger prefix matches
+   */
+  async searchDatabase(name, qualifiers, country, limit) {
+    const filter = {};
+    if (qualifiers.length > 0) filter.qualifiers = { $all: qualifiers };
+    if (country) filter.countryCode = country.toUpperCase();
+
+    const find = searchNames => Place.find({ ...filter, searchNames }).sort({ population: -1 }).limit(limit).lean();
+    const [exact, prefixed] = await Promise.all([find(name), find({ $regex: `^${escapeRegex(name)}` })]);
+
+    const seen = new Set(exact.map(place => place.geonameId));
+    return [...exact, ...prefixed.filter(place => !seen.has(place.geonameId))];
+  }
+
+  searchMemory(name, qualifiers, country) {
+    return this.getPlaces().filter(place =>
+      place.searchNames.some(searchName => searchName.startsWith(name)) &&
+      qualifiers.every(qualifier => place.qualifiers.includes(qualifier)) &&
+      (!country || place.countryCode === country.toUpperCase())
+    );
+  }
+
+  /**
+   * Exact name matches first, then by population
+   */
+  rank(places, name) {
+    const exact = place => (place.searchNames.includes(name) ? 0 : 1);
+    return [...places].sort((a, b) => exact(a) - exact(b) || b.population - a.population);
+  }
+
+  /**
+   * Best match of a place name, used for `place` in queries
+   * @returns {Promise<Object|null>} Place (see describe())
+   */
+  async resolve(query) {
+    const [best] = await this.search(query, { limit: 1 });
+    return best || null;
+  }
+
+  /**
+   * Nearest place to a point within maxDistanceKm
+   * @returns {Promise<Object|null>} Place (see describe()) with distanceKm
+   */
+  async reverse(lat, lon) {
+    const maxDistanceKm = this.options.maxDistanceKm;
+    let nearest = null;
+
+    if (await this.usesDatabase()) {
+      nearest = await Place.findOne({
+        location: {
+          $nearSphere: {
+            $geometry: { type: 'Point', coordinates: [lon, lat] },
+            $maxDistance: maxDistanceKm * 1000
+          }
+        }
+      }).lean();
+    } else {
+      let nearestDistance = Infinity;
+      for (const place of this.getPlaces()) {
+        const distance = geo.distanceKm(lat, lon, place.lat, place.lon);
+        if (distance <= maxDistanceKm && distance < nearestDistance) {
+          nearest = place;
+          nearestDistance = distance;
+        }
+      }
+    }
+
+    if (!nearest) return null;
+    return {
+      ...this.describe(nearest),
+      distanceKm: Math.round(geo.distanceKm(lat, lon, nearest.lat, nearest.lon) * 10) / 10
+    };
+  }
+
+  /**
+   * Reverse geocoding for response metadata - never fails a query
+   * @returns {Promise<Object|null>}
+   */
+  async describePoint(lat, lon) {
+    try {
+      return await this.reverse(lat, lon);
+    } catch (error) {
+      console.warn(`⚠️  Reverse geocoding failed for ${lat}, ${lon}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * "Denver, Colorado, United States"
+   */
+  displayName(place) {
+    return [place.name, place.admin1Name, place.countryName]
+      .filter((part, i, parts) => part && parts.indexOf(part) === i)
+      .join(', ');
+  }
+
+  /**
+   * Public form of a place
+   */
+  describe(place) {
+    return {
+      geonameId: place.geonameId,
+      name: place.name,
+      displayName: this.displayName(place),
+      admin1: place.admin1Name ? { code: place.admin1Code, name: place.admin1Name } : null,
+      country: { code: place.countryCode, name: place.countryName },
+      lat: place.lat,
+      lon: place.lon,
+      timezone: place.timezone || null,
+      population: place.population,
+      elevation: place.elevation ?? null
+    };
+  }
+}
+
+module.exports = new Gazetteer();
+module.exports.Gazetteer = Gazetteer;
@@ -0,0 +1,252 @@
+const axios = require('axios');
+const nasaConfig = require('../config/nasa');
+const earthdataAuth = require('./earthdataAuth');
+
+/**
+ * NASA HTTP Client
+ *
+ * Shared outbound client for GES DISC and other NASA endpoints:
+ * - request timeouts
+ * - retries of transient failures (network errors, timeouts, 429, 5xx) with
+ *   exponential backoff and full jitter, honouring Retry-After
+ * - a concurrency limit per host across all running queries
+ * - a circuit breaker per host that fails fast with 503 while the host is down
+ * - Earthdata Login for protected endpoints (`earthdata: true`, see earthdataAuth.js)
+ *
+ * Final failures are plain Errors with a statusCode for errorHandler
+ * (502 upstream error, 503 circuit open or upstream overloaded, 504 timeout); the upstream
+ * `response` is kept so callers can still check e.g. for 404.
+ */
+
+// Upstream statuses worth retrying
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+// Network-level errors worth retrying
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+
+class HttpClient {
+  /**
+   * @param {Object} options - See config/nasa.js `http`
+   */
+  constructor(options = nasaConfig.http) {
+    this.options = { ...options };
+    this.hosts = new Map();
+  }
+
+  /**
+   * Per-host state: concurrency slots and circuit breaker
+   */
+  getHost(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        active: 0,
+        waiting: [],
+        failures: 0,
+        state: 'closed', // closed -> open -> half-open -> closed
+        openedAt: 0,
+        trialRunning: false
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * GET a URL with the retry, concurrency and circuit-breaker policy
+   * @param {string} url - Absolute URL
+   * @param {Object} config - axios request config (timeout defaults to the client's),
+   *                          plus `earthdata: true` to authenticate through Earthdata Login
+   * @returns {Promise<Object>} axios response
+   */
+  async get(url, { earthdata = false, ...config } = {}) {
+    const { host } = new URL(url);
+    const state = this.getHost(host);
+    const { retries } = this.options;
+    const send = earthdata ? (...args) => earthdataAuth.get(...args) : axios.get;
+
+    this.checkCircuit(host, state);
+
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        const response = await this.withSlot(state, () => send(url, {
+          timeout: this.options.timeout,
+          ...config
+        }));
+        this.recordSuccess(state);
+        return response;
+
+      } catch (error) {
+        lastError = error;
+
+        // Credential problems are not the host's fault and retrying will not fix them
+        if (error instanceof earthdataAuth.EarthdataAuthError) {
+          this.recordSuccess(state);
+          throw error;
+        }
+
+        if (!this.isRetryable(error)) {
+          // The host answered (e.g. 404), so it is up
+          if (error.response) this.recordSuccess(state);
+          else state.trialRunning = false;
+          throw this.upstreamError(error, host);
+        }
+
+        if (attempt < retries) {
+          const delay = this.retryDelay(error, attempt);
+          if (delay === null) break;
+
+          console.warn(`⚠️  ${host} ${this.describe(error)}, retry ${attempt + 1}/${retries} in ${delay}ms`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    this.recordFailure(host, state);
+    throw this.upstreamError(lastError, host);
+  }
+
+  /**
+   * Fail fast while a host's circuit is open; let one trial through once it may have recovered
+   */
+  checkCircuit(host, state) {
+    if (state.state === 'closed') return;
+
+    const retryIn = state.openedAt + this.options.breakerResetMs - Date.now();
+    if (state.state === 'open' && retryIn <= 0) {
+      state.state = 'half-open';
+    }
+
+    if (state.state === 'half-open' && !state.trialRunning) {
+      state.trialRunning = true;
+      return;
+    }
+
+    const error = new Error(`NASA data service ${host} is unavailable, try again later`);
+    error.statusCode = 503;
+    error.retryAfter = Math.max(1, Math.ceil(retryIn / 1000));
+    throw error;
+  }
+
+  recordSuccess(state) {
+    state.failures = 0;
+    state.state = 'closed';
+    state.trialRunning = false;
+  }
+
+  recordFailure(host, state) {
+    state.failures++;
+    state.trialRunning = false;
+
+    if (state.state === 'half-open' || state.failures >= this.options.breakerThreshold) {
+      if (state.state !== 'open') {
+        console.error(`❌ Circuit opened for ${host} after ${state.failures} failed request(s)`);
+      }
+      state.state = 'open';
+      state.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Run a request once a concurrency slot for the host is free
+   */
+  async withSlot(state, request) {
+    if (state.active >= this.options.hostConcurrency) {
+      await new Promise(resolve => state.waiting.push(resolve));
+    }
+    state.active++;
+
+    try {
+      return await request();
+    } finally {
+      state.active--;
+      const next = state.waiting.shift();
+      if (next) next();
+    }
+  }
+
+  isRetryable(error) {
+    if (error.response) {
+      return RETRYABLE_STATUS.includes(error.response.status);
+    }
+    return RETRYABLE_CODES.includes(error.code);
+  }
+
+  /**
+   * Delay before the next attempt: Retry-After if given, otherwise backoff with jitter
+   * @returns {number|null} Milliseconds, or null if Retry-After asks for too long a wait
+   */
+  retryDelay(error, attempt) {
+    const retryAfter = error.response && this.parseRetryAfter(error.response.headers['retry-after']);
+    if (retryAfter !== null && retryAfter !== undefined) {
+      return retryAfter <= this.options.maxRetryAfterMs ? retryAfter : null;
+    }
+
+    const cap = Math.min(this.options.backoffMaxMs, this.options.backoffBaseMs * Math.pow(2, attempt));
+    return Math.round(Math.random() * cap);
+  }
+
+  /**
+   * Parse a Retry-After header (delta seconds or HTTP date)
+   * @returns {number|null} Milliseconds
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  isTimeout(error) {
+    return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+  }
+
+  describe(error) {
+    if (error.response) return `HTTP ${error.response.status}`;
+    return this.isTimeout(error) ? 'timed out' : error.code || error.message;
+  }
+
+  /**
+   * Convert a failed request into an error errorHandler understands
+   */
+  upstreamError(error, host) {
+    const timeout = this.isTimeout(error);
+    const wrapped = new Error(timeout
+      ? `NASA data service ${host} timed out`
+      : `NASA data service ${host} error: ${this.describe(error)}`);
+
+    // Upstream overloaded or down: 503 so clients know to come back later
+    const status = error.response && error.response.status;
+    wrapped.statusCode = timeout ? 504 : status === 429 || status === 503 ? 503 : 502;
+
+    // Non-enumerable: axios objects are circular and must not end up in JSON error bodies
+    Object.defineProperty(wrapped, 'response', { value: error.response, enumerable: false });
+    Object.defineProperty(wrapped, 'cause', { value: error, enumerable: false });
+
+    const retryAfter = error.response && this.parseRetryAfter(error.response.headers['retry-after']);
+    if (retryAfter) wrapped.retryAfter = Math.ceil(retryAfter / 1000);
+
+    return wrapped;
+  }
+
+  /**
+   * Circuit state per host (for diagnostics)
+   */
+  getStats() {
+    const stats = {};
+    this.hosts.forEach((state, host) => {
+      stats[host] = {
+        state: state.state,
+        failures: state.failures,
+        active: state.active,
+        waiting: state.waiting.length
+      };
+    });
+    return stats;
+  }
+}
+
+module.exports = new HttpClient();
+module.exports.HttpClient = HttpClient;
@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const db = require('../config/db');
+const Job = require('../models/Job');
+const SavedQuery = require('../models/SavedQuery');
+const queryService = require('./queryService');
+const cache = require('./cache');
+
+/**
+ * Job Queue Service
+ *
+ * Runs heavy queries in the background. Jobs are stored in MongoDB, claimed
+ * atomically by a worker and processed with bounded concurrency so the NASA
+ * endpoints are not hammered. Jobs of a crashed or restarted server are
+ * detected by their stale heartbeat and put back in the queue.
+ */
+
+class JobQueue {
+  constructor() {
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+    this.staleAfter = parseInt(process.env.JOB_STALE_AFTER_MS) || 2 * 60 * 1000;
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+
+    this.active = 0;
+    this.polling = false;
+    this.timer = null;
+
+    // Job type -> async (params, onProgress, job) => {cacheKey, savedQueryId}
+    this.handlers = {
+      query: async (params, onProgress, job) => {
+        const { result, cacheKey, provider, savedQuery } = await queryService.run(params, {
+          onProgress,
+          saveHistory: true,
+          userId: job.userId
+        });
+
+        // Cache hits skip the history save, but the job result must outlive the cache
+        const saved = savedQuery || await queryService.saveToHistory(params, provider, result, job.userId);
+        return { cacheKey, savedQueryId: saved ? saved._id : undefined };
+      }
+    };
+  }
+
+  /**
+   * Jobs need MongoDB - without it async mode is unavailable
+   */
+  isReady() {
+    return db.isConnected();
+  }
+
+  assertReady() {
+    if (!this.isReady()) {
+      const error = new Error('Async queries are unavailable: no database connection');
+      error.statusCode = 503;
+      throw error;
+    }
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (see handlers)
+   * @param {Object} params - Validated parameters
+   * @param {string} userId - Submitting user, if authenticated
+   * @returns {Promise<Job>}
+   */
+  async enqueue(type, params, userId = null) {
+    this.assertReady();
+
+    const job = await Job.create({ type, params, userId });
+    console.log(`📥 Job ${job.id} queued (${type})`);
+
+    // Pick it up right away if a worker slot is free
+    this.poll();
+    return job;
+  }
+
+  /**
+   * Start polling for queued jobs
+   */
+  async start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.timer.unref();
+
+    console.log(`⚙️  Job queue started (concurrency ${this.concurrency})`);
+    await this.poll();
+  }
+
+  /**
+   * Stop polling (running jobs finish on their own)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Claim and start queued jobs until all worker slots are busy
+   */
+  async poll() {
+    if (this.polling || !this.isReady()) return;
+    this.polling = true;
+
+    try {
+      await this.requeueStale();
+
+      while (this.active < this.concurrency) {
+        const job = await this.claim();
+        if (!job) break;
+
+        this.active++;
+        this.process(job).finally(() => {
+          this.active--;
+          this.poll();
+        });
+      }
+    } catch (error) {
+      console.error('❌ Job queue poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Atomically move the oldest queued job to running
+   */
+  claim() {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      { status: 'queued' },
+      {
+        $set: {
+          status: 'running',
+          startedAt: now,
+          heartbeatAt: now,
+          'progress.message': 'Starting'
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Requeue running jobs whose worker stopped sending heartbeats
+   * Jobs that already used all attempts are marked failed instead
+   */
+  async requeueStale() {
+    const staleFilter = {
+      status: 'running',
+      heartbeatAt: { $lt: new Date(Date.now() - this.staleAfter) }
+    };
+
+    await Job.updateMany(
+      { ...staleFilter, attempts: { $gte: this.maxAttempts } },
+      {
+        $set: {
+          status: 'failed',
+          finishedAt: new Date(),
+          error: { message: 'Job was interrupted too many times', statusCode: 500 }
+        }
+      }
+    );
+
+    const { modifiedCount } = await Job.updateMany(
+      staleFilter,
+      { $set: { status: 'queued', 'progress.message': 'Requeued after interruption' } }
+    );
+
+    if (modifiedCount > 0) {
+      console.warn(`⚠️  Requeued ${modifiedCount} interrupted job(s)`);
+    }
+  }
+
+  /**
+   * Run one claimed job and store its outcome
+   */
+  async process(job) {
+    console.log(`▶️  Job ${job.id} running (attempt ${job.attempts})`);
+
+    // Progress is kept in memory and written together with the heartbeat
+    const progress = { percent: 0, message: 'Starting' };
+    const onProgress = (percent, message) => {
+      progress.percent = Math.max(progress.percent, Math.min(100, percent));
+      progress.message = message;
+    };
+
+    const heartbeat = setInterval(() => {
+      Job.updateOne(
+        { _id: job._id, status: 'running' },
+        { $set: { heartbeatAt: new Date(), progress } }
+      ).catch(error => console.warn(`⚠️  Job ${job.id} heartbeat failed:`, error.message));
+    }, Math.min(this.pollInterval, this.staleAfter / 4));
+    heartbeat.unref();
+
+    try {
+      const handler = this.handlers[job.type];
+      if (!handler) {
+        throw new Error(`Unknown job type '${job.type}'`);
+      }
+
+      const { cacheKey, savedQueryId } = await handler(job.params, onProgress, job);
+
+      await Job.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'completed',
+          progress: { percent: 100, message: 'Completed' },
+          cacheKey,
+          savedQueryId,
+          finishedAt: new Date()
+        }
+      });
+      console.log(`✅ Job ${job.id} completed`);
+
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+      await Job.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'failed',
+          error: { message: error.message, statusCode: error.statusCode || 500 },
+          finishedAt: new Date()
+        }
+      }).catch(dbError => console.warn(`⚠️  Failed to record job failure:`, dbError.message));
+
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Look up a job by id
+   * @param {string} userId - Caller, if authenticated; other users' jobs are not found
+   * @throws 404 if the id is unknown
+   */
+  async getJob(id, userId = null) {
+    this.assertReady();
+
+    const job = mongoose.isValidObjectId(id) ? await Job.findById(id) : null;
+    if (!job || (job.userId && job.userId !== userId)) {
+      const error = new Error('Job not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return job;
+  }
+
+  /**
+   * Result of a completed job, from the cache or the saved query history
+   */
+  async getResult(job) {
+    if (job.status !== 'completed') return null;
+
+    const cached = job.cacheKey ? await cache.read(job.cacheKey) : null;
+    if (cached) return cached;
+
+    const saved = job.savedQueryId ? await SavedQuery.findById(job.savedQueryId) : null;
+    return saved ? saved.results : null;
+  }
+
+  /**
+   * Public view of a job (used by GET /jobs/:id)
+   */
+  describe(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: {
+        percent: job.progress.percent,
+        message: job.progress.message
+      },
+      attempts: job.attempts,
+      error: job.status === 'failed' ? job.error : undefined,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,564 @@
+const fs = require('fs');
+const path = require('path');
+const hdf5 = require('jsfive');
+const nasaConfig = require('../config/nasa');
+const calendar = require('../utils/calendar');
+
+/**
+ * NetCDF Archive
+ *
+ * Reads point values from a local directory of pre-downloaded NetCDF-4/HDF5
+ * daily granules (MERRA-2, GPM IMERG), so queries need no network access.
+ *
+ * Granules are indexed by dataset, date and the fields they contain. The
+ * index is written to `<directory>/index.json` by `npm run archive:index`;
+ * without it the archive is treated as empty, since scanning every granule
+ * would block the server. Reads decode only the HDF5 chunk holding the cell.
+ */
+
+const INDEX_VERSION = 1;
+
+// Some granules (e.g. IMERG HDF5) keep their variables in a group
+const GROUPS = ['', 'Grid/'];
+
+// HDF5 data layout message and its storage classes
+const DATA_LAYOUT_MESSAGE = 0x0008;
+const CONTIGUOUS = 1;
+const CHUNKED = 2;
+
+// Version 1 B-tree node header: signature, type, level, entries used, two sibling addresses
+const BTREE_HEADER_SIZE = 24;
+
+const DATA_VIEW_GETTERS = {
+  i1: 'getInt8', i2: 'getInt16', i4: 'getInt32', i8: 'getBigInt64',
+  u1: 'getUint8', u2: 'getUint16', u4: 'getUint32', u8: 'getBigUint64',
+  f4: 'getFloat32', f8: 'getFloat64'
+};
+
+class NetcdfArchive {
+  /**
+   * @param {Object} options - See config/nasa.js `netcdfArchive`
+   */
+  constructor(options = nasaConfig.netcdfArchive) {
+    this.options = { openFiles: 4, ...options };
+    this.directory = this.options.directory;
+    this.index = null;
+    this.lookup = null;
+
+    // Granule path -> Promise<{file, values}> (small LRU of opened files)
+    this.openFiles = new Map();
+  }
+
+  indexPath() {
+    return path.join(this.directory, this.options.indexFile);
+  }
+
+  /**
+   * Granule index from index.json, empty until `npm run archive:index` has written one
+   */
+  getIndex() {
+    if (this.index) return this.index;
+
+    if (fs.existsSync(this.indexPath())) {
+      const index = JSON.parse(fs.readFileSync(this.indexPath(), 'utf8'));
+      if (index.version === INDEX_VERSION) {
+        return this.setIndex(index);
+      }
+      console.warn(`⚠️  Ignoring archive index with version ${index.version} in ${this.directory}, rerun npm run archive:index`);
+    } else if (fs.existsSync(this.directory)) {
+      console.warn(`⚠️  No archive index in ${this.directory}, granules are not served until npm run archive:index has run`);
+    }
+
+    return this.setIndex({ version: INDEX_VERSION, builtAt: null, files: [], skipped: [] });
+  }
+
+  setIndex(index) {
+    this.index = index;
+    this.lookup = new Map(index.files.map(entry => [`${entry.dataset}:${entry.date}`, entry]));
+    this.openFiles.clear();
+
+    console.log(`🗄️  NetCDF archive indexed: ${index.files.length} granules in ${this.directory}`);
+    return index;
+  }
+
+  /**
+   * Forget the loaded index (e.g. after new granules were added)
+   */
+  reload() {
+    this.index = null;
+    this.lookup = null;
+    this.openFiles.clear();
+    return this.getIndex();
+  }
+
+  /**
+   * Scan the directory and inspect every granule (synchronous: for the index CLI)
+   * @returns {Object} {version, builtAt, files: [{path, dataset, date, fields, size, mtimeMs}], skipped: [{path, reason}]}
+   */
+  buildIndex() {
+    const files = [];
+    const skipped = [];
+
+    this.listGranules().forEach(relativePath => {
+      try {
+        files.push(this.inspectFile(relativePath));
+      } catch (error) {
+        skipped.push({ path: relativePath, reason: error.message });
+      }
+    });
+
+    // One granule per dataset and day: the last one wins (e.g. a reprocessed stream)
+    const byKey = new Map();
+    files
+      .sort((a, b) => a.path.localeCompare(b.path))
+      .forEach(entry => byKey.set(`${entry.dataset}:${entry.date}`, entry));
+
+    return {
+      version: INDEX_VERSION,
+      builtAt: new Date().toISOString(),
+      files: Array.from(byKey.values()).sort((a, b) => a.dataset.localeCompare(b.dataset) || a.date.localeCompare(b.date)),
+      skipped
+    };
+  }
+
+  /**
+   * Write an index to `<directory>/index.json`
+   */
+  saveIndex(index) {
+    fs.writeFileSync(this.indexPath(), JSON.stringify(index, null, 2));
+    return this.setIndex(index);
+  }
+
+  /**
+   * Granule files below the archive directory (relative paths)
+   */
+  listGranules(dir = this.directory) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) return this.listGranules(fullPath);
+      if (!this.options.extensions.includes(path.extname(entry.name))) return [];
+      return [path.relative(this.directory, fullPath)];
+    });
+  }
+
+  /**
+   * Identify the dataset, date and known fields of one granule
+   * @throws if the file is unreadable or holds no known variable
+   */
+  inspectFile(relativePath) {
+    const fullPath = path.join(this.directory, relativePath);
+    const stat = fs.statSync(fullPath);
+    const file = this.parse(fs.readFileSync(fullPath), relativePath);
+
+    const dataset = this.detectDataset(file);
+    if (!dataset) {
+      throw new Error('No known variables');
+    }
+
+    const date = this.detectDate(relativePath, file);
+    if (!date) {
+      throw new Error('Granule date not found in file name or attributes');
+    }
+
+    ['lat', 'lon'].forEach(coordinate => {
+      if (!this.getVariable(file, coordinate)) {
+        throw new Error(`Missing ${coordinate} coordinate`);
+      }
+    });
+
+    return {
+      path: relativePath,
+      dataset,
+      date,
+      fields: this.datasetFields(dataset).filter(field => this.getVariable(file, field)),
+      size: stat.size,
+      mtimeMs: Math.round(stat.mtimeMs)
+    };
+  }
+
+  /**
+   * Check that the indexed granules are still there, unchanged and readable
+   * @returns {Object} {checked, problems: [{path, problem}], unindexed: [path]}
+   */
+  verify() {
+    const index = this.getIndex();
+    const problems = [];
+
+    index.files.forEach(entry => {
+      const fullPath = path.join(this.directory, entry.path);
+      if (!fs.existsSync(fullPath)) {
+        problems.push({ path: entry.path, problem: 'missing' });
+        return;
+      }
+
+      const stat = fs.statSync(fullPath);
+      if (stat.size !== entry.size || Math.round(stat.mtimeMs) !== entry.mtimeMs) {
+        problems.push({ path: entry.path, problem: 'changed since indexing' });
+        return;
+      }
+
+      try {
+        const current = this.inspectFile(entry.path);
+        const missing = entry.fields.filter(field => !current.fields.includes(field));
+        if (current.dataset !== entry.dataset || current.date !== entry.date || missing.length > 0) {
+          problems.push({ path: entry.path, problem: 'content does not match the index' });
+        }
+      } catch (error) {
+        problems.push({ path: entry.path, problem: error.message });
+      }
+    });
+
+    const indexed = new Set(index.files.map(entry => entry.path));
+    const skipped = new Set((index.skipped || []).map(entry => entry.path));
+    const unindexed = this.listGranules().filter(file => !indexed.has(file) && !skipped.has(file));
+
+    return { checked: index.files.length, problems, unindexed };
+  }
+
+  /**
+   * Indexed granule of a dataset for a day
+   * @param {string} datasetKey - Dataset key in config.opendap.datasets
+   * @param {string} date - YYYY-MM-DD
+   */
+  find(datasetKey, date) {
+    this.getIndex();
+    return this.lookup.get(`${datasetKey}:${date}`) || null;
+  }
+
+  /**
+   * Fields and years available for a dataset
+   * @returns {Object} {granules, fields, years, yearRange}
+   */
+  summary(datasetKey) {
+    const entries = this.getIndex().files.filter(entry => entry.dataset === datasetKey);
+    const years = Array.from(new Set(entries.map(entry => parseInt(entry.date.slice(0, 4))))).sort((a, b) => a - b);
+
+    return {
+      granules: entries.length,
+      fields: Array.from(new Set(entries.flatMap(entry => entry.fields))),
+      years,
+      yearRange: years.length > 0 ? { start: years[0], end: years[years.length - 1] } : null
+    };
+  }
+
+  /**
+   * Read one grid cell for a list of days
+   * @param {string} datasetKey - Dataset key in config.opendap.datasets
+   * @param {string} field - Variable name inside the granules
+   * @param {Array<string>} dates - YYYY-MM-DD
+   * @param {Function} onProgress - Optional callback (done, total) after each granule
+   * @returns {Promise<Array<number|null>>} Raw values in dataset units, null where missing
+   */
+  async fetchPointSeries(datasetKey, field, lat, lon, dates, onProgress = null) {
+    const results = new Array(dates.length).fill(null);
+    let next = 0;
+    let done = 0;
+
+    const worker = async () => {
+      while (next < dates.length) {
+        const i = next++;
+        const entry = this.find(datasetKey, dates[i]);
+        if (entry && entry.fields.includes(field)) {
+          results[i] = await this.readPoint(entry, field, lat, lon);
+        }
+        if (onProgress) onProgress(++done, dates.length);
+      }
+    };
+
+    await Promise.all(Array.from(
+      { length: Math.min(this.options.concurrency, dates.length) },
+      () => worker()
+    ));
+
+    return results;
+  }
+
+  /**
+   * Raw value of the grid cell nearest to a point in one granule
+   * @returns {Promise<number|null>} null for fill values or points outside the granule
+   */
+  async readPoint(entry, field, lat, lon) {
+    const dataset = nasaConfig.opendap.datasets[entry.dataset];
+    const granule = await this.open(entry.path);
+
+    const latIndex = this.nearestIndex(granule.coordinates('lat'), lat, dataset.grid.latStep);
+    const lonIndex = this.nearestIndex(granule.coordinates('lon'), this.normalizeLon(lon), dataset.grid.lonStep);
+    if (latIndex === null || lonIndex === null) return null;
+
+    const variable = granule.field(field);
+    const dims = variable.shape.length === dataset.dimensions.length
+      ? dataset.dimensions
+      : dataset.dimensions.filter(dim => dim !== 'time');
+    const indices = { time: 0, lat: latIndex, lon: lonIndex };
+
+    // [time][lat][lon] (or the dataset's own dimension order)
+    return this.decode(variable, variable.element(dims.map(dim => indices[dim])), dataset);
+  }
+
+  /**
+   * Open a granule (kept in a small LRU so area queries read each file once)
+   */
+  open(relativePath) {
+    if (this.openFiles.has(relativePath)) {
+      const granule = this.openFiles.get(relativePath);
+      this.openFiles.delete(relativePath);
+      this.openFiles.set(relativePath, granule);
+      return granule;
+    }
+
+    const granule = fs.promises.readFile(path.join(this.directory, relativePath))
+      .then(buffer => this.wrap(this.parse(buffer, relativePath)));
+
+    // Failed reads must not stay cached
+    granule.catch(() => this.openFiles.delete(relativePath));
+
+    this.openFiles.set(relativePath, granule);
+    if (this.openFiles.size > this.options.openFiles) {
+      this.openFiles.delete(this.openFiles.keys().next().value);
+    }
+    return granule;
+  }
+
+  /**
+   * Opened granule: coordinates are decoded whole, fields one element at a time
+   */
+  wrap(file) {
+    const coordinates = new Map();
+    const fields = new Map();
+
+    return {
+      coordinates: name => {
+        if (!coordinates.has(name)) coordinates.set(name, this.getVariable(file, name).value);
+        return coordinates.get(name);
+      },
+      field: name => {
+        if (!fields.has(name)) {
+          const variable = this.getVariable(file, name);
+          // Decoded chunks by address, so area queries inflate each chunk once
+          const chunks = new Map();
+          fields.set(name, {
+            shape: variable.shape,
+            attrs: variable.attrs,
+            element: position => this.readElement(variable, position, chunks)
+          });
+        }
+        return fields.get(name);
+      }
+    };
+  }
+
+  /**
+   * One element of an HDF5 dataset, without decoding the rest of it
+   * (jsfive only reads whole datasets)
+   * @param {Object} variable - jsfive Dataset
+   * @param {Array<number>} position - Index along each dimension
+   * @param {Map} chunks - Decoded chunks of the dataset by address
+   * @returns {number|undefined} undefined where no data is stored
+   */
+  readElement(variable, position, chunks = new Map()) {
+    const dataobjects = variable._dataobjects;
+    const { fh, shape, dtype } = dataobjects;
+    const [read, littleEndian, size] = this.elementReader(dtype);
+
+    const layout = dataobjects.find_msg_type(DATA_LAYOUT_MESSAGE)[0];
+    const [, , layoutClass, propertyOffset] = dataobjects._get_data_message_properties(layout.get('offset_to_message'));
+
+    if (layoutClass === CONTIGUOUS) {
+      const address = Number(new DataView(fh).getBigUint64(propertyOffset, true));
+      if (address >= fh.byteLength) return undefined; // No storage allocated
+      const offset = position.reduce((sum, index, d) => sum * shape[d] + index, 0);
+      return read(new DataView(fh, address + offset * size), 0, littleEndian);
+    }
+
+    if (layoutClass !== CHUNKED) {
+      throw new Error(`Unsupported HDF5 storage layout ${layoutClass} in ${variable.name}`);
+    }
+
+    dataobjects._get_chunk_params();
+    const chunkShape = dataobjects.chunks;
+    const chunk = this.findChunk(fh, dataobjects._chunk_address, chunkShape, position);
+    if (!chunk) return undefined;
+
+    if (!chunks.has(chunk.address)) {
+      chunks.set(chunk.address, this.inflateChunk(fh, chunk, dataobjects.filter_pipeline, size));
+    }
+    const offset = position.reduce((sum, index, d) => sum * chunkShape[d] + index - chunk.offset[d], 0);
+    return read(new DataView(chunks.get(chunk.address)), offset * size, littleEndian);
+  }
+
+  /**
+   * DataView getter, byte order and size of a numeric HDF5 type such as '<f4'
+   */
+  elementReader(dtype) {
+    const match = typeof dtype === 'string' && dtype.match(/^([<>|=]?)([iuf]\d)$/);
+    const getter = match && DATA_VIEW_GETTERS[match[2]];
+    if (!getter) {
+      throw new Error(`Unsupported HDF5 data type ${JSON.stringify(dtype)}`);
+    }
+    const read = (view, offset, littleEndian) => Number(view[getter](offset, littleEndian));
+    return [read, match[1] !== '>', parseInt(match[2].slice(1))];
+  }
+
+  /**
+   * Chunk holding an element, found in the version 1 B-tree of a chunked dataset
+   * @param {Array<number>} chunkShape - Chunk size along each dimension
+   * @returns {Object|null} {address, size, filterMask, offset}, null if the chunk was never written
+   */
+  findChunk(fh, nodeAddress, chunkShape, position) {
+    const view = new DataView(fh);
+    // Keys: chunk size, filter mask, the chunk's first element plus a trailing 0, child address
+    const keySize = 8 + (chunkShape.length + 1) * 8;
+    const target = position.map((index, d) => index - (index % chunkShape[d]));
+
+    // Keys are sorted by first element: descend into the last child starting at or before the target
+    const compare = offset => {
+      for (let d = 0; d < target.length; d++) {
+        if (offset[d] !== target[d]) return offset[d] - target[d];
+      }
+      return 0;
+    };
+
+    let address = nodeAddress;
+    for (;;) {
+      const level = view.getUint8(address + 5);
+      const entries = view.getUint16(address + 6, true);
+
+      let found = null;
+      for (let i = 0; i < entries; i++) {
+        const key = address + BTREE_HEADER_SIZE + i * (keySize + 8);
+        const offset = target.map((_, d) => Number(view.getBigUint64(key + 8 + d * 8, true)));
+        const order = compare(offset);
+        if (order > 0) break;
+        found = {
+          address: Number(view.getBigUint64(key + keySize, true)),
+          size: view.getUint32(key, true),
+          filterMask: view.getUint32(key + 4, true),
+          offset,
+          exact: order === 0
+        };
+      }
+
+      if (!found) return null;
+      if (level === 0) return found.exact ? found : null;
+      address = found.address;
+    }
+  }
+
+  /**
+   * Stored chunk bytes with the dataset's filters undone (last filter first)
+   */
+  inflateChunk(fh, chunk, pipeline, itemSize) {
+    let buffer = fh.slice(chunk.address, chunk.address + chunk.size);
+    if (!pipeline) return buffer;
+
+    for (let i = pipeline.length - 1; i >= 0; i--) {
+      if (chunk.filterMask & (1 << i)) continue;
+      const id = pipeline[i].get('filter_id');
+      if (!hdf5.Filters.has(id)) {
+        throw new Error(`Unsupported HDF5 filter ${id}`);
+      }
+      buffer = hdf5.Filters.get(id)(buffer, itemSize, pipeline[i].get('client_data'));
+    }
+    return buffer;
+  }
+
+  parse(buffer, name) {
+    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+    return new hdf5.File(arrayBuffer, name);
+  }
+
+  /**
+   * Variable by name, at the root or in a known group
+   */
+  getVariable(file, name) {
+    for (const group of GROUPS) {
+      try {
+        const variable = file.get(`${group}${name}`);
+        if (variable && variable.shape) return variable;
+      } catch (error) {
+        // Not in this group
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fields of config.variables mapped to a dataset
+   */
+  datasetFields(datasetKey) {
+    return Object.values(nasaConfig.variables)
+      .filter(v => v.dataset === datasetKey)
+      .map(v => v.field);
+  }
+
+  detectDataset(file) {
+    return Object.keys(nasaConfig.opendap.datasets).find(key =>
+      this.datasetFields(key).some(field => this.getVariable(file, field))
+    ) || null;
+  }
+
+  /**
+   * Granule day from the file name (YYYYMMDD), else from MERRA-2's RangeBeginningDate
+   * @returns {string|null} YYYY-MM-DD
+   */
+  detectDate(relativePath, file) {
+    const match = path.basename(relativePath).match(/(?:^|\D)((?:19|20)\d{2})(\d{2})(\d{2})(?!\d)/);
+    if (match) {
+      const [, year, month, day] = match;
+      const date = `${year}-${month}-${day}`;
+      if (calendar.parseDate(date)) return date;
+    }
+
+    const attribute = file.attrs && file.attrs.RangeBeginningDate;
+    return typeof attribute === 'string' && calendar.parseDate(attribute) ? attribute : null;
+  }
+
+  /**
+   * Index of the coordinate nearest to a value, null if further than half a cell
+   */
+  nearestIndex(coordinates, value, step) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (let i = 0; i < coordinates.length; i++) {
+      const distance = Math.abs(coordinates[i] - value);
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    }
+
+    return bestDistance <= step / 2 + 1e-6 ? best : null;
+  }
+
+  normalizeLon(lon) {
+    return ((lon + 180) % 360 + 360) % 360 - 180;
+  }
+
+  /**
+   * Apply fill values and CF packing (scale_factor / add_offset)
+   */
+  decode(variable, raw, dataset) {
+    if (raw === undefined || raw === null || isNaN(raw)) return null;
+
+    const attr = name => {
+      const value = variable.attrs[name];
+      return Array.isArray(value) ? value[0] : value;
+    };
+    const isFill = (value, fill) =>
+      fill !== undefined && Math.abs(value - fill) <= Math.abs(fill) * 1e-6;
+
+    if (isFill(raw, attr('_FillValue')) || isFill(raw, attr('missing_value')) || isFill(raw, dataset.fillValue)) {
+      return null;
+    }
+
+    const scale = attr('scale_factor');
+    const offset = attr('add_offset');
+    return raw * (scale === undefined ? 1 : scale) + (offset === undefined ? 0 : offset);
+  }
+}
+
+module.exports = new NetcdfArchive();
+module.exports.NetcdfArchive = NetcdfArchive;
@@ -0,0 +1,183 @@
+const httpClient = require('./httpClient');
+const nasaConfig = require('../config/nasa');
+
+/**
+ * OPeNDAP Client
+ *
+ * Builds constrained DAP2 requests against GES DISC Hyrax servers and
+ * extracts single grid-cell values from the ASCII responses
+ */
+
+class OpendapClient {
+  constructor() {
+    this.config = nasaConfig.opendap;
+  }
+
+  /**
+   * Get dataset definition by key (e.g. 'merra2', 'imerg')
+   */
+  getDataset(datasetKey) {
+    const dataset = this.config.datasets[datasetKey];
+    if (!dataset) {
+      throw new Error(`Unknown OPeNDAP dataset: ${datasetKey}`);
+    }
+    return dataset;
+  }
+
+  /**
+   * Find the grid cell nearest to a lat/lon point
+   * @param {Object} grid - {latStart, latStep, latCount, lonStart, lonStep, lonCount}
+   * @returns {Object} {latIndex, lonIndex, lat, lon} of the cell center
+   */
+  nearestGridCell(grid, lat, lon) {
+    let latIndex = Math.round((lat - grid.latStart) / grid.latStep);
+    latIndex = Math.min(Math.max(latIndex, 0), grid.latCount - 1);
+
+    // Longitude wraps around the dateline
+    let lonIndex = Math.round((lon - grid.lonStart) / grid.lonStep) % grid.lonCount;
+    if (lonIndex < 0) lonIndex += grid.lonCount;
+
+    return {
+      latIndex,
+      lonIndex,
+      lat: parseFloat((grid.latStart + latIndex * grid.latStep).toFixed(4)),
+      lon: parseFloat((grid.lonStart + lonIndex * grid.lonStep).toFixed(4))
+    };
+  }
+
+  /**
+   * Build the constrained ASCII request URL for one grid cell of one daily granule
+   * @param {Object} dataset - Dataset definition from config
+   * @param {string} field - Variable name inside the granule (e.g. T2MMEAN)
+   * @param {Date} date - UTC date of the granule
+   * @param {Object} cell - {latIndex, lonIndex}
+   */
+  buildPointURL(dataset, field, date, cell) {
+    const year = date.getUTCFullYear();
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(date.getUTCDate()).padStart(2, '0');
+
+    const indices = { time: 0, lat: cell.latIndex, lon: cell.lonIndex };
+    const constraint = dataset.dimensions
+      .map(dim => `[${indices[dim]}:${indices[dim]}]`)
+      .join('');
+
+    return `${dataset.baseURL}${dataset.path}${dataset.granule(year, month, day)}.ascii?${field}${constraint}`;
+  }
+
+  /**
+   * Decode a DAP2 ASCII response and return the values of one variable
+   * Handles both the bare Hyrax format ("T2MMEAN[0][0], 271.5") and the
+   * classic format with a DDS header and index-only rows ("[0][0], 271.5")
+   */
+  parseAscii(text, field) {
+    const separator = text.lastIndexOf('----');
+    const body = separator >= 0 ? text.slice(separator).replace(/^-+/, '') : text;
+    const values = [];
+    let current = null;
+
+    body.split(/\r?\n/).forEach(line => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('Dataset')) return;
+
+      const match = trimmed.match(/^([A-Za-z_][\w.]*)?((?:\[\d+\])*)(?:,\s*(.*))?$/);
+      if (!match) return;
+
+      const [, name, , data] = match;
+      if (name) {
+        // Grid components are printed as "Grid.Array"
+        current = name.split('.').pop();
+      }
+      if (data === undefined || current !== field) return;
+
+      data.split(',').forEach(v => {
+        const value = parseFloat(v);
+        if (!isNaN(value)) values.push(value);
+      });
+    });
+
+    return values;
+  }
+
+  /**
+   * Check whether a raw value is the dataset's fill value
+   */
+  isFillValue(dataset, value) {
+    if (dataset.fillValue === undefined) return false;
+    return Math.abs(value - dataset.fillValue) <= Math.abs(dataset.fillValue) * 1e-6;
+  }
+
+  /**
+   * Fetch the raw value of one grid cell from one daily granule
+   * @returns {Promise<number|null>} Raw value in dataset units, null if missing
+   */
+  async fetchPointValue(datasetKey, field, date, cell) {
+    const dataset = this.getDataset(datasetKey);
+
+    if (dataset.firstYear && date.getUTCFullYear() < dataset.firstYear) {
+      return null;
+    }
+
+    const url = this.buildPointURL(dataset, field, date, cell);
+
+    try {
+      const response = await httpClient.get(url, {
+        timeout: this.config.timeout,
+        responseType: 'text',
+        earthdata: true
+      });
+
+      const values = this.parseAscii(response.data, field);
+      if (values.length === 0 || this.isFillValue(dataset, values[0])) {
+        return null;
+      }
+      return values[0];
+
+    } catch (error) {
+      // Granule not produced for that day - treat as missing data
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch one grid cell for a list of dates with bounded concurrency
+   * @param {string} datasetKey - Dataset key in config.opendap.datasets
+   * @param {string} field - Variable name inside the granules
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Array<Date>} dates - UTC dates to fetch
+   * @param {Function} onProgress - Optional callback (done, total) after each granule
+   * @returns {Promise<Array<number|null>>} Raw values in the same order as dates
+   */
+  async fetchPointSeries(datasetKey, field, lat, lon, dates, onProgress = null) {
+    const dataset = this.getDataset(datasetKey);
+    const cell = this.nearestGridCell(dataset.grid, lat, lon);
+
+    console.log(`🛰️  OPeNDAP ${dataset.name} ${field} cell=(${cell.lat}, ${cell.lon}) granules=${dates.length}`);
+
+    const results = new Array(dates.length);
+    let next = 0;
+    let done = 0;
+
+    const worker = async () => {
+      while (next < dates.length) {
+        const index = next++;
+        results[index] = await this.fetchPointValue(datasetKey, field, dates[index], cell);
+        if (onProgress) onProgress(++done, dates.length);
+      }
+    };
+
+    const workers = Array.from(
+      { length: Math.min(this.config.concurrency, dates.length) },
+      () => worker()
+    );
+    await Promise.all(workers);
+
+    return results;
+  }
+}
+
+module.exports = new OpendapClient();
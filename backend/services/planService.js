@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const db = require('../config/db');
+const SavedLocation = require('../models/SavedLocation');
+const EventPlan = require('../models/EventPlan');
+const queryService = require('./queryService');
+const { buildWeatherQuery } = require('../middleware/validator');
+
+/**
+ * Plan Service
+ *
+ * A user's saved locations and event plans. Both are owned by one user and
+ * never expire; looking up another user's item answers 404 like a missing one.
+ * Re-running a plan runs one span query per threshold with current data and
+ * compares the probabilities with the previous run.
+ */
+
+const LIMITS = {
+  locations: 100,
+  plans: 50
+};
+
+class PlanService {
+  /**
+   * Saved items live in MongoDB - without it they are unavailable
+   */
+  assertReady() {
+    if (!db.isConnected()) {
+      throw this.error('Saved locations and plans are unavailable: no database connection', 503);
+    }
+  }
+
+  /**
+   * Find an item of a user
+   * @throws 404 for unknown ids and other users' items
+   */
+  async findOwned(Model, userId, id, label) {
+    this.assertReady();
+
+    const item = mongoose.isValidObjectId(id) ? await Model.findOne({ _id: id, userId }) : null;
+    if (!item) {
+      throw this.error(`${label} not found`, 404);
+    }
+    return item;
+  }
+
+  async assertBelowLimit(Model, userId, limit, label) {
+    if ((await Model.countDocuments({ userId })) >= limit) {
+      throw this.error(`At most ${limit} ${label} per user; delete one first`, 409);
+    }
+  }
+
+  async assertUniqueName(userId, name, exceptId = null) {
+    const existing = await SavedLocation.findOne({ userId, name });
+    if (existing && existing.id !== exceptId) {
+      throw this.error(`A saved location named "${name}" already exists`, 409);
+    }
+  }
+
+  // Saved locations
+
+  async listLocations(userId) {
+    this.assertReady();
+    return SavedLocation.find({ userId }).sort({ name: 1 });
+  }
+
+  async getLocation(userId, id) {
+    return this.findOwned(SavedLocation, userId, id, 'Saved location');
+  }
+
+  async createLocation(userId, fields) {
+    this.assertReady();
+    await this.assertBelowLimit(SavedLocation, userId, LIMITS.locations, 'saved locations');
+    await this.assertUniqueName(userId, fields.name);
+
+    return SavedLocation.create({ ...fields, userId });
+  }
+
+  async updateLocation(userId, id, fields) {
+    const location = await this.getLocation(userId, id);
+    await this.assertUniqueName(userId, fields.name, location.id);
+
+    location.set({ elevation: null, ...fields, updatedAt: new Date() });
+    return location.save();
+  }
+
+  /**
+   * Plans keep their copy of the coordinates
+   */
+  async deleteLocation(userId, id) {
+    const location = await this.getLocation(userId, id);
+    await location.deleteOne();
+  }
+
+  // Event plans
+
+  async listPlans(userId) {
+    this.assertReady();
+    return EventPlan.find({ userId }).sort({ 'dateRange.start': 1 });
+  }
+
+  async getPlan(userId, id) {
+    return this.findOwned(EventPlan, userId, id, 'Event plan');
+  }
+
+  /**
+   * Plan document fields from validated input: a locationId is replaced by a
+   * copy of the saved location
+   */
+  async planFields(userId, { locationId, location, ...fields }) {
+    if (locationId) {
+      const saved = await this.getLocation(userId, locationId);
+      location = { name: saved.name, lat: saved.lat, lon: saved.lon, elevation: saved.elevation };
+    }
+
+    return {
+      ...fields,
+      location: { elevation: null, ...location },
+      locationId: locationId || null,
+      source: fields.source || null,
+      yearRange: fields.yearRange || null
+    };
+  }
+
+  async createPlan(userId, input) {
+    this.assertReady();
+    await this.assertBelowLimit(EventPlan, userId, LIMITS.plans, 'event plans');
+
+    return EventPlan.create({ ...(await this.planFields(userId, input)), userId });
+  }
+
+  /**
+   * Replace a plan. The last run is dropped when the location, dates or data
+   * settings change, as its results no longer describe the plan.
+   */
+  async updatePlan(userId, id, input) {
+    const plan = await this.getPlan(userId, id);
+    const fields = await this.planFields(userId, input);
+
+    const inputs = p => JSON.stringify([p.location.lat, p.location.lon, p.location.elevation, p.dateRange.start, p.dateRange.end, p.source, p.yearRange]);
+    const lastRun = inputs(plan) === inputs(fields) ? plan.lastRun : null;
+
+    plan.set({ ...fields, lastRun, updatedAt: new Date() });
+    return plan.save();
+  }
+
+  async deletePlan(userId, id) {
+    const plan = await this.getPlan(userId, id);
+    await plan.deleteOne();
+  }
+
+  /**
+   * Span query parameters for one threshold of a plan
+   */
+  queryFor(plan, threshold) {
+    const { location } = plan;
+    const { params, errors } = buildWeatherQuery({
+      lat: location.lat,
+      lon: location.lon,
+      locationName: location.name || undefined,
+      // The site elevation corrects temperature only
+      elevation: threshold.variable === 'temperature' && location.elevation !== null ? location.elevation : undefined,
+      variable: threshold.variable,
+      threshold: threshold.threshold,
+      dateRange: { start: plan.dateRange.start, end: plan.dateRange.end },
+      spanMode: threshold.spanMode,
+      consecutiveDays: threshold.consecutiveDays ?? undefined,
+      source: plan.source ?? undefined,
+      yearRange: plan.yearRange ?? undefined
+    });
+
+    if (errors) {
+      throw this.error(`Plan cannot be run: ${errors.map(e => e.message).join(', ')}`, 400);
+    }
+    return params;
+  }
+
+  /**
+   * Recompute a plan's probabilities with current data
+   * @returns {Promise<Object>} {plan, run, changes, computed} - computed counts queries not served from the cache
+   */
+  async runPlan(userId, id) {
+    const plan = await this.getPlan(userId, id);
+    const previous = plan.lastRun;
+
+    // One query at a time, to go easy on the data providers
+    const results = [];
+    let computed = 0;
+    for (const threshold of plan.thresholds) {
+      const { result } = await queryService.run(this.queryFor(plan, threshold), { userId });
+      if (!result.cached) computed++;
+      results.push(this.summarize(threshold, result));
+    }
+
+    const run = { ranAt: new Date(), results };
+    const changes = this.compareRuns(previous, run);
+
+    plan.lastRun = run;
+    await plan.save();
+
+    console.log(`📅 Plan re-run: ${plan.name} (${results.length} thresholds, ${computed} computed)`);
+    return { plan, run, changes, computed };
+  }
+
+  /**
+   * Result of one threshold, as kept in lastRun
+   */
+  summarize(threshold, result) {
+    const span = result.span || {};
+    return {
+      variable: threshold.variable,
+      threshold: threshold.threshold,
+      spanMode: threshold.spanMode,
+      consecutiveDays: threshold.consecutiveDays ?? null,
+      units: result.meta.units,
+      source: result.meta.source,
+      probability: span.error ? null : span.probability,
+      percentage: span.error ? null : span.percentage,
+      ci: span.error ? null : span.ci,
+      years: span.error ? 0 : span.years,
+      mean: result.stats.mean,
+      summary: result.summary,
+      downloadUrl: result.downloadUrl
+    };
+  }
+
+  thresholdKey(result) {
+    return `${result.variable}:${result.threshold}:${result.spanMode}:${result.consecutiveDays ?? ''}`;
+  }
+
+  /**
+   * What changed between two runs, per threshold
+   * @returns {Object} {previousRunAt, thresholds: [...], removed: [...]}
+   */
+  compareRuns(previous, run) {
+    const before = new Map((previous ? previous.results : []).map(result => [this.thresholdKey(result), result]));
+
+    const thresholds = run.results.map(result => {
+      const old = before.get(this.thresholdKey(result));
+      before.delete(this.thresholdKey(result));
+
+      const change = {
+        variable: result.variable,
+        threshold: result.threshold,
+        spanMode: result.spanMode,
+        consecutiveDays: result.consecutiveDays,
+        previous: old ? old.probability : null,
+        current: result.probability
+      };
+
+      if (!old) {
+        return { ...change, status: 'new' };
+      }
+      if (old.probability === null || result.probability === null) {
+        return { ...change, status: old.probability === result.probability ? 'unchanged' : 'changed' };
+      }
+
+      // Percentage points, rounded like the percentages themselves
+      const delta = Math.round((result.probability - old.probability) * 1000) / 10;
+      return {
+        ...change,
+        delta,
+        years: { previous: old.years, current: result.years },
+        status: delta > 0 ? 'higher' : delta < 0 ? 'lower' : 'unchanged'
+      };
+    });
+
+    return {
+      previousRunAt: previous ? previous.ranAt : null,
+      thresholds,
+      removed: [...before.values()].map(({ variable, threshold, spanMode, consecutiveDays }) => ({
+        variable,
+        threshold,
+        spanMode,
+        consecutiveDays
+      }))
+    };
+  }
+
+  error(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new PlanService();
@@ -1,17 +1,28 @@
+const SeededRandom = require('../utils/random');
+
 /**
  * Statistical Processor Service
  * 
  * Computes statistics, probabilities, and distributions from time series data
  */
 
+// Return periods (years) reported by the extreme-value analysis
+const RETURN_PERIODS = [2, 5, 10, 25, 50];
+
+// Year-block bootstrap resamples of computeStats(); enough for 95% intervals
+const DEFAULT_RESAMPLES = 200;
+
 class Processor {
   /**
    * Compute comprehensive statistics from data array
    * @param {Array} dataPoints - Array of {date, value} objects
    * @param {number} threshold - Optional threshold for exceedance probability
+   * @param {Object} options - {bootstrap: resamples (0 disables intervals), confidenceLevel}
    * @returns {Object} Statistics object
    */
-  computeStats(dataPoints, threshold = null) {
+  computeStats(dataPoints, threshold = null, options = {}) {
+    const { bootstrap = DEFAULT_RESAMPLES, confidenceLevel = 0.95 } = options;
+
     // Extract values and filter out null/undefined/NaN
     const values = dataPoints
       .map(d => d.value)
@@ -57,12 +68,216 @@ class Processor {
       };
     }
 
+    // Uncertainty: effective sample size and confidence intervals
+    if (bootstrap > 0) {
+      const valid = dataPoints.filter(d => d.value !== null && d.value !== undefined && !isNaN(d.value));
+      stats.effectiveSampleSize = this.effectiveSampleSize(valid);
+      stats.confidence = this.bootstrapIntervals(valid, threshold, { resamples: bootstrap, confidenceLevel });
+
+      if (stats.exceedance) {
+        const indicator = valid.map(d => ({ ...d, value: d.value > threshold ? 1 : 0 }));
+        const nEff = this.effectiveSampleSize(indicator).value;
+        const wilson = this.wilsonInterval(stats.exceedance.probability, nEff, confidenceLevel);
+
+        // Year-block bootstrap when there are enough years, Wilson on the effective size otherwise
+        stats.exceedance.ci = stats.confidence.exceedance || { ...wilson, method: 'wilson' };
+        stats.exceedance.wilson = { ...wilson, effectiveSampleSize: nEff };
+        delete stats.confidence.exceedance;
+      }
+    }
+
     // Generate histogram
     stats.distribution = this.createHistogram(values, 20);
 
     return stats;
   }
 
+  /**
+   * Effective sample size of an autocorrelated daily series
+   * Uses the lag-1 autocorrelation of consecutive days within the same year
+   * (AR(1) approximation: n_eff = n (1 - r) / (1 + r))
+   * @param {Array} dataPoints - Array of {date, value, year} without missing values
+   */
+  effectiveSampleSize(dataPoints) {
+    const n = dataPoints.length;
+    if (n < 3) {
+      return { value: n, lag1Autocorrelation: null };
+    }
+
+    const values = dataPoints.map(d => d.value);
+    const mean = this.mean(values);
+    const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / n;
+
+    const sorted = [...dataPoints].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    const dayMs = 24 * 60 * 60 * 1000;
+    let covariance = 0;
+    let pairs = 0;
+    for (let i = 1; i < sorted.length; i++) {
+      const gap = (Date.parse(sorted[i].date) - Date.parse(sorted[i - 1].date)) / dayMs;
+      if (gap !== 1) continue;
+      covariance += (sorted[i].value - mean) * (sorted[i - 1].value - mean);
+      pairs++;
+    }
+
+    if (pairs === 0 || variance === 0) {
+      return { value: n, lag1Autocorrelation: null };
+    }
+
+    const r = Math.max(0, Math.min(0.99, covariance / pairs / variance));
+    const years = new Set(dataPoints.map(d => d.year)).size;
+    const value = Math.max(Math.min(years, n), n * (1 - r) / (1 + r));
+
+    return {
+      value: parseFloat(value.toFixed(1)),
+      lag1Autocorrelation: parseFloat((covariance / pairs / variance).toFixed(3))
+    };
+  }
+
+  /**
+   * Wilson score interval for a proportion
+   * @param {number} p - Observed proportion
+   * @param {number} n - (Effective) sample size
+   */
+  wilsonInterval(p, n, confidenceLevel = 0.95) {
+    if (!(n > 0)) {
+      return { lower: 0, upper: 1 };
+    }
+
+    const z = this.normalQuantile(1 - (1 - confidenceLevel) / 2);
+    const z2 = z * z;
+    const center = (p + z2 / (2 * n)) / (1 + z2 / n);
+    const margin = (z / (1 + z2 / n)) * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n));
+
+    return {
+      lower: Math.max(0, center - margin),
+      upper: Math.min(1, center + margin)
+    };
+  }
+
+  /**
+   * Year-block bootstrap confidence intervals
+   * Whole years are resampled with replacement, which keeps the within-window
+   * autocorrelation intact. The generator is seeded from the data, so the
+   * same series always gives the same intervals.
+   *
+   * A resample is described by how often each year was drawn: sums and
+   * exceedance counts come from per-year totals, and percentiles from one
+   * pass over the values sorted once, each counted as often as its year was
+   * drawn - nothing is copied or sorted per resample.
+   * @param {Array} dataPoints - Array of {date, value, year} without missing values
+   * @param {number} threshold - Optional exceedance threshold
+   * @param {Object} options - {resamples, confidenceLevel}
+   * @returns {Object} Intervals for mean, key percentiles and exceedance probability
+   */
+  bootstrapIntervals(dataPoints, threshold = null, options = {}) {
+    const { resamples = DEFAULT_RESAMPLES, confidenceLevel = 0.95 } = options;
+
+    const years = [...new Set(dataPoints.map(d => d.year))];
+    if (years.length < 5) {
+      return {
+        level: confidenceLevel,
+        error: 'At least 5 years of data are needed for bootstrap intervals'
+      };
+    }
+
+    // Per-year totals, and every value with the index of its year
+    const blockOf = new Map(years.map((year, i) => [year, i]));
+    const blocks = years.map(() => ({ count: 0, sum: 0, exceed: 0 }));
+    const ordered = dataPoints
+      .map(d => {
+        const block = blockOf.get(d.year);
+        blocks[block].count++;
+        blocks[block].sum += d.value;
+        if (threshold !== null && d.value > threshold) blocks[block].exceed++;
+        return { value: d.value, block };
+      })
+      .sort((a, b) => a.value - b.value);
+
+    const rng = SeededRandom.fromKey('bootstrap', dataPoints.length, dataPoints.reduce((sum, d) => sum + d.value, 0), threshold);
+    const samples = { mean: [], p10: [], p50: [], p90: [], exceedance: [] };
+    const draws = new Array(blocks.length);
+
+    for (let b = 0; b < resamples; b++) {
+      draws.fill(0);
+      for (let i = 0; i < blocks.length; i++) draws[rng.int(blocks.length)]++;
+
+      let count = 0;
+      let sum = 0;
+      let exceed = 0;
+      blocks.forEach((block, i) => {
+        count += draws[i] * block.count;
+        sum += draws[i] * block.sum;
+        exceed += draws[i] * block.exceed;
+      });
+
+      const [p10, p50, p90] = this.weightedPercentiles(ordered, draws, count, [10, 50, 90]);
+      samples.mean.push(sum / count);
+      samples.p10.push(p10);
+      samples.p50.push(p50);
+      samples.p90.push(p90);
+      if (threshold !== null) {
+        samples.exceedance.push(exceed / count);
+      }
+    }
+
+    const alpha = (1 - confidenceLevel) / 2;
+    const interval = values => {
+      const sorted = values.sort((x, y) => x - y);
+      return {
+        lower: this.percentile(sorted, alpha * 100),
+        upper: this.percentile(sorted, (1 - alpha) * 100)
+      };
+    };
+
+    const result = {
+      level: confidenceLevel,
+      method: `year-block bootstrap (${resamples} resamples of ${blocks.length} years)`,
+      mean: interval(samples.mean),
+      percentiles: {
+        p10: interval(samples.p10),
+        p50: interval(samples.p50),
+        p90: interval(samples.p90)
+      }
+    };
+
+    if (threshold !== null) {
+      result.exceedance = { ...interval(samples.exceedance), method: 'year-block bootstrap' };
+    }
+
+    return result;
+  }
+
+  /**
+   * Percentiles (as percentile()) of the sample in which each value of
+   * `ordered` occurs draws[block] times
+   * @param {Array} ordered - {value, block} sorted by value
+   * @param {Array} draws - Occurrences per block
+   * @param {number} count - Size of the sample
+   * @param {Array} ps - Ascending percentiles
+   */
+  weightedPercentiles(ordered, draws, count, ps) {
+    // Sample positions needed, ascending: floor and ceil of each index
+    const positions = ps.map(p => (p / 100) * (count - 1));
+    const wanted = positions.flatMap(index => [Math.floor(index), Math.ceil(index)]);
+    const values = new Array(wanted.length);
+
+    let seen = 0;
+    let next = 0;
+    for (let i = 0; i < ordered.length && next < wanted.length; i++) {
+      seen += draws[ordered[i].block];
+      while (next < wanted.length && wanted[next] < seen) {
+        values[next++] = ordered[i].value;
+      }
+    }
+
+    return positions.map((index, i) => {
+      const weight = index - Math.floor(index);
+      const lower = values[2 * i];
+      const upper = values[2 * i + 1];
+      return weight === 0 ? lower : lower * (1 - weight) + upper * weight;
+    });
+  }
+
   /**
    * Calculate mean (average)
    */
@@ -145,13 +360,21 @@ class Processor {
   }
 
   /**
-   * Analyze trend over time (optional advanced feature)
-   * Groups data by year and computes trend
+   * Analyze trend over time
+   * Groups data by year and tests the yearly means with Mann-Kendall; the
+   * magnitude is Sen's slope with a confidence interval. A trend is only
+   * reported as increasing/decreasing when it is statistically significant.
+   * @param {Array} dataPoints - Array of {date, value, year}
+   * @param {Object} options - {alpha: significance level (default 0.05)}
    */
-  analyzeTrend(dataPoints) {
+  analyzeTrend(dataPoints, options = {}) {
+    const { alpha = 0.05 } = options;
     const yearlyMeans = {};
 
     dataPoints.forEach(point => {
+      // Skip missing values (gaps in NASA granules)
+      if (point.value === null || point.value === undefined || isNaN(point.value)) return;
+
       const year = point.year || parseInt(point.date.split('-')[0]);
       if (!yearlyMeans[year]) {
         yearlyMeans[year] = [];
@@ -167,17 +390,341 @@ class Processor {
         count: yearlyMeans[year].length
       }));
 
-    // Simple linear regression
-    const slope = this.linearRegression(trendData);
+    if (trendData.length < 4) {
+      return {
+        yearlyMeans: trendData,
+        trend: {
+          method: 'Mann-Kendall test with Sen\'s slope',
+          direction: 'insufficient data',
+          error: 'At least 4 years of data are needed for trend analysis'
+        }
+      };
+    }
+
+    const mk = this.mannKendall(trendData.map(d => d.mean));
+    const sen = this.sensSlope(trendData, mk.varianceS, alpha);
+    const significant = mk.pValue < alpha;
+
+    let direction = 'no significant trend';
+    if (significant) {
+      direction = sen.slope > 0 ? 'increasing' : sen.slope < 0 ? 'decreasing' : 'no significant trend';
+    }
 
     return {
       yearlyMeans: trendData,
       trend: {
-        slope: slope.toFixed(4),
-        direction: slope > 0 ? 'increasing' : slope < 0 ? 'decreasing' : 'stable',
-        changePerDecade: (slope * 10).toFixed(2)
+        method: 'Mann-Kendall test with Sen\'s slope',
+        slope: sen.slope.toFixed(4),
+        direction,
+        changePerDecade: (sen.slope * 10).toFixed(2),
+        changePerDecadeCI: {
+          lower: sen.lower * 10,
+          upper: sen.upper * 10,
+          confidenceLevel: 1 - alpha
+        },
+        significant,
+        significanceLevel: alpha,
+        pValue: mk.pValue,
+        kendallTau: mk.tau,
+        S: mk.S,
+        z: mk.z,
+        olsSlope: this.linearRegression(trendData)
+      }
+    };
+  }
+
+  /**
+   * Mann-Kendall trend test (two-sided, with tie correction)
+   * @param {Array<number>} values - Values in time order
+   */
+  mannKendall(values) {
+    const n = values.length;
+    let S = 0;
+    for (let i = 0; i < n - 1; i++) {
+      for (let j = i + 1; j < n; j++) {
+        S += Math.sign(values[j] - values[i]);
+      }
+    }
+
+    // Tie correction
+    const ties = {};
+    values.forEach(v => {
+      ties[v] = (ties[v] || 0) + 1;
+    });
+    const tieTerm = Object.values(ties)
+      .reduce((sum, t) => sum + t * (t - 1) * (2 * t + 5), 0);
+
+    const varianceS = (n * (n - 1) * (2 * n + 5) - tieTerm) / 18;
+
+    let z = 0;
+    if (varianceS > 0) {
+      if (S > 0) z = (S - 1) / Math.sqrt(varianceS);
+      else if (S < 0) z = (S + 1) / Math.sqrt(varianceS);
+    }
+
+    return {
+      S,
+      varianceS,
+      z,
+      pValue: 2 * (1 - this.normalCdf(Math.abs(z))),
+      tau: S / (n * (n - 1) / 2)
+    };
+  }
+
+  /**
+   * Sen's slope estimator with the rank-based confidence interval (Gilbert, 1987)
+   * @param {Array} data - Array of {year, mean}
+   * @param {number} varianceS - Variance of the Mann-Kendall S statistic
+   * @param {number} alpha - Significance level
+   */
+  sensSlope(data, varianceS, alpha = 0.05) {
+    const slopes = [];
+    for (let i = 0; i < data.length - 1; i++) {
+      for (let j = i + 1; j < data.length; j++) {
+        slopes.push((data[j].mean - data[i].mean) / (data[j].year - data[i].year));
+      }
+    }
+    slopes.sort((a, b) => a - b);
+
+    const N = slopes.length;
+    const C = this.normalQuantile(1 - alpha / 2) * Math.sqrt(varianceS);
+    const lowerRank = Math.max(1, Math.round((N - C) / 2));
+    const upperRank = Math.min(N, Math.round((N + C) / 2) + 1);
+
+    return {
+      slope: this.median(slopes),
+      lower: slopes[lowerRank - 1],
+      upper: slopes[upperRank - 1]
+    };
+  }
+
+  /**
+   * Compare a variable between an early and a recent climate normal period
+   * The normals may overlap (e.g. 1981-2010 vs 1994-2023); the significance
+   * tests use only the non-overlapping years so the two samples are independent.
+   * @param {Array} dataPoints - Array of {date, value, year}
+   * @param {number} threshold - Optional threshold for exceedance probability
+   * @param {Object} periods - {early: {start, end}, recent: {start, end}}
+   * @param {Object} options - {alpha}
+   */
+  compareNormals(dataPoints, threshold = null, periods = {}, options = {}) {
+    const { alpha = 0.05 } = options;
+    const early = periods.early || { start: 1981, end: 2010 };
+    const recent = periods.recent || { start: 1994, end: 2023 };
+
+    const valuesIn = (start, end) => dataPoints
+      .filter(p => p.year >= start && p.year <= end)
+      .map(p => p.value)
+      .filter(v => v !== null && v !== undefined && !isNaN(v));
+
+    const summarize = (values, period) => {
+      const result = {
+        period,
+        count: values.length,
+        mean: values.length > 0 ? this.mean(values) : null
+      };
+      if (threshold !== null && values.length > 0) {
+        const exceedCount = values.filter(v => v > threshold).length;
+        result.exceedance = {
+          count: exceedCount,
+          probability: exceedCount / values.length
+        };
       }
+      return result;
+    };
+
+    const earlyValues = valuesIn(early.start, early.end);
+    const recentValues = valuesIn(recent.start, recent.end);
+
+    if (earlyValues.length === 0 || recentValues.length === 0) {
+      return {
+        error: 'The requested year range does not cover both normal periods',
+        early: summarize(earlyValues, early),
+        recent: summarize(recentValues, recent)
+      };
+    }
+
+    const result = {
+      early: summarize(earlyValues, early),
+      recent: summarize(recentValues, recent),
+      meanChange: this.mean(recentValues) - this.mean(earlyValues)
     };
+
+    // Independent samples: years in one period but not the other. Days within a
+    // year are strongly autocorrelated, so the tests work on per-year aggregates.
+    const earlyOnly = { start: early.start, end: Math.min(early.end, recent.start - 1) };
+    const recentOnly = { start: Math.max(recent.start, early.end + 1), end: recent.end };
+    const a = this.yearlyAggregates(dataPoints, earlyOnly, threshold);
+    const b = this.yearlyAggregates(dataPoints, recentOnly, threshold);
+
+    if (a.length < 2 || b.length < 2) {
+      result.test = { error: 'Normal periods overlap too much for an independent comparison' };
+    } else {
+      result.test = {
+        method: 'Welch t-test on per-year means and exceedance fractions of non-overlapping years',
+        earlyYears: earlyOnly,
+        recentYears: recentOnly,
+        meanPValue: this.welchTTest(a.map(y => y.mean), b.map(y => y.mean)).pValue
+      };
+
+      if (threshold !== null) {
+        result.test.exceedancePValue = this.welchTTest(
+          a.map(y => y.exceedance),
+          b.map(y => y.exceedance)
+        ).pValue;
+      }
+    }
+
+    if (threshold !== null) {
+      const change = result.recent.exceedance.probability - result.early.exceedance.probability;
+      result.exceedanceChange = change;
+      result.exceedanceRatio = result.early.exceedance.probability > 0
+        ? result.recent.exceedance.probability / result.early.exceedance.probability
+        : null;
+
+      const pValue = result.test.exceedancePValue;
+      result.verdict = pValue !== undefined && pValue < alpha
+        ? (change > 0 ? 'more likely' : 'less likely')
+        : 'no significant change';
+    }
+
+    return result;
+  }
+
+  /**
+   * Per-year mean and exceedance fraction within a year range
+   */
+  yearlyAggregates(dataPoints, { start, end }, threshold = null) {
+    const byYear = {};
+    dataPoints.forEach(p => {
+      if (p.year < start || p.year > end) return;
+      if (p.value === null || p.value === undefined || isNaN(p.value)) return;
+      if (!byYear[p.year]) byYear[p.year] = [];
+      byYear[p.year].push(p.value);
+    });
+
+    return Object.keys(byYear).map(year => {
+      const values = byYear[year];
+      return {
+        year: parseInt(year),
+        mean: this.mean(values),
+        exceedance: threshold === null ? null : values.filter(v => v > threshold).length / values.length
+      };
+    });
+  }
+
+  /**
+   * Two-sided Welch t-test for a difference in means
+   * @returns {Object} {t, df, pValue}
+   */
+  welchTTest(a, b) {
+    const varA = Math.pow(this.standardDeviation(a), 2) * a.length / (a.length - 1);
+    const varB = Math.pow(this.standardDeviation(b), 2) * b.length / (b.length - 1);
+    const seA = varA / a.length;
+    const seB = varB / b.length;
+
+    if (seA + seB === 0) {
+      return { t: 0, df: a.length + b.length - 2, pValue: this.mean(a) === this.mean(b) ? 1 : 0 };
+    }
+
+    const t = (this.mean(b) - this.mean(a)) / Math.sqrt(seA + seB);
+    const df = Math.pow(seA + seB, 2) /
+      (Math.pow(seA, 2) / (a.length - 1) + Math.pow(seB, 2) / (b.length - 1));
+
+    return { t, df, pValue: 2 * (1 - this.studentTCdf(Math.abs(t), df)) };
+  }
+
+  /**
+   * Student t cumulative distribution function
+   */
+  studentTCdf(t, df) {
+    const x = df / (df + t * t);
+    const tail = 0.5 * this.incompleteBeta(x, df / 2, 0.5);
+    return t >= 0 ? 1 - tail : tail;
+  }
+
+  /**
+   * Regularized incomplete beta function I_x(a, b) (continued fraction)
+   */
+  incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const lnBeta = this.logGamma(a) + this.logGamma(b) - this.logGamma(a + b);
+    const front = Math.exp(a * Math.log(x) + b * Math.log(1 - x) - lnBeta);
+
+    // Use the symmetry relation where the continued fraction converges faster
+    if (x > (a + 1) / (a + b + 2)) {
+      return 1 - this.incompleteBeta(1 - x, b, a);
+    }
+
+    // Lentz's algorithm
+    const tiny = 1e-30;
+    let f = 1;
+    let c = 1;
+    let d = 0;
+    for (let i = 0; i <= 200; i++) {
+      const m = Math.floor(i / 2);
+      let numerator;
+      if (i === 0) {
+        numerator = 1;
+      } else if (i % 2 === 0) {
+        numerator = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+      } else {
+        numerator = -((a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+      }
+
+      d = 1 + numerator * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      d = 1 / d;
+      c = 1 + numerator / c;
+      if (Math.abs(c) < tiny) c = tiny;
+
+      const cd = c * d;
+      f *= cd;
+      if (Math.abs(1 - cd) < 1e-10) break;
+    }
+
+    return front * (f - 1) / a;
+  }
+
+  /**
+   * Standard normal cumulative distribution function
+   */
+  normalCdf(x) {
+    // Abramowitz & Stegun 26.2.17 (absolute error < 7.5e-8)
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const d = 0.3989422804014327 * Math.exp(-x * x / 2);
+    const p = d * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return x >= 0 ? 1 - p : p;
+  }
+
+  /**
+   * Standard normal quantile (inverse CDF, Acklam's algorithm)
+   */
+  normalQuantile(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+      return -this.normalQuantile(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
   }
 
   /**
@@ -196,15 +743,252 @@ class Processor {
     return slope;
   }
 
+  /**
+   * Extreme-value analysis: GEV fit on per-year maxima of the queried window
+   * Parameters are estimated with L-moments; confidence intervals come from a
+   * seeded parametric bootstrap, so results are reproducible.
+   * @param {Array} dataPoints - Array of {date, value, year}
+   * @param {number} threshold - Optional value whose return period is reported
+   * @param {Object} options - {bootstrap: number of resamples, confidenceLevel}
+   * @returns {Object} Fitted parameters, return levels and intervals
+   */
+  analyzeExtremes(dataPoints, threshold = null, options = {}) {
+    const { bootstrap = 500, confidenceLevel = 0.95 } = options;
+    const blockMaxima = this.blockMaxima(dataPoints);
+
+    if (blockMaxima.length < 10) {
+      return {
+        error: 'At least 10 years of data are needed for extreme-value analysis',
+        blockCount: blockMaxima.length
+      };
+    }
+
+    const maxima = blockMaxima.map(b => b.value);
+    const fit = this.fitGEV(maxima);
+    if (!fit) {
+      return {
+        error: 'GEV fit failed for these data',
+        blockCount: blockMaxima.length
+      };
+    }
+
+    // Parametric bootstrap of return levels (and the threshold's return period)
+    const rng = SeededRandom.fromKey('extremes', maxima.join(','));
+    const levelSamples = RETURN_PERIODS.map(() => []);
+    const periodSamples = [];
+
+    for (let b = 0; b < bootstrap; b++) {
+      const sample = maxima.map(() => this.gevQuantile(fit, rng.uniform(1e-9, 1)));
+      const refit = this.fitGEV(sample);
+      if (!refit) continue;
+
+      RETURN_PERIODS.forEach((period, i) => {
+        levelSamples[i].push(this.gevQuantile(refit, 1 - 1 / period));
+      });
+      if (threshold !== null) {
+        periodSamples.push(this.gevReturnPeriod(refit, threshold));
+      }
+    }
+
+    const alpha = (1 - confidenceLevel) / 2;
+    const interval = samples => {
+      const sorted = samples.filter(v => isFinite(v)).sort((a, b) => a - b);
+      if (sorted.length === 0) return { lower: null, upper: null };
+      return {
+        lower: this.percentile(sorted, alpha * 100),
+        upper: this.percentile(sorted, (1 - alpha) * 100)
+      };
+    };
+
+    const result = {
+      method: 'GEV (L-moments) on per-year maxima of the query window',
+      blockCount: blockMaxima.length,
+      blockMaxima,
+      parameters: {
+        location: fit.location,
+        scale: fit.scale,
+        shape: fit.shape
+      },
+      confidenceLevel,
+      returnLevels: RETURN_PERIODS.map((period, i) => ({
+        period,
+        value: this.gevQuantile(fit, 1 - 1 / period),
+        ci: interval(levelSamples[i])
+      }))
+    };
+
+    if (threshold !== null) {
+      const returnPeriod = this.gevReturnPeriod(fit, threshold);
+      const periodCI = interval(periodSamples);
+      result.threshold = {
+        value: threshold,
+        annualExceedanceProbability: isFinite(returnPeriod) ? 1 / returnPeriod : 0,
+        returnPeriod: isFinite(returnPeriod) ? returnPeriod : null,
+        ci: periodCI
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Maximum per year, dropping partial years (e.g. from window wrap-around at year ends)
+   */
+  blockMaxima(dataPoints) {
+    const byYear = {};
+    dataPoints.forEach(point => {
+      if (point.value === null || point.value === undefined || isNaN(point.value)) return;
+      const year = point.year || parseInt(point.date.split('-')[0]);
+      if (!byYear[year]) byYear[year] = [];
+      byYear[year].push(point.value);
+    });
+
+    const sizes = Object.values(byYear).map(v => v.length).sort((a, b) => a - b);
+    const minSize = this.median(sizes) / 2;
+
+    return Object.keys(byYear)
+      .sort()
+      .filter(year => byYear[year].length >= minSize)
+      .map(year => ({
+        year: parseInt(year),
+        value: Math.max(...byYear[year])
+      }));
+  }
+
+  /**
+   * Fit a GEV distribution by L-moments (Hosking, 1985)
+   * @returns {Object|null} {location, scale, shape, k} with shape = -k (positive = heavy tail)
+   */
+  fitGEV(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const n = sorted.length;
+
+    let b0 = 0;
+    let b1 = 0;
+    let b2 = 0;
+    sorted.forEach((x, i) => {
+      b0 += x;
+      b1 += (i / (n - 1)) * x;
+      b2 += ((i * (i - 1)) / ((n - 1) * (n - 2))) * x;
+    });
+    b0 /= n;
+    b1 /= n;
+    b2 /= n;
+
+    const l1 = b0;
+    const l2 = 2 * b1 - b0;
+    const l3 = 6 * b2 - 6 * b1 + b0;
+    if (!(l2 > 0)) return null;
+
+    const t3 = l3 / l2;
+    const c = 2 / (3 + t3) - Math.LN2 / Math.log(3);
+    const k = 7.8590 * c + 2.9554 * c * c;
+
+    let scale;
+    let location;
+    if (Math.abs(k) < 1e-6) {
+      // Gumbel limit
+      scale = l2 / Math.LN2;
+      location = l1 - 0.5772156649 * scale;
+    } else {
+      const g = this.gammaFunction(1 + k);
+      scale = (l2 * k) / ((1 - Math.pow(2, -k)) * g);
+      location = l1 - (scale * (1 - g)) / k;
+    }
+
+    if (!isFinite(scale) || !isFinite(location) || scale <= 0) return null;
+
+    return { location, scale, shape: -k, k };
+  }
+
+  /**
+   * GEV quantile for non-exceedance probability F
+   */
+  gevQuantile({ location, scale, k }, F) {
+    const y = -Math.log(F);
+    if (Math.abs(k) < 1e-6) {
+      return location - scale * Math.log(y);
+    }
+    return location + (scale / k) * (1 - Math.pow(y, k));
+  }
+
+  /**
+   * Return period (years) of a value under a fitted GEV
+   */
+  gevReturnPeriod({ location, scale, k }, value) {
+    let F;
+    if (Math.abs(k) < 1e-6) {
+      F = Math.exp(-Math.exp(-(value - location) / scale));
+    } else {
+      const t = 1 - (k * (value - location)) / scale;
+      if (t <= 0) {
+        // Outside the support: beyond the upper bound (k > 0) or below the lower bound (k < 0)
+        F = k > 0 ? 1 : 0;
+      } else {
+        F = Math.exp(-Math.pow(t, 1 / k));
+      }
+    }
+    return F >= 1 ? Infinity : 1 / (1 - F);
+  }
+
+  /**
+   * Gamma function (Lanczos approximation)
+   */
+  gammaFunction(z) {
+    if (z < 0.5) {
+      return Math.PI / (Math.sin(Math.PI * z) * this.gammaFunction(1 - z));
+    }
+
+    const g = 7;
+    const coefficients = [
+      0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+      771.32342877765313, -176.61502916214059, 12.507343278686905,
+      -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+
+    const x = z - 1;
+    let a = coefficients[0];
+    const t = x + g + 0.5;
+    for (let i = 1; i < g + 2; i++) {
+      a += coefficients[i] / (x + i);
+    }
+    return Math.sqrt(2 * Math.PI) * Math.pow(t, x + 0.5) * Math.exp(-t) * a;
+  }
+
+  /**
+   * Natural log of the gamma function for positive arguments (Lanczos)
+   */
+  logGamma(z) {
+    const coefficients = [
+      76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+
+    let y = z;
+    const tmp = z + 5.5 - (z + 0.5) * Math.log(z + 5.5);
+    let series = 1.000000000190015;
+    coefficients.forEach(c => {
+      series += c / ++y;
+    });
+    return -tmp + Math.log(2.5066282746310005 * series / z);
+  }
+
   /**
    * Generate textual summary of conditions
    */
-  generateSummary(stats, variable, threshold) {
+  generateSummary(stats, variable, threshold, extremes = null) {
     let summary = '';
 
     if (stats.exceedance) {
       const prob = stats.exceedance.percentage;
-      summary = `There is a ${prob}% chance that ${variable} will exceed ${threshold} based on historical data (${stats.count} observations).`;
+      const ci = stats.exceedance.ci;
+      const range = ci
+        ? ` (${Math.round((stats.confidence ? stats.confidence.level : 0.95) * 100)}% CI: between ${(ci.lower * 100).toFixed(0)}% and ${(ci.upper * 100).toFixed(0)}%)`
+        : '';
+      const effective = stats.exceedance.wilson
+        ? `, roughly ${Math.round(stats.exceedance.wilson.effectiveSampleSize)} independent`
+        : '';
+      summary = `There is a ${prob}% chance${range} that ${variable} will exceed ${threshold} based on historical data (${stats.count} observations${effective}).`;
       
       if (prob < 10) {
         summary += ' This is a rare occurrence.';
@@ -219,9 +1003,450 @@ class Processor {
       summary = `Historical ${variable}: mean=${stats.mean.toFixed(1)}, median=${stats.median.toFixed(1)}, range=[${stats.min.toFixed(1)}, ${stats.max.toFixed(1)}]`;
     }
 
+    // Return period of the threshold from the extreme-value fit
+    if (extremes && extremes.threshold) {
+      const { returnPeriod } = extremes.threshold;
+      if (returnPeriod === null) {
+        summary += ` Exceeding ${threshold} is beyond the fitted upper bound for this time of year.`;
+      } else if (returnPeriod >= 1.5) {
+        summary += ` Exceeding ${threshold} at least once in this window is roughly a 1-in-${Math.round(returnPeriod)}-year event.`;
+      }
+    }
+
     return summary;
   }
 
+  /**
+   * Compute a derived variable from aligned daily input series
+   * The first input's days define the output; a day is null if any input is missing
+   * @param {string} variable - Derived variable name (heatindex, windchill, ...)
+   * @param {Object} seriesByVariable - {inputVariable: Array of {date, value, year, dayOfYear}}
+   * @returns {Array} Array of {date, value, year, dayOfYear}
+   */
+  deriveSeries(variable, seriesByVariable) {
+    const inputs = Object.keys(seriesByVariable);
+    const lookups = {};
+    inputs.forEach(input => {
+      lookups[input] = new Map(seriesByVariable[input].map(p => [p.date, p.value]));
+    });
+
+    const isMissing = v => v === null || v === undefined || isNaN(v);
+
+    return seriesByVariable[inputs[0]].map(point => {
+      const values = {};
+      inputs.forEach(input => {
+        values[input] = lookups[input].get(point.date);
+      });
+
+      let value = null;
+      if (!inputs.some(input => isMissing(values[input]))) {
+        value = this.computeDerivedValue(variable, values);
+      }
+
+      return {
+        date: point.date,
+        value: value === null ? null : parseFloat(value.toFixed(2)),
+        year: point.year,
+        dayOfYear: point.dayOfYear
+      };
+    });
+  }
+
+  /**
+   * Compute one derived value from input values in display units
+   */
+  computeDerivedValue(variable, { temperature, humidity, windspeed }) {
+    switch (variable) {
+      case 'heatindex':
+        return this.heatIndex(temperature, humidity);
+      case 'windchill':
+        return this.windChill(temperature, windspeed);
+      case 'apparenttemp':
+        return this.apparentTemperature(temperature, humidity, windspeed);
+      case 'uncomfortable':
+        return this.heatIndex(temperature, humidity) >= 40.6 || this.windChill(temperature, windspeed) <= -27 ? 1 : 0;
+      default:
+        throw new Error(`Unknown derived variable: ${variable}`);
+    }
+  }
+
+  /**
+   * NWS heat index
+   * @param {number} tempC - Air temperature (°C)
+   * @param {number} rh - Relative humidity (%)
+   * @returns {number} Heat index (°C)
+   */
+  heatIndex(tempC, rh) {
+    const t = tempC * 9 / 5 + 32;
+
+    // Steadman's simple formula, valid for mild conditions
+    let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+    if ((hi + t) / 2 >= 80) {
+      // Rothfusz regression
+      hi = -42.379 + 2.04901523 * t + 10.14333127 * rh
+        - 0.22475541 * t * rh - 0.00683783 * t * t - 0.05481717 * rh * rh
+        + 0.00122874 * t * t * rh + 0.00085282 * t * rh * rh
+        - 0.00000199 * t * t * rh * rh;
+
+      if (rh < 13 && t >= 80 && t <= 112) {
+        hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+      } else if (rh > 85 && t >= 80 && t <= 87) {
+        hi += ((rh - 85) / 10) * ((87 - t) / 5);
+      }
+    }
+
+    return (hi - 32) * 5 / 9;
+  }
+
+  /**
+   * Wind chill (Environment Canada / NWS 2001)
+   * @param {number} tempC - Air temperature (°C)
+   * @param {number} windMs - 10-meter wind speed (m/s)
+   * @returns {number} Wind chill (°C)
+   */
+  windChill(tempC, windMs) {
+    const v = windMs * 3.6; // km/h
+    if (tempC > 10 || v <= 4.8) {
+      return tempC;
+    }
+
+    const vp = Math.pow(v, 0.16);
+    return 13.12 + 0.6215 * tempC - 11.37 * vp + 0.3965 * tempC * vp;
+  }
+
+  /**
+   * Apparent temperature (Steadman, as used by the Australian BoM)
+   * @param {number} tempC - Air temperature (°C)
+   * @param {number} rh - Relative humidity (%)
+   * @param {number} windMs - Wind speed (m/s)
+   * @returns {number} Apparent temperature (°C)
+   */
+  apparentTemperature(tempC, rh, windMs) {
+    const vaporPressure = (rh / 100) * 6.105 * Math.exp((17.27 * tempC) / (237.7 + tempC));
+    return tempC + 0.33 * vaporPressure - 0.70 * windMs - 4.00;
+  }
+
+  /**
+   * Check a single value against a condition
+   * @param {number} value
+   * @param {Object} condition - {operator, threshold}
+   */
+  meetsCondition(value, { operator, threshold }) {
+    switch (operator) {
+      case '>=': return value >= threshold;
+      case '<': return value < threshold;
+      case '<=': return value <= threshold;
+      default: return value > threshold;
+    }
+  }
+
+  /**
+   * Human readable label for a condition, e.g. "temperature > 32"
+   */
+  conditionLabel({ variable, operator = '>', threshold }) {
+    return `${variable} ${operator} ${threshold}`;
+  }
+
+  /**
+   * Compute empirical joint and conditional probabilities of several conditions
+   * Series are aligned on date; only days where every variable has a value are used
+   * @param {Object} seriesByVariable - {variable: Array of {date, value}}
+   * @param {Array} conditions - Array of {variable, operator, threshold}
+   * @param {string} logic - 'AND' or 'OR'
+   * @returns {Object} Joint probability results
+   */
+  computeJointProbability(seriesByVariable, conditions, logic = 'AND') {
+    const variables = [...new Set(conditions.map(c => c.variable))];
+
+    // Align series on date
+    const byDate = new Map();
+    variables.forEach(variable => {
+      seriesByVariable[variable].forEach(point => {
+        if (point.value === null || point.value === undefined || isNaN(point.value)) return;
+        if (!byDate.has(point.date)) byDate.set(point.date, {});
+        byDate.get(point.date)[variable] = point.value;
+      });
+    });
+
+    const aligned = Array.from(byDate.values())
+      .filter(day => variables.every(v => day[v] !== undefined));
+
+    const n = aligned.length;
+    if (n === 0) {
+      return {
+        error: 'No overlapping data points',
+        alignedDays: 0
+      };
+    }
+
+    // met[i][d] = condition i holds on aligned day d
+    const met = conditions.map(c => aligned.map(day => this.meetsCondition(day[c.variable], c)));
+    const jointMet = aligned.map((day, d) =>
+      logic === 'OR' ? met.some(m => m[d]) : met.every(m => m[d])
+    );
+
+    const count = arr => arr.filter(Boolean).length;
+    const probability = k => k / n;
+
+    const marginals = conditions.map((c, i) => {
+      const k = count(met[i]);
+      return {
+        condition: this.conditionLabel(c),
+        variable: c.variable,
+        operator: c.operator,
+        threshold: c.threshold,
+        count: k,
+        probability: probability(k)
+      };
+    });
+
+    // P(A | B) for every ordered pair of conditions
+    const conditional = [];
+    conditions.forEach((a, i) => {
+      conditions.forEach((b, j) => {
+        if (i === j) return;
+        const given = count(met[j]);
+        const both = met[i].filter((v, d) => v && met[j][d]).length;
+        conditional.push({
+          event: this.conditionLabel(a),
+          given: this.conditionLabel(b),
+          count: both,
+          probability: given > 0 ? both / given : null
+        });
+      });
+    });
+
+    // What the joint probability would be if the conditions were independent
+    const expectedIfIndependent = logic === 'OR'
+      ? 1 - marginals.reduce((prod, m) => prod * (1 - m.probability), 1)
+      : marginals.reduce((prod, m) => prod * m.probability, 1);
+
+    const jointCount = count(jointMet);
+
+    return {
+      logic,
+      alignedDays: n,
+      joint: {
+        expression: conditions.map(c => this.conditionLabel(c)).join(` ${logic} `),
+        count: jointCount,
+        probability: probability(jointCount),
+        percentage: (probability(jointCount) * 100).toFixed(1),
+        expectedIfIndependent
+      },
+      marginals,
+      conditional
+    };
+  }
+
+  /**
+   * Generate textual summary of a joint probability result
+   */
+  generateJointSummary(result) {
+    if (result.error) {
+      return 'No overlapping historical data for the requested variables.';
+    }
+
+    const { joint, alignedDays } = result;
+    let summary = `There is a ${joint.percentage}% chance that ${joint.expression} on the same day based on historical data (${alignedDays} days).`;
+
+    const expected = joint.expectedIfIndependent;
+    if (result.logic !== 'AND' || expected === 0) {
+      return summary;
+    }
+
+    if (joint.probability > expected * 1.2) {
+      summary += ' These conditions tend to occur together.';
+    } else if (joint.probability < expected * 0.8) {
+      summary += ' These conditions rarely coincide.';
+    }
+
+    return summary;
+  }
+
+  /**
+   * Probability that a threshold is exceeded over a multi-day span, one outcome per year
+   * Years whose missing days could change the outcome are left undecided and not counted.
+   * @param {Array} dataPoints - Array of {date, value} covering the spans
+   * @param {Array} spans - Array of {year, days: [{date}]} (see utils/calendar.js spans())
+   * @param {number} threshold - Exceedance threshold
+   * @param {Object} options - {mode} 'any', 'all' or 'consecutive', {consecutiveDays} run length for 'consecutive'
+   * @returns {Object} Span probability with the per-year outcomes
+   */
+  computeSpanProbability(dataPoints, spans, threshold, { mode = 'any', consecutiveDays = null } = {}) {
+    const byDate = new Map();
+    dataPoints.forEach(point => {
+      if (point.value !== null && point.value !== undefined && !isNaN(point.value)) {
+        byDate.set(point.date, point.value);
+      }
+    });
+
+    // Longest run of days for which `holds` is true
+    const longestRun = (flags, holds) => flags.reduce(
+      ({ run, longest }, flag) => {
+        const next = holds(flag) ? run + 1 : 0;
+        return { run: next, longest: Math.max(longest, next) };
+      },
+      { run: 0, longest: 0 }
+    ).longest;
+
+    const spanDays = spans.length > 0 ? spans[0].days.length : 0;
+    const required = mode === 'consecutive' ? consecutiveDays : null;
+
+    const outcomes = spans.map(({ year, days }) => {
+      // true / false per day, null when the day has no value
+      const flags = days.map(d => (byDate.has(d.date) ? byDate.get(d.date) > threshold : null));
+      const daysWithData = flags.filter(f => f !== null).length;
+      const daysExceeding = flags.filter(f => f === true).length;
+      const run = longestRun(flags, f => f === true);
+
+      // Best case counts every missing day as exceeding
+      let occurred;
+      if (mode === 'all') {
+        occurred = flags.includes(false) ? false : (daysWithData === days.length ? true : null);
+      } else if (mode === 'consecutive') {
+        occurred = run >= required ? true : (longestRun(flags, f => f !== false) >= required ? null : false);
+      } else {
+        occurred = daysExceeding > 0 ? true : (daysWithData === days.length ? false : null);
+      }
+
+      return {
+        year,
+        start: days[0].date,
+        end: days[days.length - 1].date,
+        daysWithData,
+        daysExceeding,
+        longestRun: run,
+        occurred
+      };
+    });
+
+    const decided = outcomes.filter(o => o.occurred !== null);
+    const count = decided.filter(o => o.occurred).length;
+    const n = decided.length;
+
+    if (n === 0) {
+      return { error: 'No year has enough data for the span', mode, spanDays, outcomes };
+    }
+
+    const probability = count / n;
+
+    return {
+      mode,
+      consecutiveDays: required,
+      spanDays,
+      threshold,
+      years: n,
+      undecidedYears: outcomes.length - n,
+      count,
+      probability,
+      percentage: (probability * 100).toFixed(1),
+      // Years are independent trials, unlike the days of a window
+      ci: { ...this.wilsonInterval(probability, n), method: 'wilson' },
+      outcomes
+    };
+  }
+
+  /**
+   * Generate textual summary of a span probability result
+   */
+  generateSpanSummary(result, variable) {
+    if (result.error) {
+      return `Not enough historical ${variable} data to assess this ${result.spanDays}-day span.`;
+    }
+
+    const event = {
+      any: `on at least one of the ${result.spanDays} days`,
+      all: `on all ${result.spanDays} days`,
+      consecutive: `on ${result.consecutiveDays} or more consecutive days of the ${result.spanDays}`
+    }[result.mode];
+
+    return `In ${result.count} of ${result.years} years (${result.percentage}%), ${variable} exceeded ${result.threshold} ${event}.`;
+  }
+
+  /**
+   * Aggregate the series of all grid cells in an area
+   * @param {Array} cellSeries - Array of {cell: {lat, lon}, timeseries}
+   * @param {number} threshold - Exceedance threshold
+   * @returns {Object} {areaMean, stats, anyCell, cells}
+   */
+  computeAreaStats(cellSeries, threshold) {
+    const isValid = v => v !== null && v !== undefined && !isNaN(v);
+
+    // Align cells on date
+    const byDate = new Map();
+    cellSeries.forEach(({ timeseries }) => {
+      timeseries.forEach(point => {
+        if (!isValid(point.value)) return;
+        if (!byDate.has(point.date)) {
+          byDate.set(point.date, { date: point.date, year: point.year, dayOfYear: point.dayOfYear, values: [] });
+        }
+        byDate.get(point.date).values.push(point.value);
+      });
+    });
+
+    const days = Array.from(byDate.values()).sort((a, b) => (a.date < b.date ? -1 : 1));
+
+    // Area-mean series: mean over the cells with a value on each day
+    const areaMean = days.map(day => ({
+      date: day.date,
+      value: parseFloat(this.mean(day.values).toFixed(2)),
+      year: day.year,
+      dayOfYear: day.dayOfYear
+    }));
+
+    // Probability that at least one cell exceeds the threshold on a day
+    const anyIndicator = days.map(day => ({
+      date: day.date,
+      year: day.year,
+      value: day.values.some(v => v > threshold) ? 1 : 0
+    }));
+    const anyCount = anyIndicator.filter(d => d.value === 1).length;
+    const anyProbability = days.length > 0 ? anyCount / days.length : 0;
+    const nEff = this.effectiveSampleSize(anyIndicator).value;
+
+    const cells = cellSeries.map(({ cell, timeseries }) => {
+      const values = timeseries.map(d => d.value).filter(isValid);
+      const exceedCount = values.filter(v => v > threshold).length;
+      return {
+        lat: cell.lat,
+        lon: cell.lon,
+        count: values.length,
+        mean: values.length > 0 ? parseFloat(this.mean(values).toFixed(2)) : null,
+        exceedanceProbability: values.length > 0 ? exceedCount / values.length : null
+      };
+    });
+
+    return {
+      areaMean,
+      stats: this.computeStats(areaMean, threshold),
+      anyCell: {
+        threshold,
+        count: anyCount,
+        days: days.length,
+        probability: anyProbability,
+        percentage: (anyProbability * 100).toFixed(1),
+        ci: { ...this.wilsonInterval(anyProbability, nEff), method: 'wilson' }
+      },
+      cells
+    };
+  }
+
+  /**
+   * Generate textual summary of an area query
+   */
+  generateAreaSummary(area, variable, threshold) {
+    if (area.stats.error) {
+      return 'No historical data available for this area.';
+    }
+
+    const withData = area.cells.filter(c => c.count > 0).length;
+    const areaMeanPct = area.stats.exceedance.percentage;
+
+    return `Across ${withData} grid cell${withData === 1 ? '' : 's'}, the area-average ${variable} exceeded ${threshold} on ${areaMeanPct}% of days, ` +
+      `and at least one cell exceeded it on ${area.anyCell.percentage}% of days.`;
+  }
+
   /**
    * Check data quality
    */
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const DataProvider = require('./baseProvider');
+const nasaConfig = require('../../config/nasa');
+
+/**
+ * Local Archive Provider
+ *
+ * Serves pre-extracted point series stored on disk, one JSON file per
+ * location and variable:
+ *
+ *   <ARCHIVE_DATA_DIR>/<variable>/<any-name>.json
+ *   { "lat": 40.5, "lon": -73.75, "series": { "2021-07-04": 27.0, ... } }
+ *
+ * Values are stored in display units (already converted).
+ */
+
+class ArchiveProvider extends DataProvider {
+  constructor() {
+    super({
+      id: 'archive',
+      name: 'Local point-series archive',
+      description: 'Pre-extracted point series stored on local disk',
+      variables: [],
+      resolution: { lat: 0.5, lon: 0.625 },
+      yearRange: null
+    });
+
+    this.directory = process.env.ARCHIVE_DATA_DIR || path.join(__dirname, '..', '..', 'archive');
+    this.index = null;
+  }
+
+  /**
+   * Scan the archive directory and index the available series
+   */
+  loadIndex() {
+    if (this.index) return this.index;
+
+    const index = {};
+    const years = new Set();
+
+    if (fs.existsSync(this.directory)) {
+      Object.keys(nasaConfig.variables).forEach(variable => {
+        const variableDir = path.join(this.directory, variable);
+        if (!fs.existsSync(variableDir)) return;
+
+        const entries = fs.readdirSync(variableDir)
+          .filter(file => file.endsWith('.json'))
+          .map(file => {
+            const filepath = path.join(variableDir, file);
+            const { lat, lon, series } = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+            Object.keys(series).forEach(date => years.add(parseInt(date.slice(0, 4))));
+            return { lat, lon, filepath };
+          });
+
+        if (entries.length > 0) {
+          index[variable] = entries;
+        }
+      });
+    }
+
+    this.index = index;
+    this.variables = Object.keys(index);
+    this.years = Array.from(years).sort((a, b) => a - b);
+    this.yearRange = this.years.length > 0 ? { start: this.years[0], end: this.years[this.years.length - 1] } : null;
+
+    console.log(`🗄️  Archive indexed: ${this.variables.length} variables in ${this.directory}`);
+    return index;
+  }
+
+  isAvailable() {
+    this.loadIndex();
+    return this.variables.length > 0;
+  }
+
+  supports(variable, yearRange) {
+    this.loadIndex();
+    return super.supports(variable, yearRange);
+  }
+
+  describe() {
+    this.loadIndex();
+    return super.describe();
+  }
+
+  /**
+   * Find the archived series nearest to a point, within half a grid cell
+   */
+  findNearest(variable, lat, lon) {
+    const entries = this.loadIndex()[variable] || [];
+    let best = null;
+
+    entries.forEach(entry => {
+      const dLat = Math.abs(entry.lat - lat);
+      const dLon = Math.abs(entry.lon - lon);
+      if (dLat > this.resolution.lat / 2 || dLon > this.resolution.lon / 2) return;
+
+      const distance = dLat * dLat + dLon * dLon;
+      if (!best || distance < best.distance) {
+        best = { ...entry, distance };
+      }
+    });
+
+    return best;
+  }
+
+  async fetchDays(lat, lon, variable, days) {
+    const entry = this.findNearest(variable, lat, lon);
+
+    if (!entry) {
+      const error = new Error(`No archived ${variable} series near ${lat}, ${lon}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const { series } = JSON.parse(fs.readFileSync(entry.filepath, 'utf8'));
+
+    return days.map(d => ({
+      date: d.date,
+      value: series[d.date] === undefined ? null : series[d.date],
+      year: d.year,
+      dayOfYear: d.dayOfYear
+    }));
+  }
+}
+
+module.exports = ArchiveProvider;
@@ -0,0 +1,87 @@
+/**
+ * Base Data Provider
+ *
+ * Common interface implemented by every data source behind DataFetcher.
+ * Subclasses declare the variables they serve, their spatial resolution and
+ * valid year range, and implement fetchDays().
+ */
+
+class DataProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - Identifier used in queries (`source`)
+   * @param {string} options.name - Human readable name reported in `meta.dataSource`
+   * @param {Array<string>} options.variables - Supported variable names from config/nasa.js
+   * @param {Object|null} options.resolution - {lat, lon} grid spacing in degrees, null for point sources
+   * @param {Object|null} options.grid - {latStart, latStep, lonStart, lonStep} cell centres, null if not gridded
+   * @param {Object} options.yearRange - {start, end} years with data
+   */
+  constructor({ id, name, description = '', variables = [], resolution = null, grid = null, yearRange }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+    this.variables = variables;
+    this.resolution = resolution;
+    this.grid = grid;
+    this.yearRange = yearRange;
+    // Years actually held when they may have gaps (local archives), null for a continuous yearRange
+    this.years = null;
+  }
+
+  /**
+   * Whether the provider can be used at all (credentials, files on disk, ...)
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Whether the provider serves a variable for (part of) a year range
+   */
+  supports(variable, yearRange) {
+    if (!this.variables.includes(variable)) return false;
+    if (!yearRange || !this.yearRange) return true;
+    return yearRange.start <= this.yearRange.end && yearRange.end >= this.yearRange.start;
+  }
+
+  /**
+   * How many years of a range the provider has data for (0 if either range is unknown)
+   */
+  yearsCovered(yearRange) {
+    if (!yearRange || !this.yearRange) return 0;
+    if (this.years) {
+      return this.years.filter(year => year >= yearRange.start && year <= yearRange.end).length;
+    }
+    return Math.max(0, Math.min(yearRange.end, this.yearRange.end) - Math.max(yearRange.start, this.yearRange.start) + 1);
+  }
+
+  /**
+   * Fetch values for a list of days at a point
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} variable - Variable name
+   * @param {Array} days - Array of {year, dayOfYear, date} objects
+   * @param {Object} options - {onProgress} optional callback (done, total) for slow sources
+   * @returns {Promise<Array>} Array of {date, value, year, dayOfYear} objects
+   */
+  async fetchDays(lat, lon, variable, days, options = {}) {
+    throw new Error(`Provider '${this.id}' does not implement fetchDays`);
+  }
+
+  /**
+   * Public description (used by GET /sources)
+   */
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      variables: this.variables,
+      resolution: this.resolution,
+      yearRange: this.yearRange,
+      available: this.isAvailable()
+    };
+  }
+}
+
+module.exports = DataProvider;
@@ -0,0 +1,124 @@
+const MockProvider = require('./mockProvider');
+const OpendapProvider = require('./opendapProvider');
+const ArchiveProvider = require('./archiveProvider');
+const NetcdfProvider = require('./netcdfProvider');
+
+/**
+ * Data Provider Registry
+ *
+ * Keeps every data source behind a common interface and resolves which
+ * provider serves a query
+ */
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider (later registrations win for the same id)
+   */
+  register(provider) {
+    this.providers.set(provider.id, provider);
+    return this;
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  ids() {
+    return Array.from(this.providers.keys());
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Resolve the provider for a query
+   * @param {string} variable - Variable name
+   * @param {Object} yearRange - {start, end}
+   * @param {string} source - Optional provider id requested by the client
+   * @returns {DataProvider}
+   */
+  resolve(variable, yearRange, source = null) {
+    if (source) {
+      const provider = this.get(source);
+      if (!provider) {
+        throw this.error(`Unknown data source '${source}'`);
+      }
+      if (!provider.isAvailable()) {
+        throw this.error(`Data source '${source}' is not available`, 503);
+      }
+      if (!provider.supports(variable, yearRange)) {
+        throw this.error(`Data source '${source}' does not provide ${variable} for ${yearRange.start}-${yearRange.end}`);
+      }
+      return provider;
+    }
+
+    // Mock data unless real data is explicitly enabled
+    if (process.env.USE_MOCK_DATA !== 'false') {
+      return this.get('mock');
+    }
+
+    // The provider with the most of the requested years, registration order breaking ties:
+    // a local archive holding some of the years must not shadow a source with all of them,
+    // and providers of unknown coverage only serve when nothing else does
+    let provider = null;
+    let covered = -1;
+    this.list().forEach(p => {
+      if (p.id === 'mock' || !p.isAvailable() || !p.supports(variable, yearRange)) return;
+      const years = p.yearsCovered(yearRange);
+      if (years > covered) {
+        provider = p;
+        covered = years;
+      }
+    });
+
+    if (!provider) {
+      throw this.error(`No data source provides ${variable} for ${yearRange.start}-${yearRange.end}`);
+    }
+    return provider;
+  }
+
+  error(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+// Registration order is the priority order used when no source is named and providers
+// hold as many of the requested years; local granules come first so fully archived
+// ranges never go to the network
+const registry = new ProviderRegistry()
+  .register(new NetcdfProvider({
+    id: 'merra2-local',
+    datasetKey: 'merra2',
+    name: 'NASA MERRA-2 M2SDNXSLV (local NetCDF archive)',
+    description: 'MERRA-2 daily granules read from NETCDF_ARCHIVE_DIR, 0.5° x 0.625°'
+  }))
+  .register(new NetcdfProvider({
+    id: 'imerg-local',
+    datasetKey: 'imerg',
+    name: 'NASA GPM IMERG Final Daily (local NetCDF archive)',
+    description: 'GPM IMERG daily granules read from NETCDF_ARCHIVE_DIR, 0.1° x 0.1°'
+  }))
+  .register(new OpendapProvider({
+    id: 'merra2',
+    datasetKey: 'merra2',
+    name: 'NASA MERRA-2 M2SDNXSLV (GES DISC OPeNDAP)',
+    description: 'MERRA-2 daily surface statistics reanalysis, 0.5° x 0.625°'
+  }))
+  .register(new OpendapProvider({
+    id: 'imerg',
+    datasetKey: 'imerg',
+    name: 'NASA GPM IMERG Final Daily (GES DISC OPeNDAP)',
+    description: 'GPM IMERG merged satellite precipitation, 0.1° x 0.1°'
+  }))
+  .register(new ArchiveProvider())
+  .register(new MockProvider());
+
+module.exports = registry;
+module.exports.ProviderRegistry = ProviderRegistry;
@@ -0,0 +1,83 @@
+const DataProvider = require('./baseProvider');
+const netcdfArchive = require('../netcdfArchive');
+const nasaConfig = require('../../config/nasa');
+
+/**
+ * NetCDF Archive Provider
+ *
+ * Serves the variables of one dataset (MERRA-2, GPM IMERG) from locally
+ * archived daily granules, with the same grid cells and conversions as the
+ * OPeNDAP provider. Variables and years follow what the archive holds.
+ */
+
+class NetcdfProvider extends DataProvider {
+  constructor({ id, datasetKey, name, description }) {
+    const dataset = nasaConfig.opendap.datasets[datasetKey];
+
+    super({
+      id,
+      name,
+      description,
+      variables: [],
+      resolution: { lat: dataset.grid.latStep, lon: dataset.grid.lonStep },
+      grid: dataset.grid,
+      yearRange: null
+    });
+
+    this.datasetKey = datasetKey;
+    this.loadedIndex = null;
+  }
+
+  /**
+   * Refresh variables and years whenever the archive index changes
+   */
+  load() {
+    const index = netcdfArchive.getIndex();
+    if (index === this.loadedIndex) return;
+
+    const { fields, years, yearRange } = netcdfArchive.summary(this.datasetKey);
+    this.variables = Object.keys(nasaConfig.variables).filter(v => {
+      const varConfig = nasaConfig.variables[v];
+      return varConfig.dataset === this.datasetKey && fields.includes(varConfig.field);
+    });
+    this.yearRange = yearRange;
+    this.years = years;
+    this.loadedIndex = index;
+  }
+
+  isAvailable() {
+    this.load();
+    return this.variables.length > 0;
+  }
+
+  supports(variable, yearRange) {
+    this.load();
+    return super.supports(variable, yearRange);
+  }
+
+  describe() {
+    this.load();
+    return super.describe();
+  }
+
+  async fetchDays(lat, lon, variable, days, options = {}) {
+    const varConfig = nasaConfig.variables[variable];
+
+    const rawValues = await netcdfArchive.fetchPointSeries(
+      this.datasetKey, varConfig.field, lat, lon, days.map(d => d.date), options.onProgress
+    );
+
+    return days.map((d, i) => {
+      const raw = rawValues[i];
+      const value = raw === null ? null : varConfig.conversion(raw);
+      return {
+        date: d.date,
+        value: value === null ? null : parseFloat(value.toFixed(2)),
+        year: d.year,
+        dayOfYear: d.dayOfYear
+      };
+    });
+  }
+}
+
+module.exports = NetcdfProvider;
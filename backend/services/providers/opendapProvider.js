@@ -0,0 +1,54 @@
+const DataProvider = require('./baseProvider');
+const opendap = require('../opendap');
+const nasaConfig = require('../../config/nasa');
+
+/**
+ * OPeNDAP Provider
+ *
+ * Serves the variables mapped to one GES DISC dataset (MERRA-2, GPM IMERG)
+ * by extracting the nearest grid cell of each daily granule
+ */
+
+class OpendapProvider extends DataProvider {
+  constructor({ id, datasetKey, name, description }) {
+    const dataset = nasaConfig.opendap.datasets[datasetKey];
+
+    super({
+      id,
+      name,
+      description,
+      variables: Object.keys(nasaConfig.variables)
+        .filter(v => nasaConfig.variables[v].dataset === datasetKey),
+      resolution: { lat: dataset.grid.latStep, lon: dataset.grid.lonStep },
+      grid: dataset.grid,
+      yearRange: {
+        start: dataset.firstYear || nasaConfig.defaults.startYear,
+        end: nasaConfig.defaults.endYear
+      }
+    });
+
+    this.datasetKey = datasetKey;
+  }
+
+  async fetchDays(lat, lon, variable, days, options = {}) {
+    const varConfig = nasaConfig.variables[variable];
+    const dates = days.map(d => new Date(`${d.date}T00:00:00Z`));
+
+    const rawValues = await opendap.fetchPointSeries(
+      this.datasetKey, varConfig.field, lat, lon, dates, options.onProgress
+    );
+
+    return days.map((d, i) => {
+      const raw = rawValues[i];
+      const value = raw === null ? null : varConfig.conversion(raw);
+      return {
+        date: d.date,
+        value: value === null ? null : parseFloat(value.toFixed(2)),
+        year: d.year,
+        dayOfYear: d.dayOfYear
+      };
+    });
+  }
+}
+
+module.exports = OpendapProvider;
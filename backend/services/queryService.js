@@ -0,0 +1,252 @@
+const dataFetcher = require('./dataFetcher');
+const processor = require('./processor');
+const elevationService = require('./elevation');
+const cache = require('./cache');
+const gazetteer = require('./gazetteer');
+const db = require('../config/db');
+const csvWriter = require('../utils/csvWriter');
+const SavedQuery = require('../models/SavedQuery');
+
+/**
+ * Query Service
+ *
+ * The full point-query pipeline (cache, fetch, statistics, CSV, history),
+ * shared by the synchronous /query endpoint and the async job queue
+ */
+
+class QueryService {
+  /**
+   * Run a validated point query
+   * @param {Object} params - Validated query parameters (see weatherQuerySchema)
+   * @param {Object} options
+   * @param {Function} options.onProgress - Called with (percent, message)
+   * @param {boolean} options.saveHistory - Save to SavedQuery (default: outside development)
+   * @param {string} options.userId - Authenticated caller, whose history gets the query
+   * @returns {Promise<Object>} {result, cacheKey, provider, savedQuery}
+   */
+  async run(params, options = {}) {
+    const {
+      onProgress = () => {},
+      saveHistory = process.env.NODE_ENV !== 'development',
+      userId = null
+    } = options;
+
+    console.log('🔍 Processing weather query:', {
+      lat: params.lat,
+      lon: params.lon,
+      variable: params.variable,
+      dayOfYear: params.dayOfYear
+    });
+
+    // Resolve data provider (explicit `source` or default for the variable)
+    const provider = dataFetcher.resolveProvider(params.variable, params.yearRange, params.source);
+
+    // Generate cache key
+    const cacheKey = cache.generateKey({ ...params, source: provider.id });
+
+    // Cached result, or one computation shared by identical concurrent queries
+    let savedQuery = null;
+    const cached = await cache.wrap(cacheKey, async () => {
+      const result = await this.compute(params, provider, onProgress);
+
+      // Optionally save to database for history
+      if (saveHistory) {
+        savedQuery = await this.saveToHistory(params, provider, result, userId);
+      }
+      return result;
+    });
+
+    // A user's history lists their cached queries too
+    if (saveHistory && userId && !savedQuery) {
+      savedQuery = await this.saveToHistory(params, provider, cached, userId);
+    }
+
+    const result = cache.annotate(cached);
+
+    onProgress(100, 'Completed');
+    return { result, cacheKey, provider, savedQuery };
+  }
+
+  /**
+   * Fetch the data and compute the full response for a query
+   * @returns {Promise<Object>} Response body
+   */
+  async compute(params, provider, onProgress = () => {}) {
+    // Lapse-rate correction from the grid cells' height to the point's (fails before any fetch)
+    const elevation = params.elevation === undefined ? null : elevationService.correctionFor(
+      params.lat,
+      params.lon,
+      params.elevation,
+      dataFetcher.getSpatialCells(provider, params.lat, params.lon, params.interpolation),
+      dataFetcher.getGrid(provider)
+    );
+
+    // Fetch data from NASA sources (0-80% of the work)
+    onProgress(0, 'Fetching data');
+    let timeseries = await dataFetcher.fetchPointTimeSeries(
+      params.lat,
+      params.lon,
+      params.variable,
+      params.dayOfYear,
+      params.window,
+      params.yearRange,
+      {
+        source: params.source,
+        interpolation: params.interpolation,
+        alignment: params.alignment,
+        date: params.date,
+        dateRange: params.dateRange,
+        onProgress: (done, total) => onProgress(Math.floor((done / total) * 80), `Fetched ${done}/${total} days`)
+      }
+    );
+
+    if (!timeseries || timeseries.length === 0) {
+      const error = new Error('No data available for the specified location and time period');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    onProgress(80, 'Computing statistics');
+
+    // Keep the grid-cell statistics next to the corrected ones
+    let rawStats;
+    if (elevation && elevation.adjustment !== null) {
+      rawStats = processor.computeStats(timeseries, params.threshold);
+      timeseries = elevationService.correctSeries(timeseries, elevation.adjustment);
+    }
+
+    // Compute statistics
+    const stats = processor.computeStats(timeseries, params.threshold);
+
+    // Assess data quality
+    const quality = processor.assessDataQuality(timeseries);
+
+    // Analyze trend and compare early vs recent climate normals
+    const trend = processor.analyzeTrend(timeseries);
+    trend.normals = processor.compareNormals(timeseries, params.threshold ?? null, params.normals);
+
+    // Optional analyses requested via `analysis`
+    const analyses = {};
+    if (params.analysis.includes('extremes')) {
+      analyses.extremes = processor.analyzeExtremes(timeseries, params.threshold ?? null);
+    }
+
+    // Multi-day event: one outcome per year over the whole span
+    if (params.dateRange) {
+      analyses.span = processor.computeSpanProbability(
+        timeseries,
+        dataFetcher.buildSpans(params.dateRange, params.yearRange, params),
+        params.threshold,
+        { mode: params.spanMode, consecutiveDays: params.consecutiveDays }
+      );
+    }
+
+    // Generate summary text
+    const summary = analyses.span
+      ? processor.generateSpanSummary(analyses.span, params.variable)
+      : processor.generateSummary(stats, params.variable, params.threshold, analyses.extremes);
+
+    // Get variable metadata
+    const varConfig = dataFetcher.getVariableConfig(params.variable);
+
+    // Nearest named place, for the display name, timezone and country
+    const place = await gazetteer.describePoint(params.lat, params.lon);
+
+    // Build metadata
+    const meta = {
+      variable: params.variable,
+      units: varConfig.displayUnits,
+      lat: params.lat,
+      lon: params.lon,
+      locationName: params.locationName || (place ? place.displayName : `${params.lat}, ${params.lon}`),
+      place: place || undefined,
+      dayOfYear: params.dayOfYear,
+      alignment: params.alignment,
+      window: params.dateRange ? undefined : params.window,
+      dateRange: params.dateRange,
+      spanMode: params.dateRange ? params.spanMode : undefined,
+      yearRange: params.yearRange,
+      dataSource: provider.name,
+      source: provider.id,
+      spatial: dataFetcher.describeSpatial(provider, params.lat, params.lon, params.interpolation),
+      elevation: elevation || undefined,
+      queryDate: new Date().toISOString(),
+      quality
+    };
+
+    // Generate CSV export
+    onProgress(95, 'Writing CSV export');
+    const csvFilename = await csvWriter.generateCSV(timeseries, meta, stats, analyses);
+    const downloadUrl = csvWriter.getPublicURL(csvFilename);
+
+    // Build response
+    return {
+      success: true,
+      meta,
+      stats,
+      rawStats,
+      trend,
+      ...analyses,
+      summary,
+      distribution: stats.distribution,
+      timeseries: timeseries.slice(0, 100), // Limit to 100 points in response (full data in CSV)
+      downloadUrl,
+      cached: false
+    };
+  }
+
+  /**
+   * Save (or refresh) a query result in the history collection
+   * Never throws - a failed save must not fail the query. Skipped without a
+   * database, where mongoose would hold the write until its buffer times out.
+   * @returns {Promise<Object|null>} Saved document
+   */
+  async saveToHistory(params, provider, result, userId = null) {
+    if (!db.isConnected()) return null;
+
+    try {
+      const fields = {
+        latitude: params.lat,
+        longitude: params.lon,
+        dayOfYear: params.dayOfYear,
+        date: params.date ?? null,
+        alignment: params.alignment,
+        variable: params.variable,
+        threshold: params.threshold ?? null,
+        window: params.window,
+        yearRange: params.yearRange,
+        source: provider.id,
+        interpolation: params.interpolation,
+        elevation: params.elevation ?? null,
+        span: params.dateRange
+          ? { ...params.dateRange, mode: params.spanMode, consecutiveDays: params.consecutiveDays ?? null }
+          : null,
+        analysis: params.analysis || [],
+        normals: params.normals ?? null,
+        locationName: params.locationName,
+        userId,
+        results: result
+      };
+
+      // Same query again: refresh the existing entry instead of hitting the unique hash
+      const queryHash = new SavedQuery(fields).generateHash();
+      return await SavedQuery.findOneAndUpdate(
+        { queryHash },
+        {
+          $set: {
+            ...fields,
+            queryHash,
+            lastAccessed: new Date(),
+            expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+          }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (dbError) {
+      console.warn('⚠️  Failed to save query to database:', dbError.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new QueryService();
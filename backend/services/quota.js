@@ -0,0 +1,133 @@
+const quotaConfig = require('../config/quota');
+const { createStore } = require('./quotaStores');
+const calendar = require('../utils/calendar');
+
+/**
+ * Quota Service
+ *
+ * Tracks each principal's usage in three windows: a fixed burst window
+ * (requests) and the UTC day and month (quota units, see config/quota.js).
+ * Counters live in a pluggable store (services/quotaStores) so several
+ * instances share them and they survive restarts.
+ *
+ * Admission reads the counters before charging, so concurrent requests can
+ * overshoot a budget by a few units; expensive responses are charged their
+ * remaining cost once they are sent (middleware/quota.js).
+ */
+
+class QuotaService {
+  constructor(config = quotaConfig, store = createStore(config)) {
+    this.config = config;
+    this.store = store;
+  }
+
+  /**
+   * Swap the counter store (e.g. a Redis stand-in in tests)
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Who pays for a request: the API key, the user of a JWT, or the client IP
+   */
+  principal(req) {
+    if (req.user && req.user.apiKeyId) return { type: 'apiKey', id: req.user.apiKeyId };
+    if (req.user) return { type: 'user', id: req.user.id };
+    return { type: 'ip', id: req.ip };
+  }
+
+  tier(req) {
+    return req.user ? 'authenticated' : 'anonymous';
+  }
+
+  /**
+   * The quota windows containing a moment
+   * @returns {Array} [{name, unit, id, seconds, resetAt}] for burst, daily and monthly
+   */
+  windows(now = new Date()) {
+    const burstMs = this.config.burstWindowMs;
+    const burstStart = Math.floor(now.getTime() / burstMs) * burstMs;
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const day = now.getUTCDate();
+
+    return [
+      { name: 'burst', unit: 'requests', id: String(burstStart), seconds: burstMs / 1000, resetAt: new Date(burstStart + burstMs) },
+      { name: 'daily', unit: 'units', id: calendar.toISODate(now), seconds: 24 * 60 * 60, resetAt: new Date(Date.UTC(year, month, day + 1)) },
+      {
+        name: 'monthly',
+        unit: 'units',
+        id: calendar.toISODate(now).slice(0, 7),
+        seconds: (Date.UTC(year, month + 1, 1) - Date.UTC(year, month, 1)) / 1000,
+        resetAt: new Date(Date.UTC(year, month + 1, 1))
+      }
+    ];
+  }
+
+  counterKey(principal, window) {
+    return `${principal.type}:${principal.id}:${window.name}:${window.id}`;
+  }
+
+  /**
+   * A window with the principal's usage and the tier's limit
+   */
+  describe(window, tier, used) {
+    const limit = this.config.tiers[tier][window.name];
+    return { ...window, limit, used, remaining: Math.max(0, limit - used) };
+  }
+
+  /**
+   * Current usage of a principal
+   * @returns {Promise<Array>} windows (see describe())
+   */
+  async usage(principal, tier, now = new Date()) {
+    const windows = this.windows(now);
+    const used = await this.store.get(windows.map(window => this.counterKey(principal, window)));
+    return windows.map((window, i) => this.describe(window, tier, used[i]));
+  }
+
+  /**
+   * Admit a request: refused when a window is used up, otherwise counted in
+   * the burst window and charged the base cost
+   * @returns {Promise<Object>} {allowed, windows, exhausted?}
+   */
+  async admit(principal, tier, now = new Date()) {
+    const windows = await this.usage(principal, tier, now);
+    const exhausted = windows.find(window => window.remaining <= 0);
+    if (exhausted) {
+      return { allowed: false, windows, exhausted };
+    }
+
+    const used = await Promise.all(windows.map(window => this.store.add(
+      this.counterKey(principal, window),
+      window.name === 'burst' ? 1 : this.config.costs.request,
+      window.resetAt
+    )));
+    return { allowed: true, windows: windows.map((window, i) => this.describe(window, tier, used[i])) };
+  }
+
+  /**
+   * Charge additional units to the daily and monthly budgets
+   */
+  async charge(principal, units, now = new Date()) {
+    const budgets = this.windows(now).filter(window => window.unit === 'units');
+    await Promise.all(budgets.map(window => this.store.add(this.counterKey(principal, window), units, window.resetAt)));
+  }
+
+  /**
+   * Cost of a sent response: routes marked with quotaCost(kind) cost
+   * costs[kind] unless they failed or were served from the cache, times
+   * res.locals.quotaQueries when one request computed several queries
+   */
+  responseCost(res) {
+    const kind = res.locals.quotaCost;
+    if (!kind || res.statusCode >= 400 || res.locals.cached) {
+      return this.config.costs.request;
+    }
+    return this.config.costs[kind] * (res.locals.quotaQueries || 1);
+  }
+}
+
+module.exports = new QuotaService();
+module.exports.QuotaService = QuotaService;
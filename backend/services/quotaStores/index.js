@@ -0,0 +1,43 @@
+const MemoryQuotaStore = require('./memoryStore');
+const RedisQuotaStore = require('./redisStore');
+const MongoQuotaStore = require('./mongoStore');
+
+/**
+ * Quota Store Factory
+ *
+ * Builds the counter store selected by config/quota.js (QUOTA_BACKEND).
+ * Every store implements:
+ *   add(key, amount, expiresAt) -> Promise<number> new total
+ *   get(keys)                   -> Promise<number[]> totals (0 when unset or expired)
+ */
+
+const createStore = (config) => {
+  switch (config.backend) {
+    case 'memory':
+      return new MemoryQuotaStore();
+
+    case 'redis': {
+      const Redis = require('ioredis');
+      const client = new Redis(config.redis.url, {
+        // Fail fast while Redis is down; the quota middleware lets requests through
+        maxRetriesPerRequest: 1,
+        enableOfflineQueue: false
+      });
+      client.on('error', error => console.warn('⚠️  Redis quota store error:', error.message));
+      return new RedisQuotaStore({ client, prefix: config.prefix });
+    }
+
+    case 'mongo':
+      return new MongoQuotaStore({ prefix: config.prefix });
+
+    default:
+      throw new Error(`Unknown QUOTA_BACKEND '${config.backend}' (expected memory, redis or mongo)`);
+  }
+};
+
+module.exports = {
+  createStore,
+  MemoryQuotaStore,
+  RedisQuotaStore,
+  MongoQuotaStore
+};
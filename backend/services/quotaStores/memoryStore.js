@@ -0,0 +1,43 @@
+/**
+ * Memory Quota Store
+ *
+ * Counters in a Map, per instance and lost on restart. Expired counters are
+ * reset on access and swept every 1000 writes.
+ */
+
+class MemoryQuotaStore {
+  constructor() {
+    this.name = 'memory';
+    this.counters = new Map(); // key -> {value, expiresAt}
+    this.writes = 0;
+  }
+
+  async add(key, amount, expiresAt) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+    if (!counter || counter.expiresAt <= now) {
+      counter = { value: 0, expiresAt: expiresAt.getTime() };
+      this.counters.set(key, counter);
+    }
+    counter.value += amount;
+
+    if (++this.writes % 1000 === 0) this.sweep(now);
+    return counter.value;
+  }
+
+  async get(keys) {
+    const now = Date.now();
+    return keys.map(key => {
+      const counter = this.counters.get(key);
+      return counter && counter.expiresAt > now ? counter.value : 0;
+    });
+  }
+
+  sweep(now) {
+    for (const [key, counter] of this.counters) {
+      if (counter.expiresAt <= now) this.counters.delete(key);
+    }
+  }
+}
+
+module.exports = MemoryQuotaStore;
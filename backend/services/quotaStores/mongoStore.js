@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const QuotaCounter = require('../../models/QuotaCounter');
+
+/**
+ * MongoDB Quota Store
+ *
+ * Counters in the application database, shared by all instances. Fails fast
+ * while disconnected rather than waiting for mongoose's command buffer, so
+ * the quota middleware can let the request through.
+ */
+
+class MongoQuotaStore {
+  constructor({ prefix }) {
+    this.name = 'mongo';
+    this.prefix = prefix;
+  }
+
+  assertConnected() {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('No database connection');
+    }
+  }
+
+  async add(key, amount, expiresAt) {
+    this.assertConnected();
+    const counter = await QuotaCounter.findOneAndUpdate(
+      { key: `${this.prefix}${key}` },
+      { $inc: { value: amount }, $setOnInsert: { expiresAt } },
+      { upsert: true, new: true }
+    ).lean();
+    return counter.value;
+  }
+
+  async get(keys) {
+    this.assertConnected();
+    const counters = await QuotaCounter.find({
+      key: { $in: keys.map(key => `${this.prefix}${key}`) },
+      expiresAt: { $gt: new Date() }
+    }).lean();
+
+    const values = new Map(counters.map(counter => [counter.key, counter.value]));
+    return keys.map(key => values.get(`${this.prefix}${key}`) || 0);
+  }
+}
+
+module.exports = MongoQuotaStore;
@@ -0,0 +1,35 @@
+/**
+ * Redis Quota Store
+ *
+ * Counters shared by all instances, stored as `<prefix><key>` integers that
+ * expire with their quota window.
+ */
+
+class RedisQuotaStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - ioredis (or compatible) client
+   * @param {string} options.prefix - Key prefix
+   */
+  constructor({ client, prefix }) {
+    this.name = 'redis';
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async add(key, amount, expiresAt) {
+    const [[error, value]] = await this.client.multi()
+      .incrby(`${this.prefix}${key}`, amount)
+      .pexpireat(`${this.prefix}${key}`, expiresAt.getTime())
+      .exec();
+    if (error) throw error;
+    return value;
+  }
+
+  async get(keys) {
+    const values = await this.client.mget(...keys.map(key => `${this.prefix}${key}`));
+    return values.map(value => parseInt(value) || 0);
+  }
+}
+
+module.exports = RedisQuotaStore;
@@ -0,0 +1,183 @@
+const cacheConfig = require('../config/cache');
+const { createAdapter } = require('./cacheAdapters');
+
+/**
+ * Series Cache Service
+ *
+ * Second cache tier below the result cache: raw daily values per provider,
+ * variable and grid cell. Queries for the same cell with a different
+ * dayOfYear, window, year range or threshold reuse the stored days and
+ * only fetch the dates that are not cached yet.
+ *
+ * Entries are {values: {'YYYY-MM-DD': value|null}}; null marks a day the
+ * source has no data for, so it is not fetched again. Fetches of the same
+ * cell may overlap; each merges its days into the entry as stored when it
+ * writes, so neither loses the other's.
+ */
+
+class SeriesCache {
+  constructor() {
+    this.enabled = cacheConfig.series.enabled;
+    this.ttl = cacheConfig.series.ttl;
+    this.adapter = createAdapter({
+      ...cacheConfig,
+      ttl: this.ttl,
+      prefix: `${cacheConfig.prefix}series:`
+    });
+
+    // key -> promise of the last merge queued for it
+    this.merges = new Map();
+  }
+
+  /**
+   * Swap the storage backend (e.g. a Redis stand-in in tests)
+   */
+  useAdapter(adapter) {
+    this.adapter = adapter;
+  }
+
+  /**
+   * Cache key of one raw series
+   * @param {Object} cell - Snapped {lat, lon} grid cell centre
+   */
+  generateKey(providerId, variable, cell) {
+    return `${providerId}:${variable}:${cell.lat}:${cell.lon}`;
+  }
+
+  /**
+   * Fetch days for a grid cell, going to the provider only for uncached dates
+   * @param {DataProvider} provider - Source of the series
+   * @param {Object} cell - Snapped {lat, lon} grid cell centre
+   * @param {string} variable - Variable name
+   * @param {Array} days - Array of {year, dayOfYear, date} objects
+   * @param {Object} options - Passed to provider.fetchDays ({onProgress})
+   * @returns {Promise<Array>} Array of {date, value, year, dayOfYear} objects
+   */
+  async fetchDays(provider, cell, variable, days, options = {}) {
+    if (!this.enabled) {
+      return provider.fetchDays(cell.lat, cell.lon, variable, days, options);
+    }
+
+    const key = this.generateKey(provider.id, variable, cell);
+    const entry = (await this.read(key)) || { values: {} };
+    const missing = days.filter(d => !Object.prototype.hasOwnProperty.call(entry.values, d.date));
+
+    if (missing.length > 0) {
+      console.log(`📦 Series cache ${key}: ${days.length - missing.length}/${days.length} days cached, fetching ${missing.length}`);
+
+      const fetched = await provider.fetchDays(cell.lat, cell.lon, variable, missing, options);
+      const values = {};
+      fetched.forEach(point => {
+        values[point.date] = point.value === undefined ? null : point.value;
+      });
+      Object.assign(entry.values, values);
+      await this.merge(key, values);
+      await this.count('misses');
+    } else {
+      await this.count('hits');
+    }
+
+    return days.map(d => ({
+      date: d.date,
+      value: entry.values[d.date] === undefined ? null : entry.values[d.date],
+      year: d.year,
+      dayOfYear: d.dayOfYear
+    }));
+  }
+
+  /**
+   * Add fetched days to the stored entry
+   * Merges of a key run one after another, each re-reading the entry first,
+   * so a fetch that started from an older entry does not drop newer days.
+   * @param {Object} values - {'YYYY-MM-DD': value|null}
+   */
+  merge(key, values) {
+    const previous = this.merges.get(key) || Promise.resolve();
+    const merged = previous.then(async () => {
+      const entry = (await this.read(key)) || { values: {} };
+      Object.assign(entry.values, values);
+      await this.write(key, entry);
+    });
+
+    this.merges.set(key, merged);
+    return merged.finally(() => {
+      if (this.merges.get(key) === merged) this.merges.delete(key);
+    });
+  }
+
+  /**
+   * Read an entry; backend errors count as a miss
+   */
+  async read(key) {
+    try {
+      return await this.adapter.get(key);
+    } catch (error) {
+      console.warn(`⚠️  Series cache read failed (${this.adapter.name}):`, error.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Write an entry; backend errors are logged and ignored
+   */
+  async write(key, entry) {
+    try {
+      await this.adapter.set(key, entry, this.ttl);
+      await this.count('sets');
+    } catch (error) {
+      console.warn(`⚠️  Series cache write failed (${this.adapter.name}):`, error.message);
+    }
+  }
+
+  async count(counter) {
+    try {
+      await this.adapter.increment(counter);
+    } catch (error) {
+      console.warn(`⚠️  Series cache stats update failed (${this.adapter.name}):`, error.message);
+    }
+  }
+
+  /**
+   * Clear all cached series
+   */
+  async flush() {
+    await this.adapter.flush();
+    console.log('🧹 Series cache flushed');
+  }
+
+  /**
+   * Keys of cached series matching a pattern (`*` and `?` wildcards), sorted
+   */
+  async keys(pattern = '*') {
+    return (await this.adapter.keys(pattern)).sort();
+  }
+
+  /**
+   * Evict the cached series matching a pattern (e.g. one provider's, `merra2:*`)
+   * @returns {Promise<number>} Number of evicted series
+   */
+  async deleteMatching(pattern) {
+    const count = await this.adapter.deleteMatching(pattern);
+    console.log(`🧹 Series cache evicted ${count} series matching ${pattern}`);
+    return count;
+  }
+
+  /**
+   * Get series cache statistics (hits/misses count lookups, not days)
+   */
+  async getStats() {
+    const [series, counters] = await Promise.all([
+      this.adapter.keyCount(),
+      this.adapter.counters()
+    ]);
+
+    return {
+      enabled: this.enabled,
+      backend: this.adapter.name,
+      series,
+      ...counters
+    };
+  }
+}
+
+module.exports = new SeriesCache();
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const db = require('../config/db');
+const authService = require('../services/authService');
+const cache = require('../services/cache');
+const csvWriter = require('../utils/csvWriter');
+const AuditLog = require('../models/AuditLog');
+const SavedQuery = require('../models/SavedQuery');
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { buildApp } = require('./helpers/app');
+
+const app = buildApp(
+  ['/api/', authenticate],
+  ['/api/v1/weather', require('../routes/weather')],
+  ['/api/v1/admin', require('../routes/admin')]
+);
+
+const bearer = role => `Bearer ${authService.signToken({ id: '665f1c2a9d3e4b0012345678', email: `${role}@example.com`, role })}`;
+
+// The account behind the tokens, as authorize() reads it (null: deleted)
+const account = role => jest.spyOn(User, 'findById').mockReturnValue({ select: async () => (role ? { role } : null) });
+
+// Wait for the audit entry written once the response has finished
+const flushAudit = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Admin API', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should require the admin role', async () => {
+    const anonymous = await request(app).delete('/api/v1/admin/cache').expect(401);
+    expect(anonymous.body.message).toMatch(/Authentication required/);
+
+    jest.spyOn(db, 'isConnected').mockReturnValue(true);
+    account('user');
+    const user = await request(app).delete('/api/v1/admin/cache').set('Authorization', bearer('user')).expect(403);
+    expect(user.body.message).toBe('Forbidden: requires the admin role');
+
+    await request(app).delete('/api/v1/weather/cache').set('Authorization', bearer('user')).expect(403);
+  });
+
+  it('should check the current role of the account rather than the token\'s', async () => {
+    jest.spyOn(db, 'isConnected').mockReturnValue(true);
+
+    account('user');
+    const demoted = await request(app).delete('/api/v1/admin/cache').set('Authorization', bearer('admin')).expect(403);
+    expect(demoted.body.message).toBe('Forbidden: requires the admin role');
+    expect(User.findById).toHaveBeenCalledWith('665f1c2a9d3e4b0012345678');
+
+    account(null);
+    const deleted = await request(app).delete('/api/v1/admin/cache').set('Authorization', bearer('admin')).expect(401);
+    expect(deleted.body.message).toBe('This account no longer exists');
+  });
+
+  it('should refuse admin actions without a database', async () => {
+    // No MongoDB in the test environment: the role cannot be checked
+    const accounts = await request(app).delete('/api/v1/weather/cache').set('Authorization', bearer('admin')).expect(503);
+    expect(accounts.body.message).toMatch(/Accounts are unavailable/);
+
+    // Nor could the action be audited
+    jest.spyOn(authService, 'currentRole').mockResolvedValue('admin');
+    const response = await request(app).delete('/api/v1/weather/cache').set('Authorization', bearer('admin')).expect(503);
+    expect(response.body.message).toMatch(/audit log/);
+  });
+
+  describe('with a database', () => {
+    let audited;
+
+    beforeEach(() => {
+      jest.spyOn(db, 'isConnected').mockReturnValue(true);
+      account('admin');
+      audited = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    });
+
+    it('should list and evict cache keys by pattern and audit both', async () => {
+      await cache.flush();
+      await cache.store('query:40.7:-74:temperature', { value: 1 });
+      await cache.store('query:40.7:-74:humidity', { value: 2 });
+      await cache.store('query:51.5:-0.1:temperature', { value: 3 });
+
+      const listed = await request(app)
+        .get('/api/v1/admin/cache/keys?pattern=query:40.7:*&limit=1')
+        .set('Authorization', bearer('admin'))
+        .expect(200);
+      expect(listed.body).toMatchObject({ tier: 'results', total: 2, keys: ['query:40.7:-74:humidity'] });
+
+      const evicted = await request(app)
+        .delete('/api/v1/admin/cache/keys?pattern=*:temperature')
+        .set('Authorization', bearer('admin'))
+        .expect(200);
+      expect(evicted.body.deleted).toBe(2);
+      expect(await cache.keys()).toEqual(['query:40.7:-74:humidity']);
+
+      await flushAudit();
+      expect(audited).toHaveBeenCalledTimes(2);
+      expect(audited.mock.calls[1][0]).toMatchObject({
+        userId: '665f1c2a9d3e4b0012345678',
+        email: 'admin@example.com',
+        authMethod: 'jwt',
+        action: 'cache.evict',
+        method: 'DELETE',
+        path: '/api/v1/admin/cache/keys',
+        params: { pattern: '*:temperature' },
+        statusCode: 200,
+        outcome: 'success',
+        result: { deleted: 2 }
+      });
+    });
+
+    it('should delete old CSV exports', async () => {
+      const old = path.join(csvWriter.outputDir, 'admin-test-old.csv');
+      fs.writeFileSync(old, 'value\n1\n');
+      const twoDaysAgo = new Date(Date.now() - 48 * 60 * 60 * 1000);
+      fs.utimesSync(old, twoDaysAgo, twoDaysAgo);
+
+      const response = await request(app)
+        .delete('/api/v1/admin/exports?olderThanHours=24')
+        .set('Authorization', bearer('admin'))
+        .expect(200);
+
+      expect(response.body.deleted).toBeGreaterThanOrEqual(1);
+      expect(fs.existsSync(old)).toBe(false);
+    });
+
+    it('should purge history only with a filter', async () => {
+      const deleteMany = jest.spyOn(SavedQuery, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+
+      const invalid = await request(app).delete('/api/v1/admin/history').set('Authorization', bearer('admin')).expect(400);
+      expect(invalid.body.errors[0].message).toBe('Pass olderThanDays, userId or all=true');
+
+      const response = await request(app)
+        .delete('/api/v1/admin/history?olderThanDays=30&userId=abc')
+        .set('Authorization', bearer('admin'))
+        .expect(200);
+      expect(response.body.deleted).toBe(3);
+
+      const filter = deleteMany.mock.calls[0][0];
+      expect(filter.userId).toBe('abc');
+      expect(Date.now() - filter.createdAt.$lt.getTime()).toBeGreaterThanOrEqual(30 * 24 * 60 * 60 * 1000);
+
+      await flushAudit();
+      expect(audited).toHaveBeenCalledTimes(1);
+      expect(audited.mock.calls[0][0]).toMatchObject({ action: 'history.purge', result: { deleted: 3 } });
+    });
+  });
+});
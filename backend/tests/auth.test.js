@@ -0,0 +1,104 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const authService = require('../services/authService');
+const User = require('../models/User');
+const { authenticate, requireAuth } = require('../middleware/auth');
+const quotaConfig = require('../config/quota');
+const { QuotaService } = require('../services/quota');
+const { MemoryQuotaStore } = require('../services/quotaStores');
+const { createQuotaLimiter } = require('../middleware/quota');
+const { buildApp } = require('./helpers/app');
+
+const appWithTiers = (tiers = quotaConfig.tiers) => buildApp(
+  ['/api/', authenticate],
+  ['/api/', createQuotaLimiter(new QuotaService({ ...quotaConfig, tiers }, new MemoryQuotaStore()))],
+  ['/api/v1/whoami', requireAuth, (req, res) => res.json(req.user)],
+  ['/api/v1/weather', require('../routes/weather')],
+  ['/api/v1/auth', require('../routes/auth')]
+);
+
+describe('Authentication', () => {
+  const user = { id: '665f1c2a9d3e4b0012345678', email: 'ada@example.com' };
+  const app = appWithTiers();
+
+  it('should attach the user of a valid JWT', async () => {
+    const response = await request(app)
+      .get('/api/v1/whoami')
+      .set('Authorization', `Bearer ${authService.signToken(user)}`)
+      .expect(200);
+
+    expect(response.body).toEqual({ ...user, role: 'user', authMethod: 'jwt' });
+  });
+
+  it('should reject invalid and expired tokens', async () => {
+    const forged = jwt.sign({ sub: user.id }, 'another-secret');
+    const invalid = await request(app).get('/api/v1/whoami').set('Authorization', `Bearer ${forged}`).expect(401);
+    expect(invalid.body.message).toBe('Invalid token');
+
+    const stale = jwt.sign({ sub: user.id, exp: Math.floor(Date.now() / 1000) - 60 }, authConfig.jwt.secret);
+    const expired = await request(app).get('/api/v1/whoami').set('Authorization', `Bearer ${stale}`).expect(401);
+    expect(expired.body.message).toBe('Token expired');
+  });
+
+  it('should keep the history private to authenticated users', async () => {
+    const response = await request(app).get('/api/v1/weather/history').expect(401);
+    expect(response.body.message).toMatch(/Authentication required/);
+  });
+
+  it('should validate registrations and need a database for accounts', async () => {
+    const invalid = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ email: 'not-an-email', password: 'short' })
+      .expect(400);
+    expect(invalid.body.errors.map(e => e.field)).toEqual(['email', 'password']);
+
+    // No MongoDB in the test environment
+    await request(app)
+      .post('/api/v1/auth/register')
+      .send({ email: 'ada@example.com', password: 'correct horse battery' })
+      .expect(503);
+    await request(app).get('/api/v1/whoami').set('X-API-Key', 'nwk_unknown').expect(503);
+  });
+
+  it('should hash passwords and API keys', async () => {
+    const account = new User({ email: 'Ada@Example.com' });
+    await account.setPassword('correct horse battery');
+
+    expect(account.email).toBe('ada@example.com');
+    expect(account.passwordHash).not.toContain('correct horse battery');
+    expect(await account.verifyPassword('correct horse battery')).toBe(true);
+    expect(await account.verifyPassword('wrong')).toBe(false);
+
+    const { key, prefix, keyHash } = authService.generateApiKey();
+    expect(key).toMatch(/^nwk_[\w-]{32}$/);
+    expect(key.startsWith(prefix)).toBe(true);
+    expect(keyHash).toBe(authService.hashApiKey(key));
+    expect(keyHash).not.toContain(key);
+
+    account.apiKeys.push({ name: 'cron', prefix, keyHash });
+    expect(account.validateSync()).toBeUndefined();
+    expect(account.describeApiKey(account.apiKeys[0])).not.toHaveProperty('keyHash');
+  });
+
+  it('should rate-limit anonymous requests more tightly than authenticated ones', async () => {
+    const limited = appWithTiers({
+      anonymous: { burst: 2, daily: 100, monthly: 1000 },
+      authenticated: { burst: 4, daily: 100, monthly: 1000 }
+    });
+    const token = authService.signToken(user);
+    const get = () => request(limited).get('/api/v1/weather/variables');
+
+    await get().expect(200);
+    const last = await get().expect(200);
+    expect(last.headers['ratelimit-limit']).toBe('2');
+    await get().expect(429);
+
+    // Counted per user, with a larger budget
+    for (let i = 0; i < 4; i++) {
+      await get().set('Authorization', `Bearer ${token}`).expect(200);
+    }
+    const response = await get().set('Authorization', `Bearer ${token}`).expect(429);
+    expect(response.body.message).toMatch(/this account/);
+  });
+});
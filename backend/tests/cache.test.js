@@ -0,0 +1,154 @@
+const RedisMock = require('ioredis-mock');
+const cache = require('../services/cache');
+const { MemoryAdapter, RedisAdapter } = require('../services/cacheAdapters');
+
+describe('Cache service', () => {
+  const originalAdapter = cache.adapter;
+
+  afterAll(() => {
+    cache.useAdapter(originalAdapter);
+  });
+
+  describe.each([
+    ['memory', () => new MemoryAdapter({ ttl: 60 })],
+    ['redis', () => new RedisAdapter({ client: new RedisMock(), prefix: `test-${Date.now()}:` })]
+  ])('%s backend', (name, createAdapter) => {
+    beforeEach(async () => {
+      cache.useAdapter(createAdapter());
+    });
+
+    it('should keep the generateKey/get/set contract', async () => {
+      const key = cache.generateKey({
+        lat: 40.7, lon: -74, variable: 'temperature', dayOfYear: 180, window: 7,
+        yearRange: { start: 1980, end: 2023 }, threshold: 30
+      });
+
+      expect(cache.get(key)).toBeNull();
+      expect(cache.set(key, { stats: { mean: 24.5 } })).toBe(true);
+      expect(cache.get(key)).toEqual({ stats: { mean: 24.5 } });
+
+      // Written through to the backend in the background
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(await cache.read(key)).toEqual({ stats: { mean: 24.5 } });
+    });
+
+    it('should report backend statistics', async () => {
+      await cache.store('a', { value: 1 });
+      await cache.read('a');
+      await cache.read('b');
+
+      const stats = await cache.getStats();
+      expect(stats.backend).toBe(name);
+      expect(stats.keys).toBe(1);
+      expect(stats).toMatchObject({ hits: 1, misses: 1, sets: 1, hitRate: '50.00%' });
+
+      await cache.flush();
+      expect((await cache.getStats()).keys).toBe(0);
+    });
+
+    it('should list and evict keys by pattern', async () => {
+      await cache.store('query:40.7:-74:temperature', { value: 1 });
+      await cache.store('query:40.7:-74:humidity', { value: 2 });
+      await cache.store('query:51.5:-0.1:temperature', { value: 3 });
+      await cache.store('area:[1]', { value: 4 });
+
+      expect(await cache.keys('query:40.7:*')).toEqual(['query:40.7:-74:humidity', 'query:40.7:-74:temperature']);
+      expect(await cache.keys('area:[?]')).toEqual(['area:[1]']);
+      expect(await cache.keys()).toHaveLength(4);
+
+      expect(await cache.deleteMatching('*:temperature')).toBe(2);
+      expect(await cache.keys()).toEqual(['area:[1]', 'query:40.7:-74:humidity']);
+      expect(await cache.read('query:40.7:-74:humidity')).toEqual({ value: 2 });
+    });
+  });
+
+  it('should key multi-variable queries by the provider serving each variable', () => {
+    const params = {
+      lat: 40.7, lon: -74, dayOfYear: 180, window: 7, yearRange: { start: 1980, end: 2023 }, logic: 'AND',
+      conditions: [{ variable: 'temperature', operator: '>', threshold: 30 }, { variable: 'precipitation', operator: '>', threshold: 5 }]
+    };
+    const key = providers => cache.generateMultiKey({ ...params, providers });
+
+    expect(key({ temperature: 'merra2', precipitation: 'imerg' }))
+      .toBe(key({ precipitation: 'imerg', temperature: 'merra2' }));
+    expect(key({ temperature: 'merra2', precipitation: 'imerg' }))
+      .not.toBe(key({ temperature: 'merra2-local', precipitation: 'imerg' }));
+  });
+
+  it('should aggregate statistics across instances sharing Redis', async () => {
+    const prefix = `shared-${Date.now()}:`;
+    const instanceA = new RedisAdapter({ client: new RedisMock(), prefix });
+    const instanceB = new RedisAdapter({ client: new RedisMock(), prefix });
+
+    cache.useAdapter(instanceA);
+    await cache.store('shared', { value: 42 });
+
+    cache.useAdapter(instanceB);
+    expect(await cache.read('shared')).toEqual({ value: 42 });
+
+    const stats = await cache.getStats();
+    expect(stats).toMatchObject({ keys: 1, hits: 1, sets: 1 });
+  });
+
+  describe('stampede protection', () => {
+    beforeEach(() => {
+      cache.useAdapter(new MemoryAdapter({ ttl: 60 }));
+    });
+
+    afterEach(() => {
+      cache.staleTtl = 0;
+    });
+
+    it('should share one computation between concurrent identical requests', async () => {
+      let calls = 0;
+      const compute = async () => {
+        calls++;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return { value: calls };
+      };
+
+      const results = await Promise.all(Array.from({ length: 10 }, () => cache.wrap('same', compute)));
+
+      expect(calls).toBe(1);
+      expect(results.map(r => r.status).sort()).toEqual([...Array(9).fill('coalesced'), 'miss']);
+      expect(results.every(r => r.value.value === 1)).toBe(true);
+      expect((await cache.wrap('same', compute)).status).toBe('hit');
+    });
+
+    it('should not cache failed computations', async () => {
+      const failing = async () => { throw new Error('upstream down'); };
+
+      await expect(cache.wrap('failing', failing)).rejects.toThrow('upstream down');
+      expect(cache.inFlight.size).toBe(0);
+      expect(await cache.read('failing')).toBeNull();
+    });
+
+    it('should serve stale entries while refreshing in the background', async () => {
+      cache.staleTtl = 60;
+      await cache.store('swr', { version: 1 }, 0.001);
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const stale = await cache.wrap('swr', async () => ({ version: 2 }));
+      expect(stale).toEqual({ value: { version: 1 }, status: 'stale' });
+      expect(cache.annotate(stale)).toMatchObject({ cached: true, stale: true });
+
+      await cache.inFlight.get('swr');
+      expect(await cache.wrap('swr', async () => ({ version: 3 }))).toEqual({ value: { version: 2 }, status: 'hit' });
+    });
+
+    it('should treat expired entries as misses without stale-while-revalidate', async () => {
+      await cache.store('expired', { version: 1 }, 0.001);
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect((await cache.wrap('expired', async () => ({ version: 2 }))).status).toBe('miss');
+    });
+  });
+
+  it('should treat backend failures as cache misses', async () => {
+    const client = new RedisMock();
+    client.get = async () => { throw new Error('connection refused'); };
+    cache.useAdapter(new RedisAdapter({ client, prefix: 'broken:' }));
+
+    expect(await cache.read('anything')).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+const calendar = require('../utils/calendar');
+const dataFetcher = require('../services/dataFetcher');
+
+describe('Calendar utilities', () => {
+  it('should convert dates to days of year in UTC whatever the local time zone', () => {
+    const timeZone = process.env.TZ;
+    try {
+      // Days after the US spring-forward and around the leap day
+      process.env.TZ = 'America/New_York';
+      expect(calendar.dayOfYear('2021-03-15')).toBe(74);
+      expect(calendar.dayOfYear('2020-03-15')).toBe(75);
+      expect(calendar.dayOfYear('2020-12-31')).toBe(366);
+
+      process.env.TZ = 'Pacific/Auckland';
+      expect(calendar.dayOfYear('2021-03-15')).toBe(74);
+    } finally {
+      process.env.TZ = timeZone;
+    }
+  });
+
+  it('should reject dates that do not exist', () => {
+    expect(calendar.parseDate('2020-02-29')).not.toBeNull();
+    expect(calendar.parseDate('2021-02-29')).toBeNull();
+    expect(calendar.parseDate('2021-04-31')).toBeNull();
+    expect(calendar.parseDate('21-04-01')).toBeNull();
+  });
+
+  it('should keep the day number with dayOfYear alignment', () => {
+    const days = dataFetcher.buildTargetDays(185, 0, { start: 2019, end: 2020 });
+    expect(days.map(d => d.date)).toEqual(['2019-07-04', '2020-07-03']);
+
+    // Day 366 is the last day of every year
+    const last = dataFetcher.buildTargetDays(366, 1, { start: 2019, end: 2020 });
+    expect(last.map(d => d.date)).toEqual(['2019-12-30', '2019-12-31', '2020-01-01', '2020-12-30', '2020-12-31', '2021-01-01']);
+    expect(last[1]).toEqual({ year: 2019, dayOfYear: 365, date: '2019-12-31' });
+  });
+
+  it('should keep the month and day with calendarDate alignment', () => {
+    const july = dataFetcher.buildTargetDays(186, 0, { start: 2019, end: 2020 }, { alignment: 'calendarDate', date: '2020-07-04' });
+    expect(july.map(d => d.date)).toEqual(['2019-07-04', '2020-07-04']);
+
+    // Without a date the day number is read in a common year
+    const fromDay = dataFetcher.buildTargetDays(185, 0, { start: 2020, end: 2020 }, { alignment: 'calendarDate' });
+    expect(fromDay.map(d => d.date)).toEqual(['2020-07-04']);
+
+    // The leap day falls back to February 28
+    const leap = dataFetcher.buildTargetDays(60, 1, { start: 2020, end: 2021 }, { alignment: 'calendarDate', date: '2020-02-29' });
+    expect(leap.map(d => d.date)).toEqual(['2020-02-28', '2020-02-29', '2020-03-01', '2021-02-27', '2021-02-28', '2021-03-01']);
+  });
+
+  it('should cross year boundaries with leap-aware windows', () => {
+    const days = dataFetcher.buildTargetDays(2, 3, { start: 2021, end: 2021 });
+
+    expect(days[0]).toEqual({ year: 2020, dayOfYear: 365, date: '2020-12-30' });
+    expect(days.map(d => d.date)).toEqual([
+      '2020-12-30', '2020-12-31', '2021-01-01', '2021-01-02', '2021-01-03', '2021-01-04', '2021-01-05'
+    ]);
+  });
+
+  it('should build contiguous spans that keep their length across the new year', () => {
+    const spans = calendar.spans({ start: '2020-12-30', end: '2021-01-02' }, { start: 2020, end: 2021 }, 'calendarDate');
+
+    expect(spans.map(s => s.year)).toEqual([2020, 2021]);
+    expect(spans[1].days.map(d => d.date)).toEqual(['2021-12-30', '2021-12-31', '2022-01-01', '2022-01-02']);
+    expect(spans[1].days[2]).toEqual({ year: 2022, dayOfYear: 1, date: '2022-01-01' });
+  });
+
+  it('should only distinguish calendarDate anchors by month and day in keys', () => {
+    expect(calendar.anchorKey({ dayOfYear: 185 })).toBe('doy:185');
+    expect(calendar.anchorKey({ dayOfYear: 186, date: '2020-07-04', alignment: 'calendarDate' })).toBe('cal:07-04');
+    expect(calendar.anchorKey({ dayOfYear: 185, alignment: 'calendarDate' })).toBe('cal:07-04');
+    expect(calendar.monthDayOf(366)).toBe('12-31');
+  });
+});
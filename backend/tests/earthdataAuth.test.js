@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { EarthdataAuth, EarthdataAuthError } = require('../services/earthdataAuth');
+const errorHandler = require('../middleware/errorHandler');
+
+/**
+ * Fake Earthdata Login (URS) on localhost and a fake protected data server on
+ * 127.0.0.1, so cookies of the two hosts stay apart like in production.
+ *
+ * Data server: serves data to requests with the session cookie or the bearer
+ * token 'good'; otherwise redirects to URS, which sends the browser back to
+ * /callback where the session cookie is set.
+ */
+const hits = { urs: 0, token: 0 };
+let ursURL;
+let dataURL;
+
+const ursServer = http.createServer((req, res) => {
+  const url = new URL(req.url, ursURL);
+  const credentials = `Basic ${Buffer.from('alice:secret').toString('base64')}`;
+
+  if (req.headers.authorization !== credentials) {
+    res.writeHead(401);
+    return res.end('Unauthorized');
+  }
+
+  if (url.pathname === '/oauth/authorize') {
+    hits.urs++;
+    res.writeHead(302, { Location: `${url.searchParams.get('redirect_uri')}?code=xyz&state=${encodeURIComponent(url.searchParams.get('state'))}` });
+    return res.end();
+  }
+  if (url.pathname === '/api/users/find_or_create_token') {
+    hits.token++;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ access_token: 'good' }));
+  }
+
+  res.writeHead(404);
+  res.end();
+});
+
+const dataServer = http.createServer((req, res) => {
+  const url = new URL(req.url, dataURL);
+
+  if (url.pathname === '/callback') {
+    res.writeHead(302, {
+      'Set-Cookie': 'session=abc; Path=/; HttpOnly; Max-Age=3600',
+      Location: url.searchParams.get('state')
+    });
+    return res.end();
+  }
+
+  if (req.headers.authorization === 'Bearer good' || req.headers.cookie === 'session=abc') {
+    res.writeHead(200);
+    return res.end('T2MMEAN, [1][1][1]\n295.5');
+  }
+  if (req.headers.authorization) {
+    res.writeHead(401);
+    return res.end('Unauthorized');
+  }
+
+  const redirect = `${ursURL}/oauth/authorize?redirect_uri=${encodeURIComponent(`${dataURL}/callback`)}&state=${encodeURIComponent(req.url)}`;
+  res.writeHead(302, { Location: redirect });
+  res.end();
+});
+
+const createAuth = (auth = {}, options = {}) => new EarthdataAuth({
+  ursURL,
+  auth: { username: 'alice', password: 'secret', ...auth },
+  cookieFile: null,
+  maxRedirects: 10,
+  ...options
+});
+
+beforeAll(done => {
+  ursServer.listen(0, 'localhost', () => {
+    ursURL = `http://localhost:${ursServer.address().port}`;
+    dataServer.listen(0, '127.0.0.1', () => {
+      dataURL = `http://127.0.0.1:${dataServer.address().port}`;
+      done();
+    });
+  });
+});
+
+afterAll(done => {
+  ursServer.close(() => dataServer.close(done));
+});
+
+describe('Earthdata Login', () => {
+  it('should log in through URS and reuse the session cookie', async () => {
+    const auth = createAuth();
+    const before = hits.urs;
+
+    const first = await auth.get(`${dataURL}/granule.nc4.ascii?T2MMEAN`);
+    expect(first.status).toBe(200);
+    expect(first.data).toContain('295.5');
+    expect(hits.urs).toBe(before + 1);
+
+    await auth.get(`${dataURL}/other.nc4.ascii?T2MMEAN`);
+    expect(hits.urs).toBe(before + 1);
+  });
+
+  it('should persist session cookies to the cookie file', async () => {
+    const cookieFile = path.join(os.tmpdir(), `earthdata-cookies-${process.pid}.json`);
+
+    try {
+      await createAuth({}, { cookieFile }).get(`${dataURL}/granule.nc4.ascii`);
+
+      const before = hits.urs;
+      const restored = createAuth({}, { cookieFile });
+      await restored.get(`${dataURL}/granule.nc4.ascii`);
+      expect(hits.urs).toBe(before);
+    } finally {
+      fs.rmSync(cookieFile, { force: true });
+    }
+  });
+
+  it('should reject wrong credentials with an EarthdataAuthError', async () => {
+    await expect(createAuth({ password: 'wrong' }).get(`${dataURL}/granule.nc4.ascii`))
+      .rejects.toMatchObject({ name: 'EarthdataAuthError', statusCode: 401, reason: 'invalid_credentials' });
+  });
+
+  it('should require credentials when the server asks for a login', async () => {
+    await expect(createAuth({ username: undefined, password: undefined }).get(`${dataURL}/granule.nc4.ascii`))
+      .rejects.toMatchObject({ reason: 'missing_credentials' });
+  });
+
+  it('should send the bearer token and refresh it once when rejected', async () => {
+    const before = hits.token;
+
+    const valid = await createAuth({ token: 'good' }).get(`${dataURL}/granule.nc4.ascii`);
+    expect(valid.status).toBe(200);
+    expect(hits.token).toBe(before);
+
+    const auth = createAuth({ token: 'stale' });
+    const refreshed = await auth.get(`${dataURL}/granule.nc4.ascii`);
+    expect(refreshed.status).toBe(200);
+    expect(auth.token).toBe('good');
+    expect(hits.token).toBe(before + 1);
+
+    await expect(createAuth({ token: 'stale', username: undefined }).get(`${dataURL}/granule.nc4.ascii`))
+      .rejects.toMatchObject({ reason: 'invalid_token' });
+  });
+
+  it('should be reported as a distinct 401 by the error handler', async () => {
+    const app = express();
+    app.get('/', (req, res, next) => next(new EarthdataAuthError('Earthdata Login rejected the configured credentials', 'invalid_credentials')));
+    app.use(errorHandler);
+
+    const res = await request(app).get('/').expect(401);
+    expect(res.body.code).toBe('EARTHDATA_INVALID_CREDENTIALS');
+    expect(res.body.message).toMatch(/Earthdata Login/);
+    expect(res.body.message).not.toMatch(/External API error/);
+  });
+});
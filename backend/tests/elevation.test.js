@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const request = require('supertest');
+const { buildApp } = require('./helpers/app');
+
+const BUILD_DEM = path.join(__dirname, '..', 'scripts', 'buildDem.js');
+
+/**
+ * Synthetic DEM: a plane rising 200 m per degree north and 100 m per degree east
+ * over 40-44 N, 76-72 W at 0.125°, with sea (nodata) south of 41 N and east of 73 W
+ */
+const writeGrid = filepath => {
+  const rows = [];
+  for (let row = 0; row < 32; row++) {
+    const lat = 44 - (row + 0.5) * 0.125;
+    const values = [];
+    for (let col = 0; col < 32; col++) {
+      const lon = -76 + (col + 0.5) * 0.125;
+      values.push(lat < 41 && lon > -73 ? -9999 : (200 * (lat - 40) + 100 * (lon + 76)).toFixed(1));
+    }
+    rows.push(values.join(' '));
+  }
+  fs.writeFileSync(filepath, [
+    'ncols 32', 'nrows 32', 'xllcorner -76', 'yllcorner 40', 'cellsize 0.125', 'NODATA_value -9999',
+    ...rows
+  ].join('\n'));
+};
+
+let directory;
+let app;
+let elevation;
+
+beforeAll(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dem-'));
+  writeGrid(path.join(directory, 'dem.asc'));
+
+  const result = spawnSync(process.execPath, [BUILD_DEM, path.join(directory, 'dem.asc'), path.join(directory, 'tiles')], {
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  if (result.status !== 0) throw new Error(result.stderr);
+
+  process.env.DEM_DIR = path.join(directory, 'tiles');
+  elevation = require('../services/elevation');
+
+  app = buildApp(['/api/v1/weather', require('../routes/weather')]);
+});
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('Elevation correction', () => {
+  const query = { lat: 40.7128, lon: -74.0060, dayOfYear: 180, variable: 'temperature', threshold: 25, source: 'mock' };
+
+  it('should read DEM samples and cell means from the built tiles', () => {
+    // Sample centre (40.6875, -74.0625)
+    expect(elevation.sample(40.7128, -74.0060)).toBe(331);
+    expect(elevation.sample(40.3, -72.5)).toBeNull();
+
+    // MERRA-2 cell (40.5, -73.75): 4 x 5 samples, mean position (40.5, -73.8125)
+    expect(elevation.cellElevation({ lat: 40.5, lon: -73.75 }, { latStep: 0.5, lonStep: 0.625 })).toBeCloseTo(318.75, 0);
+  });
+
+  it('should correct temperature to a user elevation and keep the raw statistics', async () => {
+    const response = await request(app)
+      .post('/api/v1/weather/query')
+      .send({ ...query, elevation: 1319 })
+      .expect(200);
+
+    const { meta, stats, rawStats } = response.body;
+    expect(meta.elevation).toMatchObject({
+      pointElevation: 1319,
+      pointElevationSource: 'user',
+      cellElevation: 319,
+      lapseRate: 6.5,
+      adjustment: -6.5
+    });
+    expect(stats.mean).toBeCloseTo(rawStats.mean - 6.5, 1);
+    expect(stats.exceedance.probability).toBeLessThanOrEqual(rawStats.exceedance.probability);
+  });
+
+  it('should look the point elevation up in the DEM', async () => {
+    const response = await request(app)
+      .post('/api/v1/weather/query')
+      .send({ ...query, elevation: 'auto' })
+      .expect(200);
+
+    expect(response.body.meta.elevation).toMatchObject({ pointElevation: 331, pointElevationSource: 'dem' });
+    expect(response.body.meta.elevation.adjustment).toBeCloseTo(-0.08, 2);
+  });
+
+  it('should reject DEM lookups without data and non-temperature variables', async () => {
+    await request(app)
+      .post('/api/v1/weather/query')
+      .send({ ...query, lat: 40.3, lon: -72.5, elevation: 'auto' })
+      .expect(400);
+
+    const response = await request(app)
+      .post('/api/v1/weather/query')
+      .send({ ...query, variable: 'precipitation', elevation: 100 })
+      .expect(400);
+    expect(response.body.errors[0].message).toMatch(/only available for temperature/);
+  });
+
+  it('should leave temperature uncorrected without an installed DEM', () => {
+    const { Elevation } = require('../services/elevation');
+    const missing = new Elevation({ directory: path.join(directory, 'none'), lapseRate: 6.5 });
+    const correction = elevation => missing.correctionFor(40, -74, elevation, [{ lat: 40, lon: -74, weight: 1 }], { latStep: 0.5, lonStep: 0.625 });
+
+    expect(correction(100.4)).toMatchObject({ pointElevation: 100, pointElevationSource: 'user', cellElevation: null, adjustment: null });
+    expect(correction(100.4).note).toMatch(/No DEM installed/);
+    expect(() => correction('auto')).toThrow(expect.objectContaining({ statusCode: 503 }));
+  });
+});
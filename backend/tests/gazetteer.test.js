@@ -0,0 +1,133 @@
+const request = require('supertest');
+const db = require('../config/db');
+const gazetteer = require('../services/gazetteer');
+const { Gazetteer } = require('../services/gazetteer');
+const Place = require('../models/Place');
+const geonames = require('../utils/geonames');
+const { buildApp } = require('./helpers/app');
+
+const app = buildApp(
+  ['/api/v1/places', require('../routes/places')],
+  ['/api/v1/weather', require('../routes/weather')]
+);
+
+describe('Gazetteer', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should parse GeoNames files', () => {
+    const admin1 = geonames.parseAdmin1('US.CO\tColorado\tColorado\t5417618\n');
+    const countries = geonames.parseCountries('#ISO\tISO3\nUS\tUSA\t840\tUS\tUnited States\tWashington\n');
+    const [place] = geonames.parseCities(
+      '5419384\tDenver\tDenver\tDEN,Dénver City\t39.73915\t-104.9847\tP\tPPLA\tUS\t\tCO\t031\t\t\t715522\t\t1636\tAmerica/Denver\t2024-01-01\n',
+      admin1,
+      countries
+    );
+
+    expect(place).toMatchObject({
+      geonameId: 5419384,
+      name: 'Denver',
+      admin1Name: 'Colorado',
+      countryName: 'United States',
+      elevation: 1636,
+      timezone: 'America/Denver',
+      searchNames: ['denver', 'den', 'denver city'],
+      qualifiers: ['co', 'colorado', 'us', 'united states']
+    });
+  });
+
+  it('should rank exact names and larger places first and narrow by qualifiers', async () => {
+    const names = async (query, options) => (await gazetteer.search(query, options)).map(place => place.displayName);
+
+    expect(await names('Paris')).toEqual(['Paris, Île-de-France, France', 'Paris, Texas, United States']);
+    expect(await names('Paris, TX')).toEqual(['Paris, Texas, United States']);
+    expect(await names('paris, texas, us')).toEqual(['Paris, Texas, United States']);
+    expect(await names('Paris', { country: 'us' })).toEqual(['Paris, Texas, United States']);
+    expect(await names('Springfield, Missouri')).toEqual(['Springfield, Missouri, United States']);
+
+    // Alternate names, accents and prefixes
+    expect(await names('Bombay')).toEqual(['Mumbai, Maharashtra, India']);
+    expect(await names('sao paulo')).toEqual(['São Paulo, Brazil']);
+    expect((await names('Den'))[0]).toBe('Denver, Colorado, United States');
+    expect(await names('Atlantis')).toEqual([]);
+  });
+
+  it('should reverse geocode points within range', async () => {
+    const place = await gazetteer.reverse(48.86, 2.35);
+    expect(place).toMatchObject({
+      name: 'Paris',
+      timezone: 'Europe/Paris',
+      country: { code: 'FR', name: 'France' }
+    });
+    expect(place.distanceKm).toBeLessThan(2);
+
+    // Middle of the Pacific
+    expect(await gazetteer.reverse(0, -150)).toBeNull();
+  });
+
+  it('should serve place search and reverse geocoding', async () => {
+    const search = await request(app).get('/api/v1/places/search').query({ q: 'Denver, CO' }).expect(200);
+    expect(search.body.total).toBe(1);
+    expect(search.body.results[0]).toMatchObject({ geonameId: 5419384, lat: 39.73915, lon: -104.9847 });
+
+    await request(app).get('/api/v1/places/search').expect(400);
+    await request(app).get('/api/v1/places/search').query({ q: 'Paris', country: 'USA' }).expect(400);
+
+    const reverse = await request(app).get('/api/v1/places/reverse').query({ lat: 39.74, lon: -104.99 }).expect(200);
+    expect(reverse.body.place.displayName).toBe('Denver, Colorado, United States');
+    expect(reverse.body.place.timezone).toBe('America/Denver');
+
+    const none = await request(app).get('/api/v1/places/reverse').query({ lat: 0, lon: -150 }).expect(404);
+    expect(none.body.message).toMatch(/No place within 50 km/);
+  });
+
+  it('should accept a place instead of coordinates in queries', async () => {
+    const query = { dayOfYear: 180, variable: 'temperature', source: 'mock' };
+
+    const response = await request(app)
+      .post('/api/v1/weather/query')
+      .send({ ...query, place: 'Denver, CO' })
+      .expect(200);
+    expect(response.body.meta).toMatchObject({
+      lat: 39.73915,
+      lon: -104.9847,
+      locationName: 'Denver, Colorado, United States',
+      place: { geonameId: 5419384, timezone: 'America/Denver', country: { code: 'US' } }
+    });
+
+    // Coordinates are named after the nearest place unless a name is given
+    const london = await request(app).post('/api/v1/weather/query').send({ ...query, lat: 51.5, lon: -0.12 }).expect(200);
+    expect(london.body.meta.locationName).toBe('London, England, United Kingdom');
+    const named = await request(app).post('/api/v1/weather/query').send({ ...query, place: 'Paris, TX', locationName: 'Office' }).expect(200);
+    expect(named.body.meta.locationName).toBe('Office');
+
+    const unknown = await request(app).post('/api/v1/weather/query').send({ ...query, place: 'Atlantis' }).expect(400);
+    expect(unknown.body.errors).toEqual([{ field: 'place', message: 'No place found matching "Atlantis"' }]);
+
+    const both = await request(app).post('/api/v1/weather/query').send({ ...query, place: 'Denver', lat: 39.7 }).expect(400);
+    expect(both.body.errors[0].message).toBe('Pass either place or lat/lon, not both');
+  });
+
+  it('should search the places collection once it is loaded', async () => {
+    jest.spyOn(db, 'isConnected').mockReturnValue(true);
+    const paris = gazetteer.getPlaces().filter(place => place.name === 'Paris');
+    const filters = [];
+    jest.spyOn(Place, 'estimatedDocumentCount').mockResolvedValue(paris.length);
+    jest.spyOn(Place, 'find').mockImplementation(filter => {
+      filters.push(filter);
+      const chain = { sort: () => chain, limit: () => chain, lean: async () => paris.filter(place => place.countryCode === 'US') };
+      return chain;
+    });
+
+    const database = new Gazetteer();
+    const results = await database.search('Paris, Texas', { limit: 5 });
+
+    expect(results.map(place => place.geonameId)).toEqual([4717560]);
+    expect(filters).toEqual([
+      { qualifiers: { $all: ['texas'] }, searchNames: 'paris' },
+      { qualifiers: { $all: ['texas'] }, searchNames: { $regex: '^paris' } }
+    ]);
+    expect(database.places).toBeUndefined(); // Bundled files not read
+  });
+});
@@ -0,0 +1,62 @@
+const geo = require('../utils/geo');
+
+describe('Geo utilities', () => {
+  const grid = { latStart: -90, latStep: 0.5, lonStart: -180, lonStep: 0.625 };
+
+  it('should test points against polygons with holes', () => {
+    const polygon = {
+      type: 'Polygon',
+      coordinates: [
+        [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+        [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]]
+      ]
+    };
+
+    expect(geo.pointInPolygon(2, 2, polygon)).toBe(true);
+    expect(geo.pointInPolygon(5, 5, polygon)).toBe(false);
+    expect(geo.pointInPolygon(11, 5, polygon)).toBe(false);
+  });
+
+  it('should enumerate grid cell centres inside a bbox', () => {
+    const cells = geo.gridCellsInPolygon(geo.bboxToPolygon([0, 0, 1.3, 1.1]), grid);
+
+    // lat 0, 0.5, 1 x lon 0, 0.625, 1.25
+    expect(cells).toHaveLength(9);
+    expect(cells).toContainEqual({ lat: 1, lon: 1.25 });
+  });
+
+  it('should fall back to the nearest cell for tiny areas', () => {
+    const cells = geo.gridCellsInPolygon(geo.bboxToPolygon([0.1, 0.1, 0.2, 0.2]), grid);
+    expect(cells).toEqual([{ lat: 0, lon: 0 }]);
+  });
+
+  it('should weight the 4 surrounding cells for bilinear interpolation', () => {
+    // A quarter of the way from (40.5, -74.375) to (41, -73.75)
+    const cells = geo.surroundingCells(grid, 40.625, -74.21875, 'bilinear');
+
+    expect(cells.map(c => [c.lat, c.lon, parseFloat(c.weight.toFixed(4))])).toEqual([
+      [40.5, -74.375, 0.5625],
+      [40.5, -73.75, 0.1875],
+      [41, -74.375, 0.1875],
+      [41, -73.75, 0.0625]
+    ]);
+  });
+
+  it('should weight cells by inverse squared distance and wrap the dateline', () => {
+    const onCentre = geo.surroundingCells(grid, 40.5, -73.75, 'idw');
+    expect(onCentre.find(c => c.weight === 1)).toMatchObject({ lat: 40.5, lon: -73.75 });
+
+    const dateline = geo.surroundingCells(grid, 0.25, 179.9, 'idw');
+    expect(dateline.map(c => c.lon).sort()).toEqual([-180, -180, 179.375, 179.375]);
+    expect(dateline.reduce((sum, c) => sum + c.weight, 0)).toBeCloseTo(1);
+
+    // Nearest cells weigh most
+    const byDistance = [...dateline].sort((a, b) => a.distanceKm - b.distanceKm);
+    expect(byDistance[0].weight).toBeGreaterThan(byDistance[3].weight);
+  });
+
+  it('should refuse areas above the cell limit', () => {
+    expect(() => geo.gridCellsInPolygon(geo.bboxToPolygon([0, 0, 5, 5]), grid, 10))
+      .toThrow(/more than 10 grid cells/);
+  });
+});
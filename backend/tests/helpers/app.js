@@ -0,0 +1,16 @@
+const express = require('express');
+const errorHandler = require('../../middleware/errorHandler');
+
+/**
+ * Express app with just the given middleware and routes, between the JSON body
+ * parser and the error handler of index.js. Route tests use it instead of the full
+ * server, which weather.test.js already has listening on PORT.
+ * @param {...Array} mounts - [path, ...handlers] for app.use()
+ */
+const buildApp = (...mounts) => {
+  const app = express().use(express.json());
+  mounts.forEach(mount => app.use(...mount));
+  return app.use(errorHandler);
+};
+
+module.exports = { buildApp };
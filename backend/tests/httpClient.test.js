@@ -0,0 +1,135 @@
+const http = require('http');
+const { HttpClient } = require('../services/httpClient');
+
+/**
+ * Fake NASA server that injects faults per path:
+ * /flaky/<id>       - 503 twice, then 200
+ * /rate-limited/<id> - 429 with Retry-After: 1 once, then 200
+ * /missing          - 404
+ * /slow             - answers after 200 ms, tracking concurrent requests
+ * /sleepy           - answers after 200 ms
+ * /down             - always 500
+ */
+const hits = {};
+let concurrent = 0;
+let maxConcurrent = 0;
+
+const server = http.createServer((req, res) => {
+  hits[req.url] = (hits[req.url] || 0) + 1;
+  const count = hits[req.url];
+
+  if (req.url.startsWith('/flaky') && count <= 2) {
+    res.writeHead(503);
+    return res.end('Service Unavailable');
+  }
+  if (req.url.startsWith('/rate-limited') && count === 1) {
+    res.writeHead(429, { 'Retry-After': '1' });
+    return res.end('Too Many Requests');
+  }
+  if (req.url === '/missing') {
+    res.writeHead(404);
+    return res.end('Not Found');
+  }
+  if (req.url === '/down') {
+    res.writeHead(500);
+    return res.end('Internal Server Error');
+  }
+  if (req.url === '/sleepy') {
+    return setTimeout(() => res.end('ok'), 200);
+  }
+  if (req.url.startsWith('/slow')) {
+    concurrent++;
+    maxConcurrent = Math.max(maxConcurrent, concurrent);
+    return setTimeout(() => {
+      concurrent--;
+      res.writeHead(200);
+      res.end('ok');
+    }, 200);
+  }
+
+  res.writeHead(200);
+  res.end('ok');
+});
+
+let baseURL;
+
+const createClient = (options = {}) => new HttpClient({
+  timeout: 1000,
+  retries: 3,
+  backoffBaseMs: 10,
+  backoffMaxMs: 50,
+  maxRetryAfterMs: 5000,
+  hostConcurrency: 4,
+  breakerThreshold: 5,
+  breakerResetMs: 30000,
+  ...options
+});
+
+beforeAll(done => {
+  server.listen(0, '127.0.0.1', () => {
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+describe('NASA HTTP client', () => {
+  it('should retry transient failures with backoff', async () => {
+    const response = await createClient().get(`${baseURL}/flaky/1`);
+
+    expect(response.data).toBe('ok');
+    expect(hits['/flaky/1']).toBe(3);
+  });
+
+  it('should honour Retry-After', async () => {
+    const started = Date.now();
+    const response = await createClient().get(`${baseURL}/rate-limited/1`);
+
+    expect(response.status).toBe(200);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(950);
+  });
+
+  it('should not retry client errors and keep the upstream response', async () => {
+    await expect(createClient().get(`${baseURL}/missing`)).rejects.toMatchObject({
+      statusCode: 502,
+      response: expect.objectContaining({ status: 404 })
+    });
+    expect(hits['/missing']).toBe(1);
+  });
+
+  it('should report timeouts as 504', async () => {
+    await expect(createClient({ timeout: 50, retries: 1 }).get(`${baseURL}/sleepy`))
+      .rejects.toMatchObject({ statusCode: 504 });
+  });
+
+  it('should limit concurrent requests per host', async () => {
+    maxConcurrent = 0;
+    const client = createClient({ hostConcurrency: 2 });
+
+    await Promise.all(Array.from({ length: 5 }, (_, i) => client.get(`${baseURL}/slow?n=${i}`)));
+
+    expect(maxConcurrent).toBe(2);
+  });
+
+  it('should open the circuit and fail fast once the host is down', async () => {
+    const client = createClient({ retries: 0, breakerThreshold: 2, breakerResetMs: 100 });
+
+    await expect(client.get(`${baseURL}/down`)).rejects.toMatchObject({ statusCode: 502 });
+    await expect(client.get(`${baseURL}/down`)).rejects.toMatchObject({ statusCode: 502 });
+
+    const before = hits['/down'];
+    await expect(client.get(`${baseURL}/down`)).rejects.toMatchObject({
+      statusCode: 503,
+      message: expect.stringMatching(/unavailable/)
+    });
+    expect(hits['/down']).toBe(before);
+
+    // After the reset timeout one trial request is let through and closes the circuit
+    await new Promise(resolve => setTimeout(resolve, 120));
+    await expect(client.get(`${baseURL}/ok`)).resolves.toMatchObject({ status: 200 });
+    expect(client.getStats()[new URL(baseURL).host].state).toBe('closed');
+  });
+});
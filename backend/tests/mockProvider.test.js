@@ -0,0 +1,66 @@
+const MockProvider = require('../services/providers/mockProvider');
+const dataFetcher = require('../services/dataFetcher');
+const processor = require('../services/processor');
+
+describe('Mock data generator', () => {
+  const yearRange = { start: 1990, end: 2020 };
+
+  const fetch = (lat, lon, variable, dayOfYear, window = 7) =>
+    dataFetcher.fetchPointTimeSeries(lat, lon, variable, dayOfYear, window, yearRange, { source: 'mock' });
+
+  const meanOf = series => processor.mean(series.map(d => d.value));
+
+  it('should be deterministic across generator instances', async () => {
+    const days = dataFetcher.buildTargetDays(180, 7, yearRange);
+
+    const first = await new MockProvider().fetchDays(40.7128, -74.0060, 'precipitation', days);
+    const second = await new MockProvider().fetchDays(40.7128, -74.0060, 'precipitation', days);
+
+    expect(second).toEqual(first);
+  });
+
+  it('should return the same value for a date regardless of the query window', async () => {
+    const narrow = await fetch(40.7128, -74.0060, 'temperature', 180, 2);
+    const wide = await fetch(40.7128, -74.0060, 'temperature', 180, 10);
+
+    const byDate = Object.fromEntries(wide.map(d => [d.date, d.value]));
+    narrow.forEach(d => expect(byDate[d.date]).toBe(d.value));
+  });
+
+  it('should reverse the seasonal cycle between hemispheres', async () => {
+    const northJuly = meanOf(await fetch(40, -74, 'temperature', 196));
+    const southJuly = meanOf(await fetch(-40, -74, 'temperature', 196));
+    const northJanuary = meanOf(await fetch(40, -74, 'temperature', 15));
+
+    expect(northJuly).toBeGreaterThan(southJuly + 10);
+    expect(northJuly).toBeGreaterThan(northJanuary + 15);
+    expect(northJuly).toBeGreaterThan(15);
+    expect(northJuly).toBeLessThan(35);
+  });
+
+  it('should be warmer at the equator than at high latitudes', async () => {
+    const equator = meanOf(await fetch(0, 20, 'temperature', 100));
+    const arctic = meanOf(await fetch(70, 20, 'temperature', 100));
+
+    expect(equator).toBeGreaterThan(arctic + 20);
+  });
+
+  it('should produce intermittent, non-negative precipitation', async () => {
+    const series = await fetch(40.7128, -74.0060, 'precipitation', 180, 15);
+    const wetFraction = series.filter(d => d.value > 0).length / series.length;
+
+    expect(series.every(d => d.value >= 0)).toBe(true);
+    expect(wetFraction).toBeGreaterThan(0.15);
+    expect(wetFraction).toBeLessThan(0.6);
+  });
+
+  it('should correlate humidity with wet days', async () => {
+    const precipitation = await fetch(40.7128, -74.0060, 'precipitation', 180, 15);
+    const humidity = await fetch(40.7128, -74.0060, 'humidity', 180, 15);
+
+    const wet = humidity.filter((d, i) => precipitation[i].value > 0);
+    const dry = humidity.filter((d, i) => precipitation[i].value === 0);
+
+    expect(meanOf(wet)).toBeGreaterThan(meanOf(dry) + 5);
+  });
+});
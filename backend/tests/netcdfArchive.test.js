@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Synthetic granules, regenerate with: node scripts/generateNetcdfFixtures.js
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'netcdf');
+const CLI = path.join(__dirname, '..', 'scripts', 'archiveIndex.js');
+
+const run = (command, directory) => spawnSync(process.execPath, [CLI, command, directory], { encoding: 'utf8', timeout: 30000 });
+
+// Copy of the fixtures, so index.json is never written next to them
+const copyFixtures = () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'netcdf-archive-'));
+  fs.cpSync(FIXTURE_DIR, directory, { recursive: true });
+  return directory;
+};
+
+let archiveDir;
+let dataFetcher;
+let netcdfArchive;
+let providers;
+
+beforeAll(() => {
+  archiveDir = copyFixtures();
+  const result = run('build', archiveDir);
+  if (result.status !== 0) throw new Error(result.stderr);
+
+  process.env.NETCDF_ARCHIVE_DIR = archiveDir;
+  dataFetcher = require('../services/dataFetcher');
+  netcdfArchive = require('../services/netcdfArchive');
+  providers = require('../services/providers');
+});
+
+afterAll(() => {
+  fs.rmSync(archiveDir, { recursive: true, force: true });
+});
+
+describe('NetCDF archive', () => {
+  const yearRange = { start: 2021, end: 2021 };
+
+  it('should index granules by dataset and date and skip unknown files', () => {
+    const index = netcdfArchive.getIndex();
+
+    expect(index.files.map(entry => `${entry.dataset}:${entry.date}`)).toEqual([
+      'imerg:2021-07-03', 'imerg:2021-07-04',
+      'merra2:2021-07-03', 'merra2:2021-07-04', 'merra2:2021-07-05'
+    ]);
+    expect(index.skipped).toEqual([{ path: path.join('other', 'unrelated.h5'), reason: 'No known variables' }]);
+
+    expect(providers.get('merra2-local').describe()).toMatchObject({
+      variables: ['temperature'],
+      yearRange: { start: 2021, end: 2021 },
+      available: true
+    });
+  });
+
+  it('should not scan an archive without an index', () => {
+    const { NetcdfArchive } = require('../services/netcdfArchive');
+    const unindexed = new NetcdfArchive({ ...require('../config/nasa').netcdfArchive, directory: FIXTURE_DIR });
+
+    expect(unindexed.getIndex().files).toEqual([]);
+    expect(unindexed.find('merra2', '2021-07-04')).toBeNull();
+  });
+
+  it('should read and convert MERRA-2 temperature without network access', async () => {
+    const data = await dataFetcher.fetchPointTimeSeries(40.7128, -74.0060, 'temperature', 185, 1, yearRange, { source: 'merra2-local' });
+
+    expect(data).toEqual([
+      { date: '2021-07-03', value: 25.5, year: 2021, dayOfYear: 184 },
+      { date: '2021-07-04', value: 27, year: 2021, dayOfYear: 185 },
+      { date: '2021-07-05', value: null, year: 2021, dayOfYear: 186 } // fill value
+    ]);
+  });
+
+  it('should use IMERG lon/lat ordering and treat missing granules as gaps', async () => {
+    const data = await dataFetcher.fetchPointTimeSeries(40.7128, -74.0060, 'precipitation', 185, 1, yearRange, { source: 'imerg-local' });
+    expect(data.map(d => d.value)).toEqual([12.5, 0, null]);
+
+    // Corner cell [lon = -74.15][lat = 40.85] of the 2021-07-04 granule
+    const entry = netcdfArchive.find('imerg', '2021-07-04');
+    expect(await netcdfArchive.readPoint(entry, 'precipitationCal', 40.85, -74.15)).toBe(4);
+  });
+
+  it('should read single cells of chunked and contiguous variables', async () => {
+    // MERRA-2 fixtures are stored in deflated 2 x 2 chunks, IMERG ones contiguously
+    const cells = async (dataset, field) => {
+      const granule = await netcdfArchive.open(netcdfArchive.find(dataset, '2021-07-04').path);
+      const variable = granule.field(field);
+      return [0, 1, 2].flatMap(i => [0, 1, 2].map(j => variable.element([0, i, j])));
+    };
+
+    expect(await cells('merra2', 'T2MMEAN')).toEqual([298, 298.5, 299, 299.5, expect.closeTo(300.15, 4), 300.5, 301, 301.5, 302]);
+    expect(await cells('imerg', 'precipitationCal')).toEqual([3, 3.5, 4, 4.5, 0, 5.5, 6, 6.5, 7]);
+  });
+
+  it('should interpolate between archived grid cells', async () => {
+    // Halfway between the cells at lon -73.75 (27 °C) and -73.125 (27.35 °C) on 2021-07-04
+    const data = await dataFetcher.fetchPointTimeSeries(40.5, -73.4375, 'temperature', 185, 0, yearRange, {
+      source: 'merra2-local',
+      interpolation: 'bilinear'
+    });
+
+    expect(data).toEqual([{ date: '2021-07-04', value: 27.18, year: 2021, dayOfYear: 185 }]);
+  });
+
+  it('should return null for points outside the archived granules', async () => {
+    const values = await netcdfArchive.fetchPointSeries('merra2', 'T2MMEAN', 51.5, -0.125, ['2021-07-04']);
+    expect(values).toEqual([null]);
+  });
+
+  it('should serve only the years it holds ahead of OPeNDAP', () => {
+    const useMockData = process.env.USE_MOCK_DATA;
+    process.env.USE_MOCK_DATA = 'false';
+    try {
+      expect(providers.resolve('temperature', yearRange).id).toBe('merra2-local');
+      expect(providers.resolve('temperature', { start: 2020, end: 2021 }).id).toBe('merra2');
+      expect(providers.resolve('precipitation', { start: 1990, end: 2021 }).id).toBe('imerg');
+    } finally {
+      if (useMockData === undefined) delete process.env.USE_MOCK_DATA;
+      else process.env.USE_MOCK_DATA = useMockData;
+    }
+  });
+
+  it('should rank providers by the years they hold, not the span of them', () => {
+    const DataProvider = require('../services/providers/baseProvider');
+    const provider = (id, yearRange, years = null) => Object.assign(
+      new DataProvider({ id, name: id, variables: ['temperature'], yearRange }),
+      { years }
+    );
+    const registry = new providers.ProviderRegistry()
+      .register(provider('unknown', null))
+      .register(provider('sparse', { start: 1990, end: 2020 }, [1990, 2020]))
+      .register(provider('remote', { start: 1980, end: 2023 }));
+
+    const useMockData = process.env.USE_MOCK_DATA;
+    process.env.USE_MOCK_DATA = 'false';
+    try {
+      expect(registry.get('sparse').yearsCovered({ start: 1980, end: 2023 })).toBe(2);
+      expect(registry.resolve('temperature', { start: 1990, end: 2020 }).id).toBe('remote');
+      expect(registry.resolve('temperature', { start: 2020, end: 2020 }).id).toBe('sparse');
+
+      registry.providers.delete('remote');
+      expect(registry.resolve('temperature', { start: 1990, end: 2020 }).id).toBe('sparse');
+    } finally {
+      if (useMockData === undefined) delete process.env.USE_MOCK_DATA;
+      else process.env.USE_MOCK_DATA = useMockData;
+    }
+  });
+
+  describe('index CLI', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = copyFixtures();
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should build an index that verifies', () => {
+      expect(run('build', directory).status).toBe(0);
+      expect(fs.existsSync(path.join(directory, 'index.json'))).toBe(true);
+
+      const result = run('verify', directory);
+      expect(result.status).toBe(0);
+      expect(result.stdout).toMatch(/5 granules verified/);
+    });
+
+    it('should report changed and unindexed granules', () => {
+      run('build', directory);
+
+      const granule = path.join(directory, 'MERRA2', '2021', '07', 'MERRA2_400.statD_2d_slv_Nx.20210704.nc4');
+      fs.appendFileSync(granule, 'x');
+      fs.copyFileSync(granule, path.join(directory, 'MERRA2', '2021', '07', 'MERRA2_400.statD_2d_slv_Nx.20210706.nc4'));
+
+      const result = run('verify', directory);
+      expect(result.status).toBe(1);
+      expect(result.stderr).toMatch(/20210704\.nc4: changed since indexing/);
+      expect(result.stderr).toMatch(/20210706\.nc4: not indexed/);
+    });
+  });
+});
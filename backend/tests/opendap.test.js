@@ -0,0 +1,100 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'opendap');
+
+/**
+ * Local stand-in for a GES DISC Hyrax server
+ * Serves recorded DAP2 ASCII responses keyed by granule file name
+ */
+const requests = [];
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push(decodeURIComponent(url.pathname + url.search));
+
+  const fixture = path.join(FIXTURE_DIR, path.basename(url.pathname));
+  if (!fs.existsSync(fixture)) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    return res.end('Not Found');
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end(fs.readFileSync(fixture, 'utf8'));
+});
+
+let dataFetcher;
+let opendap;
+
+beforeAll(done => {
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    process.env.MERRA2_OPENDAP_URL = `http://127.0.0.1:${port}/merra2`;
+    process.env.IMERG_OPENDAP_URL = `http://127.0.0.1:${port}/imerg`;
+
+    dataFetcher = require('../services/dataFetcher');
+    opendap = require('../services/opendap');
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  requests.length = 0;
+});
+
+describe('OPeNDAP point extraction', () => {
+  const yearRange = { start: 2021, end: 2021 };
+
+  it('should pick the nearest MERRA-2 grid cell', () => {
+    const cell = opendap.nearestGridCell(opendap.getDataset('merra2').grid, 40.7128, -74.0060);
+
+    expect(cell).toEqual({ latIndex: 261, lonIndex: 170, lat: 40.5, lon: -73.75 });
+  });
+
+  it('should wrap longitudes across the dateline', () => {
+    const cell = opendap.nearestGridCell(opendap.getDataset('merra2').grid, 0, 179.9);
+
+    expect(cell.lonIndex).toBe(0);
+    expect(cell.lon).toBe(-180);
+  });
+
+  it('should decode both DAP2 ASCII layouts', () => {
+    const classic = fs.readFileSync(path.join(FIXTURE_DIR, 'MERRA2_400.statD_2d_slv_Nx.20210703.nc4.ascii'), 'utf8');
+    const grid = fs.readFileSync(path.join(FIXTURE_DIR, '3B-DAY.MS.MRG.3IMERG.20210703-S000000-E235959.V06.nc4.ascii'), 'utf8');
+
+    expect(opendap.parseAscii(classic, 'T2MMEAN')).toEqual([298.65]);
+    expect(opendap.parseAscii(grid, 'precipitationCal')).toEqual([12.5]);
+  });
+
+  it('should fetch and convert MERRA-2 temperature', async () => {
+    const data = await dataFetcher.fetchPointTimeSeries(40.7128, -74.0060, 'temperature', 185, 1, yearRange, { source: 'merra2' });
+
+    expect(data).toEqual([
+      { date: '2021-07-03', value: 25.5, year: 2021, dayOfYear: 184 },
+      { date: '2021-07-04', value: 27, year: 2021, dayOfYear: 185 },
+      { date: '2021-07-05', value: null, year: 2021, dayOfYear: 186 } // fill value
+    ]);
+    expect(requests).toContain(
+      '/merra2/MERRA2/M2SDNXSLV.5.12.4/2021/07/MERRA2_400.statD_2d_slv_Nx.20210704.nc4.ascii?T2MMEAN[0:0][261:261][170:170]'
+    );
+  });
+
+  it('should use IMERG lon/lat ordering and treat missing granules as gaps', async () => {
+    const data = await dataFetcher.fetchPointTimeSeries(40.7128, -74.0060, 'precipitation', 185, 1, yearRange, { source: 'imerg' });
+
+    expect(data.map(d => d.value)).toEqual([12.5, 0, null]);
+    expect(requests).toContain(
+      '/imerg/GPM_L3/GPM_3IMERGDF.06/2021/07/3B-DAY.MS.MRG.3IMERG.20210703-S000000-E235959.V06.nc4.ascii?precipitationCal[0:0][1059:1059][1307:1307]'
+    );
+  });
+
+  it('should reject variables the dataset does not provide', async () => {
+    await expect(
+      dataFetcher.fetchPointTimeSeries(40.7128, -74.0060, 'dust', 185, 1, yearRange, { source: 'merra2' })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,163 @@
+const request = require('supertest');
+const db = require('../config/db');
+const authService = require('../services/authService');
+const planService = require('../services/planService');
+const SavedLocation = require('../models/SavedLocation');
+const EventPlan = require('../models/EventPlan');
+const SavedQuery = require('../models/SavedQuery');
+const Place = require('../models/Place');
+const { authenticate } = require('../middleware/auth');
+const { buildApp } = require('./helpers/app');
+
+const app = buildApp(
+  ['/api/', authenticate],
+  ['/api/v1/locations', require('../routes/locations')],
+  ['/api/v1/plans', require('../routes/plans')]
+);
+
+const userId = '665f1c2a9d3e4b0012345678';
+const bearer = `Bearer ${authService.signToken({ id: userId, email: 'ada@example.com', role: 'user' })}`;
+
+const planInput = {
+  name: 'Garden party',
+  location: { name: 'Back yard', lat: 40.7128, lon: -74.006 },
+  dateRange: { start: '2024-07-04', end: '2024-07-06' },
+  thresholds: [
+    { variable: 'temperature', threshold: 30 },
+    { variable: 'precipitation', threshold: 5, spanMode: 'consecutive', consecutiveDays: 2 }
+  ]
+};
+
+describe('Saved locations and event plans', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should require authentication and a database', async () => {
+    await request(app).get('/api/v1/locations').expect(401);
+    await request(app).get('/api/v1/plans').expect(401);
+
+    // No MongoDB in the test environment
+    const response = await request(app).get('/api/v1/plans').set('Authorization', bearer).expect(503);
+    expect(response.body.message).toMatch(/no database connection/);
+  });
+
+  it('should validate locations and plans', async () => {
+    const location = await request(app)
+      .post('/api/v1/locations')
+      .set('Authorization', bearer)
+      .send({ lat: 95, lon: 0 })
+      .expect(400);
+    expect(location.body.errors.map(e => e.field)).toEqual(['name', 'lat']);
+
+    const both = await request(app)
+      .post('/api/v1/plans')
+      .set('Authorization', bearer)
+      .send({ ...planInput, locationId: '665f1c2a9d3e4b0012345679' })
+      .expect(400);
+    expect(both.body.errors[0].message).toBe('location cannot be combined with locationId');
+
+    const tooLong = await request(app)
+      .post('/api/v1/plans')
+      .set('Authorization', bearer)
+      .send({ ...planInput, dateRange: { start: '2024-07-01', end: '2024-08-15' } })
+      .expect(400);
+    expect(tooLong.body.errors[0].field).toBe('dateRange');
+
+    const consecutive = await request(app)
+      .post('/api/v1/plans')
+      .set('Authorization', bearer)
+      .send({ ...planInput, thresholds: [{ variable: 'precipitation', threshold: 5, spanMode: 'consecutive', consecutiveDays: 4 }] })
+      .expect(400);
+    expect(consecutive.body.errors[0].field).toBe('thresholds.0.consecutiveDays');
+  });
+
+  describe('with a database', () => {
+    beforeEach(() => {
+      jest.spyOn(db, 'isConnected').mockReturnValue(true);
+      // No gazetteer loaded: place names come from the bundled files
+      jest.spyOn(Place, 'estimatedDocumentCount').mockResolvedValue(0);
+    });
+
+    it('should copy the coordinates of a saved location into a plan', async () => {
+      const saved = new SavedLocation({ userId, name: 'Cabin', lat: 39.74, lon: -104.99, elevation: 1609 });
+      jest.spyOn(SavedLocation, 'findOne').mockResolvedValue(saved);
+      jest.spyOn(EventPlan, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(EventPlan, 'create').mockImplementation(async fields => new EventPlan(fields));
+
+      const { location, ...input } = planInput;
+      const response = await request(app)
+        .post('/api/v1/plans')
+        .set('Authorization', bearer)
+        .send({ ...input, locationId: saved.id })
+        .expect(201);
+
+      expect(SavedLocation.findOne).toHaveBeenCalledWith({ _id: saved.id, userId });
+      expect(response.body.plan).toMatchObject({
+        name: 'Garden party',
+        location: { name: 'Cabin', lat: 39.74, lon: -104.99, elevation: 1609 },
+        locationId: saved.id,
+        thresholds: [
+          { variable: 'temperature', threshold: 30, spanMode: 'any', consecutiveDays: null },
+          { variable: 'precipitation', threshold: 5, spanMode: 'consecutive', consecutiveDays: 2 }
+        ],
+        lastRun: null
+      });
+    });
+
+    it('should answer 404 for other users\' items', async () => {
+      jest.spyOn(EventPlan, 'findOne').mockResolvedValue(null);
+
+      await request(app).get('/api/v1/plans/not-an-id').set('Authorization', bearer).expect(404);
+      const response = await request(app).delete('/api/v1/plans/665f1c2a9d3e4b0012345679').set('Authorization', bearer).expect(404);
+      expect(response.body.message).toBe('Event plan not found');
+      expect(EventPlan.findOne).toHaveBeenCalledWith({ _id: '665f1c2a9d3e4b0012345679', userId });
+    });
+
+    it('should re-run a plan and report changes since the last run', async () => {
+      const plan = new EventPlan({ ...planInput, userId });
+      jest.spyOn(EventPlan, 'findOne').mockResolvedValue(plan);
+      jest.spyOn(plan, 'save').mockResolvedValue(plan);
+      // Outside development each threshold's query is saved to the history
+      jest.spyOn(SavedQuery, 'findOneAndUpdate').mockResolvedValue(null);
+
+      const first = await request(app).post(`/api/v1/plans/${plan.id}/run`).set('Authorization', bearer).expect(200);
+      expect(first.body.run.results).toHaveLength(2);
+      expect(first.body.run.results[0]).toMatchObject({ variable: 'temperature', threshold: 30, spanMode: 'any' });
+      expect(first.body.run.results[0].probability).toBeGreaterThanOrEqual(0);
+      expect(first.body.changes.previousRunAt).toBeNull();
+      expect(first.body.changes.thresholds.map(t => t.status)).toEqual(['new', 'new']);
+      expect(plan.lastRun.results).toHaveLength(2);
+
+      // Same data (served from the cache): nothing changed
+      const second = await request(app).post(`/api/v1/plans/${plan.id}/run`).set('Authorization', bearer).expect(200);
+      expect(second.body.changes.previousRunAt).toBe(first.body.run.ranAt);
+      expect(second.body.changes.thresholds.map(t => [t.status, t.delta])).toEqual([['unchanged', 0], ['unchanged', 0]]);
+    });
+  });
+
+  it('should compare runs per threshold', () => {
+    const result = (variable, threshold, probability, years = 44) => ({
+      variable, threshold, spanMode: 'any', consecutiveDays: null, probability, years
+    });
+    const previous = {
+      ranAt: new Date('2024-06-01T00:00:00Z'),
+      results: [result('temperature', 30, 0.25), result('precipitation', 5, 0.4), result('windspeed', 10, 0.1)]
+    };
+    const run = {
+      ranAt: new Date(),
+      results: [result('temperature', 30, 0.3, 45), result('precipitation', 5, 0.375, 45), result('humidity', 80, 0.5)]
+    };
+
+    const changes = planService.compareRuns(previous, run);
+
+    expect(changes.previousRunAt).toEqual(previous.ranAt);
+    expect(changes.thresholds.map(t => [t.variable, t.status, t.delta])).toEqual([
+      ['temperature', 'higher', 5],
+      ['precipitation', 'lower', -2.5],
+      ['humidity', 'new', undefined]
+    ]);
+    expect(changes.thresholds[0].years).toEqual({ previous: 44, current: 45 });
+    expect(changes.removed).toEqual([{ variable: 'windspeed', threshold: 10, spanMode: 'any', consecutiveDays: null }]);
+  });
+});
@@ -0,0 +1,270 @@
+const processor = require('../services/processor');
+const SeededRandom = require('../utils/random');
+
+describe('Processor', () => {
+
+  describe('confidence intervals', () => {
+    // 30 years x 15 days of an AR(1) series (strong day-to-day persistence)
+    const persistentSeries = () => {
+      const rng = new SeededRandom(3);
+      const points = [];
+      for (let year = 1990; year < 2020; year++) {
+        let x = rng.normal();
+        for (let day = 1; day <= 15; day++) {
+          x = 0.8 * x + 0.6 * rng.normal();
+          points.push({ date: `${year}-07-${String(day).padStart(2, '0')}`, value: 20 + 3 * x, year });
+        }
+      }
+      return points;
+    };
+
+    it('should compute Wilson intervals', () => {
+      const ci = processor.wilsonInterval(0.1, 100);
+
+      expect(ci.lower).toBeCloseTo(0.0552, 3);
+      expect(ci.upper).toBeCloseTo(0.1744, 3);
+    });
+
+    it('should shrink the effective sample size for persistent series', () => {
+      const ess = processor.effectiveSampleSize(persistentSeries());
+
+      expect(ess.lag1Autocorrelation).toBeGreaterThan(0.6);
+      expect(ess.value).toBeLessThan(450 / 3);
+      expect(ess.value).toBeGreaterThanOrEqual(30);
+    });
+
+    it('should bracket estimates with reproducible bootstrap intervals', () => {
+      const stats = processor.computeStats(persistentSeries(), 23);
+      const again = processor.computeStats(persistentSeries(), 23);
+
+      expect(stats.confidence.mean.lower).toBeLessThan(stats.mean);
+      expect(stats.confidence.mean.upper).toBeGreaterThan(stats.mean);
+      expect(stats.confidence.percentiles.p90.lower).toBeLessThan(stats.percentiles.p90);
+      expect(stats.exceedance.ci.lower).toBeLessThan(stats.exceedance.probability);
+      expect(stats.exceedance.ci.upper).toBeGreaterThan(stats.exceedance.probability);
+      expect(stats.exceedance.ci.method).toBe('year-block bootstrap');
+      expect(again.confidence).toEqual(stats.confidence);
+    });
+
+    it('should take resample percentiles without expanding the resample', () => {
+      // Years 0 and 2 drawn twice and once: the resample is 1 1 2 5 5 6 7 7 9
+      const ordered = [1, 2, 3, 5, 6, 7, 9].map((value, i) => ({ value, block: [0, 2, 1, 0, 2, 0, 2][i] }));
+      const resample = [1, 1, 2, 5, 5, 6, 7, 7, 9];
+
+      expect(processor.weightedPercentiles(ordered, [2, 0, 1], 9, [10, 50, 90]))
+        .toEqual([10, 50, 90].map(p => processor.percentile(resample, p)));
+    });
+
+    it('should fall back to Wilson intervals for short records', () => {
+      const stats = processor.computeStats(persistentSeries().filter(p => p.year < 1993), 23);
+
+      expect(stats.exceedance.ci.method).toBe('wilson');
+    });
+
+    it('should quote the interval in the summary', () => {
+      const stats = processor.computeStats(persistentSeries(), 23);
+
+      expect(processor.generateSummary(stats, 'temperature', 23)).toMatch(/95% CI: between \d+% and \d+%/);
+    });
+  });
+
+  describe('extreme-value analysis', () => {
+    const truth = { location: 30, scale: 2, shape: 0.1, k: -0.1 };
+
+    // Synthetic daily series whose per-year maxima follow a known GEV
+    const syntheticSeries = (years) => {
+      const rng = new SeededRandom(42);
+      const points = [];
+      for (let year = 1; year <= years; year++) {
+        const max = processor.gevQuantile(truth, rng.uniform(1e-9, 1));
+        points.push({ date: `${2000 + year}-07-01`, value: max, year: 2000 + year });
+        points.push({ date: `${2000 + year}-07-02`, value: max - 5, year: 2000 + year });
+      }
+      return points;
+    };
+
+    it('should recover GEV parameters by L-moments', () => {
+      const maxima = processor.blockMaxima(syntheticSeries(3000)).map(b => b.value);
+      const fit = processor.fitGEV(maxima);
+
+      expect(fit.location).toBeCloseTo(30, 0);
+      expect(fit.scale).toBeCloseTo(2, 0);
+      expect(Math.abs(fit.shape - 0.1)).toBeLessThan(0.05);
+    });
+
+    it('should report increasing return levels with confidence intervals', () => {
+      const extremes = processor.analyzeExtremes(syntheticSeries(40), null, { bootstrap: 200 });
+
+      expect(extremes.blockCount).toBe(40);
+      expect(extremes.returnLevels.map(l => l.period)).toEqual([2, 5, 10, 25, 50]);
+      extremes.returnLevels.forEach((level, i) => {
+        expect(level.ci.lower).toBeLessThan(level.value);
+        expect(level.ci.upper).toBeGreaterThan(level.value);
+        if (i > 0) expect(level.value).toBeGreaterThan(extremes.returnLevels[i - 1].value);
+      });
+    });
+
+    it('should give the return period of a threshold', () => {
+      const fitted = processor.analyzeExtremes(syntheticSeries(40), null, { bootstrap: 100 });
+      const tenYearLevel = fitted.returnLevels.find(l => l.period === 10).value;
+
+      const extremes = processor.analyzeExtremes(syntheticSeries(40), tenYearLevel, { bootstrap: 100 });
+
+      expect(extremes.threshold.returnPeriod).toBeCloseTo(10, 5);
+      expect(extremes.threshold.annualExceedanceProbability).toBeCloseTo(0.1, 5);
+      expect(extremes.threshold.ci.lower).toBeLessThan(10);
+      expect(extremes.threshold.ci.upper).toBeGreaterThan(10);
+    });
+
+    it('should be reproducible', () => {
+      const first = processor.analyzeExtremes(syntheticSeries(30), 33, { bootstrap: 100 });
+      const second = processor.analyzeExtremes(syntheticSeries(30), 33, { bootstrap: 100 });
+
+      expect(second).toEqual(first);
+    });
+
+    it('should refuse short records', () => {
+      expect(processor.analyzeExtremes(syntheticSeries(5)).error).toBeDefined();
+    });
+  });
+
+  describe('trend analysis', () => {
+    // Ten days per year, yearly mean = base + slope * (year - 1980) + noise
+    const yearlySeries = (slope, noise, seed = 7) => {
+      const rng = new SeededRandom(seed);
+      const points = [];
+      for (let year = 1980; year <= 2023; year++) {
+        const yearly = 20 + slope * (year - 1980) + rng.normal(0, noise);
+        for (let day = 0; day < 10; day++) {
+          points.push({ date: `${year}-07-${String(day + 1).padStart(2, '0')}`, value: yearly + rng.normal(0, 0.1), year });
+        }
+      }
+      return points;
+    };
+
+    it('should not report a trend for pure noise', () => {
+      const { trend } = processor.analyzeTrend(yearlySeries(0, 1));
+
+      expect(trend.significant).toBe(false);
+      expect(trend.direction).toBe('no significant trend');
+      expect(trend.changePerDecadeCI.lower).toBeLessThan(0);
+      expect(trend.changePerDecadeCI.upper).toBeGreaterThan(0);
+    });
+
+    it('should detect a significant trend with Sen\'s slope', () => {
+      const { trend } = processor.analyzeTrend(yearlySeries(0.05, 0.3));
+
+      expect(trend.direction).toBe('increasing');
+      expect(trend.pValue).toBeLessThan(0.001);
+      expect(parseFloat(trend.changePerDecade)).toBeCloseTo(0.5, 1);
+      expect(trend.changePerDecadeCI.lower).toBeLessThan(0.5);
+      expect(trend.changePerDecadeCI.upper).toBeGreaterThan(0.5);
+    });
+
+    it('should compute the Mann-Kendall statistic with ties', () => {
+      const mk = processor.mannKendall([1, 2, 2, 3, 5]);
+
+      expect(mk.S).toBe(9);
+      expect(mk.varianceS).toBeCloseTo((5 * 4 * 15 - 2 * 1 * 9) / 18, 10);
+    });
+
+    it('should compare exceedance between climate normal periods', () => {
+      const normals = processor.compareNormals(yearlySeries(0.1, 0.3), 22);
+
+      expect(normals.early.period).toEqual({ start: 1981, end: 2010 });
+      expect(normals.recent.exceedance.probability).toBeGreaterThan(normals.early.exceedance.probability);
+      expect(normals.test.earlyYears).toEqual({ start: 1981, end: 1993 });
+      expect(normals.test.recentYears).toEqual({ start: 2011, end: 2023 });
+      expect(normals.verdict).toBe('more likely');
+    });
+
+    it('should not claim a change without evidence', () => {
+      const normals = processor.compareNormals(yearlySeries(0, 1), 20);
+
+      expect(normals.verdict).toBe('no significant change');
+    });
+  });
+
+  describe('derived comfort indices', () => {
+    it('should match the NWS heat index table', () => {
+      // 90 °F at 70% RH -> 105 °F
+      expect(processor.heatIndex(32.22, 70)).toBeCloseTo(40.6, 0);
+      // Mild conditions stay close to air temperature
+      expect(processor.heatIndex(20, 50)).toBeCloseTo(19.6, 0);
+    });
+
+    it('should match the wind chill table', () => {
+      // -10 °C with 20 km/h wind -> -17.9 °C
+      expect(processor.windChill(-10, 20 / 3.6)).toBeCloseTo(-17.9, 1);
+      // No wind chill above 10 °C
+      expect(processor.windChill(15, 10)).toBe(15);
+    });
+
+    it('should compute Steadman apparent temperature', () => {
+      expect(processor.apparentTemperature(30, 50, 2)).toBeCloseTo(31.58, 1);
+    });
+
+    it('should align inputs on date and propagate gaps', () => {
+      const series = processor.deriveSeries('heatindex', {
+        temperature: [
+          { date: '2021-07-03', value: 32.22, year: 2021, dayOfYear: 184 },
+          { date: '2021-07-04', value: null, year: 2021, dayOfYear: 185 },
+          { date: '2021-07-05', value: 30, year: 2021, dayOfYear: 186 }
+        ],
+        humidity: [
+          { date: '2021-07-05', value: 40, year: 2021, dayOfYear: 186 },
+          { date: '2021-07-03', value: 70, year: 2021, dayOfYear: 184 }
+        ]
+      });
+
+      expect(series.map(d => d.date)).toEqual(['2021-07-03', '2021-07-04', '2021-07-05']);
+      expect(series[0].value).toBeCloseTo(40.6, 0);
+      expect(series[1].value).toBeNull();
+      expect(series[2].value).toBeCloseTo(29.7, 0);
+    });
+
+    it('should flag very uncomfortable days', () => {
+      expect(processor.computeDerivedValue('uncomfortable', { temperature: 35, humidity: 70, windspeed: 2 })).toBe(1);
+      expect(processor.computeDerivedValue('uncomfortable', { temperature: -20, humidity: 60, windspeed: 10 })).toBe(1);
+      expect(processor.computeDerivedValue('uncomfortable', { temperature: 22, humidity: 50, windspeed: 3 })).toBe(0);
+    });
+  });
+
+  describe('multi-day spans', () => {
+    const calendar = require('../utils/calendar');
+    const spans = calendar.spans({ start: '2021-06-20', end: '2021-06-22' }, { start: 2019, end: 2022 });
+
+    // 2019: one hot day, 2020: all hot, 2021: two hot days in a row, 2022: one day missing
+    const values = {
+      2019: [31, 25, 20],
+      2020: [31, 32, 33],
+      2021: [20, 31, 32],
+      2022: [31, null, 28]
+    };
+    const series = spans.flatMap(({ year, days }) =>
+      days.map((d, i) => ({ date: d.date, year: d.year, value: values[year][i] }))
+    );
+
+    it('should give one outcome per year for every mode', () => {
+      const any = processor.computeSpanProbability(series, spans, 30, { mode: 'any' });
+      expect(any.outcomes.map(o => o.occurred)).toEqual([true, true, true, true]);
+      expect(any.probability).toBe(1);
+
+      const all = processor.computeSpanProbability(series, spans, 30, { mode: 'all' });
+      expect(all.outcomes.map(o => o.occurred)).toEqual([false, true, false, false]);
+      expect(all).toMatchObject({ count: 1, years: 4, spanDays: 3 });
+
+      const consecutive = processor.computeSpanProbability(series, spans, 30, { mode: 'consecutive', consecutiveDays: 2 });
+      expect(consecutive.outcomes.map(o => o.occurred)).toEqual([false, true, true, null]);
+      expect(consecutive).toMatchObject({ count: 2, years: 3, undecidedYears: 1 });
+      // Day-of-year alignment: days 171-173 are June 19-21 in the leap year
+      expect(consecutive.outcomes[1]).toMatchObject({ year: 2020, start: '2020-06-19', end: '2020-06-21', daysExceeding: 3, longestRun: 3 });
+    });
+
+    it('should describe the span in the summary', () => {
+      const result = processor.computeSpanProbability(series, spans, 30, { mode: 'all' });
+      expect(processor.generateSpanSummary(result, 'temperature'))
+        .toBe('In 1 of 4 years (25.0%), temperature exceeded 30 on all 3 days.');
+    });
+  });
+});
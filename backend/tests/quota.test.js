@@ -0,0 +1,122 @@
+const express = require('express');
+const request = require('supertest');
+const RedisMock = require('ioredis-mock');
+const quotaConfig = require('../config/quota');
+const quota = require('../services/quota');
+const { QuotaService } = require('../services/quota');
+const { MemoryQuotaStore, RedisQuotaStore } = require('../services/quotaStores');
+const { createQuotaLimiter, quotaCost } = require('../middleware/quota');
+const errorHandler = require('../middleware/errorHandler');
+
+const tiers = {
+  anonymous: { burst: 100, daily: 30, monthly: 1000 },
+  authenticated: { burst: 100, daily: 30, monthly: 1000 }
+};
+const config = { ...quotaConfig, costs: { request: 1, query: 10, area: 50 }, tiers };
+
+// Stand-in for middleware/auth.js: X-Test-User / X-Test-Key select the caller
+const fakeAuth = (req, res, next) => {
+  if (req.get('X-Test-User')) {
+    req.user = { id: req.get('X-Test-User'), apiKeyId: req.get('X-Test-Key'), role: 'user' };
+  }
+  next();
+};
+
+const buildApp = service => express()
+  .use('/api/', fakeAuth)
+  .use('/api/', createQuotaLimiter(service))
+  .get('/api/v1/variables', (req, res) => res.json({ success: true }))
+  .post('/api/v1/query', quotaCost('query'), (req, res) => {
+    res.locals.cached = req.query.cached === 'true';
+    res.json({ success: true });
+  })
+  .use('/api/v1/usage', require('../routes/usage'))
+  .use(errorHandler);
+
+// The charge for an expensive response lands after it has been sent
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Quotas', () => {
+  it('should charge cached responses the base cost and computed ones their full cost', async () => {
+    const service = new QuotaService(config, new MemoryQuotaStore());
+    const app = buildApp(service);
+    const principal = { type: 'user', id: 'ada' };
+
+    const first = await request(app).post('/api/v1/query?cached=true').set('X-Test-User', 'ada').expect(200);
+    expect(first.headers['ratelimit-policy']).toMatch(/^100;w=900, 30;w=86400, 1000;w=\d+$/);
+    expect(first.headers['ratelimit-limit']).toBe('30');
+    expect(first.headers['ratelimit-remaining']).toBe('29');
+
+    await request(app).post('/api/v1/query').set('X-Test-User', 'ada').expect(200);
+    await settle();
+
+    const [burst, daily, monthly] = await service.usage(principal, 'authenticated');
+    expect(burst.used).toBe(2);
+    expect(daily.used).toBe(11);
+    expect(monthly.used).toBe(11);
+  });
+
+  it('should track budgets per API key and refuse requests once one is used up', async () => {
+    const app = buildApp(new QuotaService(config, new MemoryQuotaStore()));
+    const query = key => request(app).post('/api/v1/query').set('X-Test-User', 'ada').set('X-Test-Key', key);
+
+    await query('key-1').expect(200);
+    await query('key-1').expect(200);
+    await query('key-1').expect(200);
+    await settle();
+
+    const refused = await query('key-1').expect(429);
+    expect(refused.body.message).toMatch(/daily quota of 30 units for this API key is used up/);
+    expect(refused.body.quota).toMatchObject({ window: 'daily', limit: 30, used: 30, unit: 'units' });
+    expect(refused.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(refused.headers['retry-after'])).toBeGreaterThan(0);
+
+    // Another key of the same user has its own budget
+    await query('key-2').expect(200);
+  });
+
+  it('should let requests through when the quota store fails', async () => {
+    const store = new MemoryQuotaStore();
+    store.get = jest.fn().mockRejectedValue(new Error('connection refused'));
+    const app = buildApp(new QuotaService(config, store));
+
+    const response = await request(app).get('/api/v1/variables').expect(200);
+    expect(response.headers['ratelimit-limit']).toBeUndefined();
+  });
+
+  it('should align windows to the UTC day and month', () => {
+    const service = new QuotaService(config, new MemoryQuotaStore());
+    const [burst, daily, monthly] = service.windows(new Date('2024-02-29T23:10:00Z'));
+
+    expect(burst.resetAt.toISOString()).toBe('2024-02-29T23:15:00.000Z');
+    expect(daily).toMatchObject({ id: '2024-02-29', seconds: 86400 });
+    expect(daily.resetAt.toISOString()).toBe('2024-03-01T00:00:00.000Z');
+    expect(monthly).toMatchObject({ id: '2024-02', seconds: 29 * 86400 });
+    expect(monthly.resetAt.toISOString()).toBe('2024-03-01T00:00:00.000Z');
+  });
+
+  it('should share counters between instances through Redis', async () => {
+    const prefix = `quota-${Date.now()}:`;
+    const instanceA = new RedisQuotaStore({ client: new RedisMock(), prefix });
+    const instanceB = new RedisQuotaStore({ client: new RedisMock(), prefix });
+    const expiresAt = new Date(Date.now() + 60 * 1000);
+
+    expect(await instanceA.add('ip:1.2.3.4:daily:2024-02-29', 10, expiresAt)).toBe(10);
+    expect(await instanceB.add('ip:1.2.3.4:daily:2024-02-29', 1, expiresAt)).toBe(11);
+    expect(await instanceA.get(['ip:1.2.3.4:daily:2024-02-29', 'ip:5.6.7.8:daily:2024-02-29'])).toEqual([11, 0]);
+  });
+
+  it('should report the caller\'s usage', async () => {
+    quota.useStore(new MemoryQuotaStore());
+    const app = buildApp(quota);
+
+    await request(app).get('/api/v1/variables').set('X-Test-User', 'ada').set('X-Test-Key', 'key-1').expect(200);
+    const response = await request(app).get('/api/v1/usage').set('X-Test-User', 'ada').set('X-Test-Key', 'key-1').expect(200);
+
+    expect(response.body.principal).toEqual({ type: 'apiKey', id: 'key-1' });
+    expect(response.body.tier).toBe('authenticated');
+    expect(response.body.costs).toEqual(quotaConfig.costs);
+    expect(response.body.windows.map(w => [w.name, w.used])).toEqual([['burst', 2], ['daily', 2], ['monthly', 2]]);
+    expect(response.body.windows[1].remaining).toBe(quotaConfig.tiers.authenticated.daily - 2);
+  });
+});
@@ -0,0 +1,23 @@
+const SavedQuery = require('../models/SavedQuery');
+
+describe('SavedQuery', () => {
+  const fields = {
+    latitude: 40.7128,
+    longitude: -74.006,
+    dayOfYear: 180,
+    variable: 'temperature',
+    threshold: 30,
+    yearRange: { start: 1980, end: 2023 },
+    source: 'mock',
+    userId: null
+  };
+  const hash = extra => new SavedQuery({ ...fields, ...extra }).generateHash();
+
+  it('should hash every parameter that changes the result', () => {
+    const normals = { early: { start: 1981, end: 2010 }, recent: { start: 1994, end: 2023 } };
+
+    expect(hash({ analysis: ['extremes'] })).not.toBe(hash({ analysis: [] }));
+    expect(hash({ normals })).not.toBe(hash({ normals: { ...normals, early: { start: 1985, end: 2014 } } }));
+    expect(hash({ analysis: ['extremes'], normals })).toBe(hash({ analysis: ['extremes'], normals }));
+  });
+});
@@ -0,0 +1,80 @@
+const DataProvider = require('../services/providers/baseProvider');
+const seriesCache = require('../services/seriesCache');
+const { MemoryAdapter } = require('../services/cacheAdapters');
+const dataFetcher = require('../services/dataFetcher');
+const geo = require('../utils/geo');
+
+/**
+ * Provider that records which days it was asked for
+ */
+class RecordingProvider extends DataProvider {
+  constructor() {
+    super({ id: 'recording', name: 'Recording', variables: ['temperature'], yearRange: { start: 1980, end: 2023 } });
+    this.requests = [];
+  }
+
+  async fetchDays(lat, lon, variable, days) {
+    this.requests.push(days.map(d => d.date));
+    return days.map(d => ({
+      ...d,
+      // Day 200 has no data at this source
+      value: d.dayOfYear === 200 ? null : d.dayOfYear / 10
+    }));
+  }
+}
+
+describe('Series cache', () => {
+  let provider;
+  const cell = { lat: 40.5, lon: -74.375 };
+
+  beforeEach(() => {
+    provider = new RecordingProvider();
+    seriesCache.useAdapter(new MemoryAdapter({ ttl: 60 }));
+  });
+
+  it('should fetch only days that are not cached yet', async () => {
+    const narrow = dataFetcher.buildTargetDays(180, 7, { start: 2000, end: 2001 });
+    const wide = dataFetcher.buildTargetDays(180, 10, { start: 2000, end: 2002 });
+
+    await seriesCache.fetchDays(provider, cell, 'temperature', narrow);
+    const data = await seriesCache.fetchDays(provider, cell, 'temperature', wide);
+
+    expect(provider.requests[0]).toHaveLength(30);
+    expect(provider.requests[1]).toHaveLength(wide.length - narrow.length);
+    expect(data).toHaveLength(wide.length);
+    expect(data.find(d => d.date === '2002-06-29').value).toBe(18);
+  });
+
+  it('should not refetch days without data', async () => {
+    const days = dataFetcher.buildTargetDays(200, 0, { start: 2000, end: 2000 });
+
+    const first = await seriesCache.fetchDays(provider, cell, 'temperature', days);
+    const second = await seriesCache.fetchDays(provider, cell, 'temperature', days);
+
+    expect(first[0].value).toBeNull();
+    expect(second[0].value).toBeNull();
+    expect(provider.requests).toHaveLength(1);
+  });
+
+  it('should keep the days of overlapping fetches for the same cell', async () => {
+    const june = dataFetcher.buildTargetDays(170, 3, { start: 2000, end: 2000 });
+    const july = dataFetcher.buildTargetDays(190, 3, { start: 2000, end: 2000 });
+
+    await Promise.all([
+      seriesCache.fetchDays(provider, cell, 'temperature', june),
+      seriesCache.fetchDays(provider, cell, 'temperature', july)
+    ]);
+    await seriesCache.fetchDays(provider, cell, 'temperature', [...june, ...july]);
+
+    // Both fetches started from an empty entry; the second write must not drop the first's days
+    expect(provider.requests).toHaveLength(2);
+    const { values } = await seriesCache.adapter.get(seriesCache.generateKey('recording', 'temperature', cell));
+    expect(Object.keys(values)).toHaveLength(june.length + july.length);
+  });
+
+  it('should share entries between nearby coordinates', () => {
+    const grid = dataFetcher.config.area.defaultGrid;
+    expect(geo.snapToGrid(grid, 40.7128, -74.006)).toEqual(geo.snapToGrid(grid, 40.6, -73.9));
+    expect(geo.snapToGrid(grid, 40.7128, -74.006)).toEqual({ lat: 40.5, lon: -73.75 });
+  });
+});
@@ -1,5 +1,9 @@
 const request = require('supertest');
 const app = require('../index');
+const authService = require('../services/authService');
+const db = require('../config/db');
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
 
 describe('Weather API Tests', () => {
   
@@ -23,6 +27,91 @@ describe('Weather API Tests', () => {
       expect(response.body.stats.mean).toBeDefined();
       expect(response.body.stats.exceedance).toBeDefined();
       expect(response.body.downloadUrl).toBeDefined();
+      expect(response.body.stats.exceedance.ci).toBeDefined();
+      expect(response.body.stats.effectiveSampleSize.value).toBeLessThanOrEqual(response.body.stats.count);
+      expect(response.body.trend.trend.pValue).toBeDefined();
+      expect(response.body.trend.normals.verdict).toBeDefined();
+    });
+
+    it('should report the data source that served the query', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query')
+        .send({
+          lat: 40.7128,
+          lon: -74.0060,
+          dayOfYear: 180,
+          variable: 'dust',
+          source: 'mock'
+        })
+        .expect(200);
+
+      expect(response.body.meta.source).toBe('mock');
+      expect(response.body.meta.dataSource).toBe('Synthetic data (mock generator)');
+    });
+
+    it('should reject unknown data sources', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query')
+        .send({
+          lat: 40.7128,
+          lon: -74.0060,
+          dayOfYear: 180,
+          variable: 'temperature',
+          source: 'giovanni'
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject sources that do not provide the variable', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query')
+        .send({
+          lat: 40.7128,
+          lon: -74.0060,
+          dayOfYear: 180,
+          variable: 'temperature',
+          source: 'imerg'
+        })
+        .expect(400);
+
+      expect(response.body.message).toMatch(/does not provide temperature/);
+    });
+
+    it('should include extreme-value analysis when requested', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query')
+        .send({
+          lat: 40.7128,
+          lon: -74.0060,
+          dayOfYear: 200,
+          variable: 'temperature',
+          threshold: 35,
+          analysis: ['extremes']
+        })
+        .expect(200);
+
+      const { extremes } = response.body;
+      expect(extremes.parameters).toBeDefined();
+      expect(extremes.returnLevels).toHaveLength(5);
+      expect(extremes.threshold.value).toBe(35);
+    });
+
+    it('should query derived comfort variables', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query')
+        .send({
+          lat: 25.7617,
+          lon: -80.1918,
+          dayOfYear: 200,
+          variable: 'heatindex',
+          threshold: 40
+        })
+        .expect(200);
+
+      expect(response.body.meta.units).toBe('°C');
+      expect(response.body.stats.exceedance).toBeDefined();
     });
 
     it('should reject invalid latitude', async () => {
@@ -53,6 +142,56 @@ describe('Weather API Tests', () => {
       expect(response.body.success).toBe(false);
     });
 
+    it('should report the nearest grid cell used by default', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query')
+        .send({ lat: 40.7128, lon: -74.0060, dayOfYear: 180, variable: 'temperature' })
+        .expect(200);
+
+      expect(response.body.meta.spatial).toMatchObject({
+        method: 'nearest',
+        grid: { lat: 40.5, lon: -73.75 },
+        cells: [{ lat: 40.5, lon: -73.75, weight: 1 }]
+      });
+      expect(response.body.meta.spatial.distanceKm).toBeCloseTo(32.05, 1);
+    });
+
+    it('should interpolate between the surrounding cells', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query')
+        .send({ lat: 40.7128, lon: -74.0060, dayOfYear: 180, variable: 'temperature', interpolation: 'bilinear' })
+        .expect(200);
+
+      const { spatial } = response.body.meta;
+      expect(spatial.method).toBe('bilinear');
+      expect(spatial.cells).toHaveLength(4);
+      expect(spatial.cells.reduce((sum, c) => sum + c.weight, 0)).toBeCloseTo(1, 3);
+
+      await request(app)
+        .post('/api/v1/weather/query')
+        .send({ lat: 40.7128, lon: -74.0060, dayOfYear: 180, variable: 'temperature', interpolation: 'cubic' })
+        .expect(400);
+    });
+
+    it('should correct temperature with the bundled DEM', async () => {
+      // Denver sits below the mean height of its MERRA-2 cell, which reaches into the Rockies
+      const response = await request(app)
+        .post('/api/v1/weather/query')
+        .send({ lat: 39.74, lon: -104.99, dayOfYear: 180, variable: 'temperature', elevation: 1609 })
+        .expect(200);
+
+      const { meta, stats, rawStats } = response.body;
+      expect(meta.elevation.cellElevation).toBeGreaterThan(1609);
+      expect(meta.elevation.adjustment).toBeGreaterThan(0);
+      expect(stats.mean).toBeCloseTo(rawStats.mean + meta.elevation.adjustment, 1);
+
+      const auto = await request(app)
+        .post('/api/v1/weather/query')
+        .send({ lat: 39.74, lon: -104.99, dayOfYear: 180, variable: 'temperature', elevation: 'auto' })
+        .expect(200);
+      expect(auto.body.meta.elevation.pointElevationSource).toBe('dem');
+    });
+
     it('should convert date to dayOfYear', async () => {
       const response = await request(app)
         .post('/api/v1/weather/query')
@@ -65,7 +204,260 @@ describe('Weather API Tests', () => {
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.meta.dayOfYear).toBe(185); // Approximately
+      expect(response.body.meta.dayOfYear).toBe(185);
+    });
+
+    it('should align windows on the calendar date and reject impossible dates', async () => {
+      const query = { lat: 40.7128, lon: -74.0060, variable: 'temperature', window: 0, yearRange: { start: 2019, end: 2020 }, source: 'mock' };
+
+      const response = await request(app)
+        .post('/api/v1/weather/query')
+        .send({ ...query, date: '2020-07-04', alignment: 'calendarDate' })
+        .expect(200);
+
+      expect(response.body.meta).toMatchObject({ dayOfYear: 186, alignment: 'calendarDate' });
+      expect(response.body.timeseries.map(d => d.date)).toEqual(['2019-07-04', '2020-07-04']);
+
+      await request(app)
+        .post('/api/v1/weather/query')
+        .send({ ...query, date: '2021-02-29' })
+        .expect(400);
+    });
+  });
+
+  describe('Date-range queries', () => {
+    const query = {
+      lat: 40.7128,
+      lon: -74.0060,
+      variable: 'temperature',
+      threshold: 28,
+      dateRange: { start: '2024-06-20', end: '2024-06-22' },
+      yearRange: { start: 2000, end: 2020 },
+      source: 'mock'
+    };
+
+    it('should return the per-year outcomes of a multi-day span', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query')
+        .send({ ...query, spanMode: 'consecutive', consecutiveDays: 2 })
+        .expect(200);
+
+      const { span, meta, timeseries } = response.body;
+      expect(meta).toMatchObject({ dateRange: query.dateRange, spanMode: 'consecutive' });
+      expect(span).toMatchObject({ mode: 'consecutive', consecutiveDays: 2, spanDays: 3 });
+      expect(span.outcomes).toHaveLength(21);
+      expect(span.outcomes[0]).toMatchObject({ year: 2000, start: '2000-06-20', end: '2000-06-22' });
+      expect(span.count).toBe(span.outcomes.filter(o => o.occurred).length);
+      expect(timeseries).toHaveLength(63);
+      expect(response.body.summary).toMatch(/consecutive days of the 3/);
+    });
+
+    it('should require all days less often than any day', async () => {
+      const any = await request(app).post('/api/v1/weather/query').send(query).expect(200);
+      const all = await request(app).post('/api/v1/weather/query').send({ ...query, spanMode: 'all' }).expect(200);
+
+      expect(all.body.span.probability).toBeLessThanOrEqual(any.body.span.probability);
+    });
+
+    it('should validate the span', async () => {
+      const reversed = await request(app)
+        .post('/api/v1/weather/query')
+        .send({ ...query, dateRange: { start: '2024-06-22', end: '2024-06-20' } })
+        .expect(400);
+      expect(reversed.body.errors[0].field).toBe('dateRange.end');
+
+      await request(app).post('/api/v1/weather/query').send({ ...query, spanMode: 'consecutive' }).expect(400);
+      await request(app).post('/api/v1/weather/query').send({ ...query, spanMode: 'consecutive', consecutiveDays: 5 }).expect(400);
+      await request(app).post('/api/v1/weather/query').send({ ...query, threshold: undefined }).expect(400);
+      await request(app).post('/api/v1/weather/query').send({ ...query, dayOfYear: 180 }).expect(400);
+    });
+  });
+
+  describe('Async queries', () => {
+    it('should refuse async mode without a database', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query?async=true')
+        .send({
+          lat: 40.7128,
+          lon: -74.0060,
+          dayOfYear: 180,
+          variable: 'temperature'
+        })
+        .expect(503);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should queue queries once the database is connected', async () => {
+      jest.spyOn(db, 'isConnected').mockReturnValue(true);
+      jest.spyOn(Job, 'create').mockResolvedValue({ id: '665f1c2a9d3e4b0012345678', status: 'queued' });
+      jest.spyOn(jobQueue, 'poll').mockResolvedValue();
+
+      try {
+        const response = await request(app)
+          .post('/api/v1/weather/query?async=true')
+          .send({
+            lat: 40.7128,
+            lon: -74.0060,
+            dayOfYear: 180,
+            variable: 'temperature'
+          })
+          .expect(202);
+
+        expect(response.body).toMatchObject({ jobId: '665f1c2a9d3e4b0012345678', status: 'queued' });
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+
+    it('should validate async queries before queueing', async () => {
+      await request(app)
+        .post('/api/v1/weather/query?async=true')
+        .send({
+          lat: 40.7128,
+          lon: -74.0060,
+          dayOfYear: 180,
+          variable: 'temperature',
+          source: 'giovanni'
+        })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/v1/weather/query/multi', () => {
+    it('should return joint and conditional probabilities', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query/multi')
+        .send({
+          lat: 40.7128,
+          lon: -74.0060,
+          dayOfYear: 200,
+          conditions: [
+            { variable: 'temperature', operator: '>', threshold: 25 },
+            { variable: 'humidity', operator: '>', threshold: 70 }
+          ],
+          logic: 'AND'
+        })
+        .expect(200);
+
+      const { probabilities, variables } = response.body;
+      expect(variables.temperature.stats.mean).toBeDefined();
+      expect(variables.humidity.stats.mean).toBeDefined();
+      expect(probabilities.alignedDays).toBe(variables.temperature.stats.count);
+      expect(probabilities.joint.probability).toBeLessThanOrEqual(
+        Math.min(...probabilities.marginals.map(m => m.probability))
+      );
+      expect(probabilities.conditional).toHaveLength(2);
+      expect(response.body.summary).toMatch(/temperature > 25 AND humidity > 70/);
+    });
+
+    it('should accept an OR expression', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query/multi')
+        .send({
+          lat: 40.7128,
+          lon: -74.0060,
+          date: '2023-06-21',
+          expression: 'precipitation > 5 OR windspeed > 12'
+        })
+        .expect(200);
+
+      const { probabilities } = response.body;
+      expect(probabilities.logic).toBe('OR');
+      expect(probabilities.joint.probability).toBeGreaterThanOrEqual(
+        Math.max(...probabilities.marginals.map(m => m.probability))
+      );
+    });
+
+    it('should reject expressions mixing AND and OR', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query/multi')
+        .send({
+          lat: 40.7128,
+          lon: -74.0060,
+          dayOfYear: 200,
+          expression: 'temperature > 30 AND humidity > 60 OR windspeed > 10'
+        })
+        .expect(400);
+
+      expect(response.body.errors[0].field).toBe('expression');
+    });
+
+    it('should require at least two conditions', async () => {
+      await request(app)
+        .post('/api/v1/weather/query/multi')
+        .send({
+          lat: 40.7128,
+          lon: -74.0060,
+          dayOfYear: 200,
+          conditions: [{ variable: 'temperature', threshold: 30 }]
+        })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/v1/weather/query/area', () => {
+    it('should aggregate the grid cells of a bounding box', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query/area')
+        .send({
+          bbox: [-74.5, 40.4, -73.2, 41.1],
+          dayOfYear: 180,
+          variable: 'temperature',
+          threshold: 28
+        })
+        .expect(200);
+
+      expect(response.body.meta.cellCount).toBeGreaterThan(1);
+      expect(response.body.stats.exceedance).toBeDefined();
+      expect(response.body.anyCell.probability).toBeGreaterThanOrEqual(response.body.stats.exceedance.probability);
+      expect(response.body.grid.type).toBe('FeatureCollection');
+      expect(response.body.grid.features).toHaveLength(response.body.meta.cellCount);
+      expect(response.body.grid.features[0].properties.exceedanceProbability).toBeDefined();
+    });
+
+    it('should accept a GeoJSON polygon smaller than one cell', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query/area')
+        .send({
+          polygon: {
+            type: 'Polygon',
+            coordinates: [[[-74.01, 40.70], [-73.99, 40.70], [-73.99, 40.72], [-74.01, 40.70]]]
+          },
+          dayOfYear: 180,
+          variable: 'precipitation',
+          threshold: 5
+        })
+        .expect(200);
+
+      expect(response.body.meta.cellCount).toBe(1);
+    });
+
+    it('should reject a bbox and a polygon together', async () => {
+      const response = await request(app)
+        .post('/api/v1/weather/query/area')
+        .send({
+          bbox: [-74.5, 40.4, -73.2, 41.1],
+          polygon: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] },
+          dayOfYear: 180,
+          variable: 'temperature',
+          threshold: 28
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject areas with too many grid cells', async () => {
+      await request(app)
+        .post('/api/v1/weather/query/area')
+        .send({
+          bbox: [-80, 35, -72, 42],
+          dayOfYear: 180,
+          variable: 'temperature',
+          threshold: 28
+        })
+        .expect(400);
     });
   });
 
@@ -78,13 +470,35 @@ describe('Weather API Tests', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.variables).toBeInstanceOf(Array);
       expect(response.body.variables.length).toBeGreaterThan(0);
+
+      const heatIndex = response.body.variables.find(v => v.name === 'heatindex');
+      expect(heatIndex.derived).toBe(true);
+      expect(heatIndex.inputs).toEqual(['temperature', 'humidity']);
+      expect(heatIndex.formula).toBeDefined();
+    });
+  });
+
+  describe('GET /api/v1/weather/sources', () => {
+    it('should list registered data providers', async () => {
+      const response = await request(app)
+        .get('/api/v1/weather/sources')
+        .expect(200);
+
+      const ids = response.body.sources.map(s => s.id);
+      expect(ids).toEqual(expect.arrayContaining(['merra2', 'imerg', 'archive', 'mock']));
     });
   });
 
   describe('GET /api/v1/weather/cache-stats', () => {
-    it('should return cache statistics', async () => {
+    it('should return cache statistics to admins only', async () => {
+      await request(app).get('/api/v1/weather/cache-stats').expect(401);
+
+      const token = authService.signToken({ id: '665f1c2a9d3e4b0012345678', email: 'admin@example.com', role: 'admin' });
+      // No accounts database here: the account's current role
+      jest.spyOn(authService, 'currentRole').mockResolvedValueOnce('admin');
       const response = await request(app)
         .get('/api/v1/weather/cache-stats')
+        .set('Authorization', `Bearer ${token}`)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -0,0 +1,181 @@
+/**
+ * Calendar Utility
+ *
+ * UTC-only date arithmetic shared by the validator, the fetchers and the
+ * providers, so a day never shifts with the server's time zone or DST.
+ * Dates are 'YYYY-MM-DD' strings or Date objects at UTC midnight.
+ *
+ * Window alignment across years:
+ * - dayOfYear:    the same day number every year (day 185 is July 4, or July 3 in leap years);
+ *                 day 366 falls on December 31 in common years
+ * - calendarDate: the same month and day every year; February 29 falls on February 28
+ *                 in common years
+ */
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+// Days before each month in a common year
+const MONTH_OFFSETS = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
+
+class Calendar {
+  isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  }
+
+  daysInYear(year) {
+    return this.isLeapYear(year) ? 366 : 365;
+  }
+
+  /**
+   * Parse a 'YYYY-MM-DD' date
+   * @returns {Date|null} UTC midnight, or null if the string is not a real date (e.g. 2023-02-29)
+   */
+  parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+      ? date
+      : null;
+  }
+
+  toISODate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Day of year (1-366) of a date
+   * @param {Date|string} date
+   */
+  dayOfYear(date) {
+    const d = typeof date === 'string' ? this.parseDate(date) : date;
+    return Math.round((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / ONE_DAY) + 1;
+  }
+
+  /**
+   * Date of a day of year; day 366 of a common year is clamped to December 31
+   * @returns {Date} UTC midnight
+   */
+  fromDayOfYear(year, dayOfYear) {
+    return new Date(Date.UTC(year, 0, Math.min(dayOfYear, this.daysInYear(year))));
+  }
+
+  addDays(date, days) {
+    return new Date(date.getTime() + days * ONE_DAY);
+  }
+
+  /**
+   * Month and day ('MM-DD') of a day of year, counted in a common year
+   * Day 366 is December 31.
+   */
+  monthDayOf(dayOfYear) {
+    const day = Math.min(dayOfYear, 365);
+    let month = MONTH_OFFSETS.length - 1;
+    while (MONTH_OFFSETS[month] >= day) month--;
+    return `${String(month + 1).padStart(2, '0')}-${String(day - MONTH_OFFSETS[month]).padStart(2, '0')}`;
+  }
+
+  /**
+   * Normalized window anchor of a query
+   * @param {Object} params - {dayOfYear, date, alignment}
+   * @returns {Object} {alignment, dayOfYear, monthDay} (monthDay only for calendarDate)
+   */
+  anchor({ dayOfYear, date, alignment = 'dayOfYear' }) {
+    if (alignment !== 'calendarDate') {
+      return { alignment: 'dayOfYear', dayOfYear };
+    }
+    return { alignment, dayOfYear, monthDay: date ? date.slice(5) : this.monthDayOf(dayOfYear) };
+  }
+
+  /**
+   * Short form of the anchor for cache keys and hashes
+   */
+  anchorKey(params) {
+    const anchor = this.anchor(params);
+    return anchor.alignment === 'calendarDate' ? `cal:${anchor.monthDay}` : `doy:${anchor.dayOfYear}`;
+  }
+
+  /**
+   * Centre day of the window in one year
+   * @returns {Date} UTC midnight
+   */
+  anchorDate(year, anchor) {
+    if (anchor.alignment !== 'calendarDate') {
+      return this.fromDayOfYear(year, anchor.dayOfYear);
+    }
+
+    const [month, day] = anchor.monthDay.split('-').map(Number);
+    const clampedDay = month === 2 && day === 29 && !this.isLeapYear(year) ? 28 : day;
+    return new Date(Date.UTC(year, month - 1, clampedDay));
+  }
+
+  /**
+   * Days of a ±window around the anchor in every year of a range
+   * Windows may cross into the previous or next year.
+   * @param {Object} anchor - See anchor()
+   * @param {number} window - Days on each side
+   * @param {Object} yearRange - {start, end}
+   * @returns {Array} Array of {year, dayOfYear, date} (year and dayOfYear of the actual date)
+   */
+  windowDays(anchor, window, yearRange) {
+    const days = [];
+
+    for (let year = yearRange.start; year <= yearRange.end; year++) {
+      const centre = this.anchorDate(year, anchor);
+
+      for (let offset = -window; offset <= window; offset++) {
+        const date = this.addDays(centre, offset);
+        days.push({
+          year: date.getUTCFullYear(),
+          dayOfYear: this.dayOfYear(date),
+          date: this.toISODate(date)
+        });
+      }
+    }
+
+    return days;
+  }
+
+  /**
+   * The same contiguous span of days in every year of a range (multi-day events)
+   * The span starts on the anchor of its first day, so it keeps its length when
+   * that day moves (leap years) and may run into the next year.
+   * @param {Object} dateRange - {start, end} 'YYYY-MM-DD'
+   * @param {Object} yearRange - {start, end}
+   * @param {string} alignment - 'dayOfYear' or 'calendarDate'
+   * @returns {Array} Array of {year, days: [{year, dayOfYear, date}]}, `year` being the span's first day's
+   */
+  spans(dateRange, yearRange, alignment = 'dayOfYear') {
+    const length = this.spanLength(dateRange);
+    const anchor = this.anchor({ dayOfYear: this.dayOfYear(dateRange.start), date: dateRange.start, alignment });
+    const spans = [];
+
+    for (let year = yearRange.start; year <= yearRange.end; year++) {
+      const first = this.anchorDate(year, anchor);
+      const days = [];
+
+      for (let offset = 0; offset < length; offset++) {
+        const date = this.addDays(first, offset);
+        days.push({
+          year: date.getUTCFullYear(),
+          dayOfYear: this.dayOfYear(date),
+          date: this.toISODate(date)
+        });
+      }
+      spans.push({ year, days });
+    }
+
+    return spans;
+  }
+
+  /**
+   * Number of days from start to end, both included
+   */
+  spanLength(dateRange) {
+    return Math.round((this.parseDate(dateRange.end) - this.parseDate(dateRange.start)) / ONE_DAY) + 1;
+  }
+}
+
+module.exports = new Calendar();
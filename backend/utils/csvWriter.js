@@ -28,9 +28,10 @@ class CSVWriter {
    * @param {Array} timeseries - Array of data points
    * @param {Object} meta - Metadata about the query
    * @param {Object} stats - Statistical results
+   * @param {Object} analyses - Optional analyses ({extremes, span})
    * @returns {Promise<string>} Path to generated CSV file
    */
-  async generateCSV(timeseries, meta, stats) {
+  async generateCSV(timeseries, meta, stats, analyses = {}) {
     const timestamp = Date.now();
     const filename = `weather_data_${meta.variable}_${timestamp}.csv`;
     const filepath = path.join(this.outputDir, filename);
@@ -55,9 +56,17 @@ class CSVWriter {
       `# Location: ${meta.lat}, ${meta.lon}`,
       `# Variable: ${meta.variable}`,
       `# Units: ${meta.units}`,
-      `# Day of Year: ${meta.dayOfYear} ±${meta.window} days`,
+      meta.dateRange
+        ? `# Date Range: ${meta.dateRange.start} to ${meta.dateRange.end} (${meta.spanMode})`
+        : `# Day of Year: ${meta.dayOfYear} ±${meta.window} days`,
       `# Year Range: ${meta.yearRange.start}-${meta.yearRange.end}`,
       `# Data Source: ${meta.dataSource}`,
+      ...(meta.elevation ? [
+        meta.elevation.adjustment === null
+          ? `# Elevation Correction: none (point ${meta.elevation.pointElevation} m; ${meta.elevation.note})`
+          : `# Elevation Correction: ${meta.elevation.adjustment} ${meta.units} (point ${meta.elevation.pointElevation} m, ` +
+            `grid cell ${meta.elevation.cellElevation} m, ${meta.elevation.lapseRate} °C/km)`
+      ] : []),
       `# Generated: ${new Date().toISOString()}`,
       '\n# Statistics',
       `# Count: ${stats.count}`,
@@ -72,11 +81,66 @@ class CSVWriter {
       `# P90: ${stats.percentiles?.p90?.toFixed(2)}`,
     ];
 
+    if (stats.confidence && !stats.confidence.error) {
+      const level = `${Math.round(stats.confidence.level * 100)}% CI`;
+      metadataLines.push(
+        `# Confidence Method: ${stats.confidence.method}`,
+        `# Mean ${level}: ${stats.confidence.mean.lower.toFixed(2)} to ${stats.confidence.mean.upper.toFixed(2)}`,
+        `# P10 ${level}: ${stats.confidence.percentiles.p10.lower.toFixed(2)} to ${stats.confidence.percentiles.p10.upper.toFixed(2)}`,
+        `# P50 ${level}: ${stats.confidence.percentiles.p50.lower.toFixed(2)} to ${stats.confidence.percentiles.p50.upper.toFixed(2)}`,
+        `# P90 ${level}: ${stats.confidence.percentiles.p90.lower.toFixed(2)} to ${stats.confidence.percentiles.p90.upper.toFixed(2)}`
+      );
+    }
+
+    if (stats.effectiveSampleSize) {
+      metadataLines.push(`# Effective Sample Size: ${stats.effectiveSampleSize.value}`);
+    }
+
     if (stats.exceedance) {
       metadataLines.push(
         `# Threshold: ${stats.exceedance.threshold}`,
         `# Exceedance Probability: ${stats.exceedance.percentage}%`
       );
+
+      if (stats.exceedance.ci) {
+        metadataLines.push(
+          `# Exceedance Probability CI: ${(stats.exceedance.ci.lower * 100).toFixed(1)}% to ${(stats.exceedance.ci.upper * 100).toFixed(1)}% (${stats.exceedance.ci.method})`
+        );
+      }
+    }
+
+    const { extremes } = analyses;
+    if (extremes && !extremes.error) {
+      const fmt = v => (v === null || v === undefined ? 'n/a' : v.toFixed(2));
+      metadataLines.push(
+        '\n# Extreme Values',
+        `# Method: ${extremes.method}`,
+        `# Years (blocks): ${extremes.blockCount}`,
+        `# GEV Location: ${fmt(extremes.parameters.location)}`,
+        `# GEV Scale: ${fmt(extremes.parameters.scale)}`,
+        `# GEV Shape: ${fmt(extremes.parameters.shape)}`,
+        ...extremes.returnLevels.map(level =>
+          `# ${level.period}-year Return Level: ${fmt(level.value)} (${extremes.confidenceLevel * 100}% CI ${fmt(level.ci.lower)} to ${fmt(level.ci.upper)})`
+        )
+      );
+
+      if (extremes.threshold) {
+        metadataLines.push(
+          `# Threshold Return Period: ${extremes.threshold.returnPeriod === null ? 'beyond fitted upper bound' : `${fmt(extremes.threshold.returnPeriod)} years`}`
+        );
+      }
+    }
+
+    const { span } = analyses;
+    if (span && !span.error) {
+      metadataLines.push(
+        '\n# Span Outcomes',
+        `# Span Probability: ${span.percentage}% (${span.count} of ${span.years} years)`,
+        ...span.outcomes.map(o =>
+          `# ${o.year}: ${o.start} to ${o.end}, ${o.daysExceeding}/${o.daysWithData} days exceeding, ` +
+          `longest run ${o.longestRun}, ${o.occurred === null ? 'undecided' : o.occurred ? 'occurred' : 'did not occur'}`
+        )
+      );
     }
 
     fs.appendFileSync(filepath, metadataLines.join('\n'));
@@ -93,12 +157,14 @@ class CSVWriter {
   }
 
   /**
-   * Clean up old export files (older than 24 hours)
+   * Clean up old CSV exports
+   * @param {number} maxAge - Minimum age in milliseconds (default 24 hours)
+   * @returns {Object} {deleted, bytes, remaining}
    */
-  cleanupOldFiles() {
-    const files = fs.readdirSync(this.outputDir);
+  cleanupOldFiles(maxAge = 24 * 60 * 60 * 1000) {
+    const files = fs.readdirSync(this.outputDir).filter(file => file.endsWith('.csv'));
     const now = Date.now();
-    const maxAge = 24 * 60 * 60 * 1000; // 24 hours
+    const result = { deleted: 0, bytes: 0, remaining: 0 };
 
     files.forEach(file => {
       const filepath = path.join(this.outputDir, file);
@@ -107,9 +173,15 @@ class CSVWriter {
 
       if (age > maxAge) {
         fs.unlinkSync(filepath);
+        result.deleted++;
+        result.bytes += stats.size;
         console.log(`🧹 Deleted old export: ${file}`);
+      } else {
+        result.remaining++;
       }
     });
+
+    return result;
   }
 }
 
@@ -0,0 +1,227 @@
+/**
+ * Geometry Utility
+ *
+ * Bounding boxes, GeoJSON polygons and grid-cell enumeration for area queries.
+ * Coordinates follow GeoJSON order: [lon, lat].
+ */
+
+// Mean Earth radius
+const EARTH_RADIUS_KM = 6371.0088;
+
+class Geo {
+  /**
+   * Convert a bbox [minLon, minLat, maxLon, maxLat] to a GeoJSON Polygon
+   */
+  bboxToPolygon([minLon, minLat, maxLon, maxLat]) {
+    return {
+      type: 'Polygon',
+      coordinates: [[
+        [minLon, minLat],
+        [maxLon, minLat],
+        [maxLon, maxLat],
+        [minLon, maxLat],
+        [minLon, minLat]
+      ]]
+    };
+  }
+
+  /**
+   * Bounds of a polygon's outer ring
+   * @returns {Array} [minLon, minLat, maxLon, maxLat]
+   */
+  polygonBounds(polygon) {
+    const ring = polygon.coordinates[0];
+    const lons = ring.map(p => p[0]);
+    const lats = ring.map(p => p[1]);
+    return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+  }
+
+  /**
+   * Even-odd ray casting test against one linear ring
+   */
+  pointInRing(lon, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Whether a point lies inside a polygon (outer ring minus holes)
+   */
+  pointInPolygon(lon, lat, polygon) {
+    const [outer, ...holes] = polygon.coordinates;
+    return this.pointInRing(lon, lat, outer) && !holes.some(hole => this.pointInRing(lon, lat, hole));
+  }
+
+  /**
+   * Vertex centroid of the outer ring (closing vertex excluded)
+   */
+  polygonCentroid(polygon) {
+    const ring = polygon.coordinates[0].slice(0, -1);
+    return {
+      lon: ring.reduce((sum, p) => sum + p[0], 0) / ring.length,
+      lat: ring.reduce((sum, p) => sum + p[1], 0) / ring.length
+    };
+  }
+
+  /**
+   * Grid cells whose centre lies inside a polygon
+   * Areas smaller than one cell fall back to the cell nearest their centroid.
+   * @param {Object} polygon - GeoJSON Polygon
+   * @param {Object} grid - {latStart, latStep, lonStart, lonStep} (cell centres)
+   * @param {number} maxCells - Limit on the number of cells
+   * @returns {Array} Array of {lat, lon} cell centres
+   * @throws 400 if the area covers more than maxCells cells
+   */
+  gridCellsInPolygon(polygon, grid, maxCells = Infinity) {
+    const [minLon, minLat, maxLon, maxLat] = this.polygonBounds(polygon);
+    const round = v => parseFloat(v.toFixed(4));
+
+    const latFrom = Math.ceil((minLat - grid.latStart) / grid.latStep);
+    const latTo = Math.floor((maxLat - grid.latStart) / grid.latStep);
+    const lonFrom = Math.ceil((minLon - grid.lonStart) / grid.lonStep);
+    const lonTo = Math.floor((maxLon - grid.lonStart) / grid.lonStep);
+
+    const cells = [];
+    for (let i = latFrom; i <= latTo; i++) {
+      for (let j = lonFrom; j <= lonTo; j++) {
+        const lat = round(grid.latStart + i * grid.latStep);
+        const lon = round(grid.lonStart + j * grid.lonStep);
+        if (!this.pointInPolygon(lon, lat, polygon)) continue;
+
+        cells.push({ lat, lon });
+        if (cells.length > maxCells) {
+          const error = new Error(`Area covers more than ${maxCells} grid cells; use a smaller area`);
+          error.statusCode = 400;
+          throw error;
+        }
+      }
+    }
+
+    if (cells.length === 0) {
+      const centroid = this.polygonCentroid(polygon);
+      cells.push(this.snapToGrid(grid, centroid.lat, centroid.lon));
+    }
+
+    return cells;
+  }
+
+  /**
+   * Centre of the grid cell containing a point
+   * Latitude is clamped to the poles, longitude wraps around the dateline.
+   * @param {Object} grid - {latStart, latStep, lonStart, lonStep}
+   * @returns {Object} {lat, lon}
+   */
+  snapToGrid(grid, lat, lon) {
+    const round = v => parseFloat(v.toFixed(4));
+    const maxLatIndex = Math.floor((90 - grid.latStart) / grid.latStep + 1e-9);
+    const latIndex = Math.min(maxLatIndex, Math.max(0, Math.round((lat - grid.latStart) / grid.latStep)));
+
+    let snappedLon = grid.lonStart + Math.round((lon - grid.lonStart) / grid.lonStep) * grid.lonStep;
+    if (snappedLon >= 180) snappedLon -= 360;
+    if (snappedLon < -180) snappedLon += 360;
+
+    return {
+      lat: round(grid.latStart + latIndex * grid.latStep),
+      lon: round(snappedLon)
+    };
+  }
+
+  /**
+   * Centre of grid cell (latIndex, lonIndex), longitude wrapped to [-180, 180)
+   */
+  cellAt(grid, latIndex, lonIndex) {
+    const round = v => parseFloat(v.toFixed(4));
+    let lon = grid.lonStart + lonIndex * grid.lonStep;
+    if (lon >= 180) lon -= 360;
+    if (lon < -180) lon += 360;
+    return { lat: round(grid.latStart + latIndex * grid.latStep), lon: round(lon) };
+  }
+
+  /**
+   * Great-circle distance between two points (haversine)
+   * @returns {number} Kilometres
+   */
+  distanceKm(lat1, lon1, lat2, lon2) {
+    const rad = deg => (deg * Math.PI) / 180;
+    const dLat = rad(lat2 - lat1);
+    const dLon = rad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * The 4 grid cells around a point with their interpolation weights
+   * bilinear: weights from the point's fractional position between the cell centres
+   * idw: inverse squared great-circle distance (a point on a centre takes all the weight)
+   * Cells repeated at the poles are merged.
+   * @param {Object} grid - {latStart, latStep, lonStart, lonStep}
+   * @param {string} method - 'bilinear' or 'idw'
+   * @returns {Array} Array of {lat, lon, weight, distanceKm}, weights summing to 1
+   */
+  surroundingCells(grid, lat, lon, method) {
+    const maxLatIndex = Math.floor((90 - grid.latStart) / grid.latStep + 1e-9);
+    const latPosition = Math.min(maxLatIndex, Math.max(0, (lat - grid.latStart) / grid.latStep));
+    const lat0 = Math.min(maxLatIndex - 1, Math.floor(latPosition));
+    const ty = Math.min(1, latPosition - lat0);
+
+    const lonPosition = (lon - grid.lonStart) / grid.lonStep;
+    const lon0 = Math.floor(lonPosition);
+    const tx = lonPosition - lon0;
+
+    const corners = [
+      { ...this.cellAt(grid, lat0, lon0), bilinear: (1 - ty) * (1 - tx) },
+      { ...this.cellAt(grid, lat0, lon0 + 1), bilinear: (1 - ty) * tx },
+      { ...this.cellAt(grid, lat0 + 1, lon0), bilinear: ty * (1 - tx) },
+      { ...this.cellAt(grid, lat0 + 1, lon0 + 1), bilinear: ty * tx }
+    ].map(cell => ({ ...cell, distanceKm: this.distanceKm(lat, lon, cell.lat, cell.lon) }));
+
+    const onCentre = corners.find(cell => cell.distanceKm < 1e-6);
+    const weightOf = cell => {
+      if (method === 'bilinear') return cell.bilinear;
+      if (onCentre) return cell === onCentre ? 1 : 0;
+      return 1 / (cell.distanceKm * cell.distanceKm);
+    };
+
+    const merged = new Map();
+    corners.forEach(cell => {
+      const key = `${cell.lat},${cell.lon}`;
+      const existing = merged.get(key);
+      if (existing) {
+        existing.weight += weightOf(cell);
+      } else {
+        merged.set(key, { lat: cell.lat, lon: cell.lon, weight: weightOf(cell), distanceKm: cell.distanceKm });
+      }
+    });
+
+    const cells = Array.from(merged.values());
+    const total = cells.reduce((sum, cell) => sum + cell.weight, 0);
+    cells.forEach(cell => {
+      cell.weight /= total;
+    });
+    return cells;
+  }
+
+  /**
+   * GeoJSON Polygon covering one grid cell
+   */
+  cellPolygon({ lat, lon }, grid) {
+    const round = v => parseFloat(v.toFixed(4));
+    const halfLat = grid.latStep / 2;
+    const halfLon = grid.lonStep / 2;
+    return this.bboxToPolygon([
+      round(lon - halfLon),
+      round(Math.max(-90, lat - halfLat)),
+      round(lon + halfLon),
+      round(Math.min(90, lat + halfLat))
+    ]);
+  }
+}
+
+module.exports = new Geo();
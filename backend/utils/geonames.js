@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * GeoNames Dump Parsing
+ *
+ * Reads the tab-separated GeoNames files used by the gazetteer
+ * (https://download.geonames.org/export/dump/readme.txt) into place records
+ * shared by services/gazetteer.js and scripts/loadGazetteer.js.
+ * Lines starting with '#' are comments.
+ */
+
+// Columns of the cities / allCountries files
+const CITY_COLUMNS = {
+  geonameId: 0,
+  name: 1,
+  asciiName: 2,
+  alternateNames: 3,
+  lat: 4,
+  lon: 5,
+  featureCode: 7,
+  countryCode: 8,
+  admin1Code: 10,
+  population: 14,
+  elevation: 15,
+  dem: 16,
+  timezone: 17
+};
+
+const rows = (text) => text
+  .split(/\r?\n/)
+  .filter(line => line.trim() && !line.startsWith('#'))
+  .map(line => line.split('\t'));
+
+/**
+ * Lowercase, without accents and punctuation - the form names are matched in
+ */
+const normalize = (value) => String(value)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * admin1CodesASCII.txt: "US.CO<TAB>Colorado<TAB>Colorado<TAB>5417618"
+ * @returns {Map} "US.CO" -> "Colorado"
+ */
+const parseAdmin1 = (text) => new Map(rows(text).map(([code, name]) => [code, name]));
+
+/**
+ * countryInfo.txt: ISO code in the first column, name in the fifth
+ * @returns {Map} "US" -> "United States"
+ */
+const parseCountries = (text) => new Map(rows(text).map(columns => [columns[0], columns[4]]));
+
+/**
+ * Parse a cities file into place records, with admin1 and country names
+ * filled in from the lookup tables
+ * @returns {Array} Places (see models/Place.js)
+ */
+const parseCities = (text, admin1 = new Map(), countries = new Map()) => rows(text).map(columns => {
+  const column = name => columns[CITY_COLUMNS[name]] || '';
+  const name = column('name');
+  const asciiName = column('asciiName') || name;
+  const alternateNames = column('alternateNames').split(',').filter(Boolean);
+  const countryCode = column('countryCode');
+  const admin1Code = column('admin1Code');
+  const admin1Name = admin1.get(`${countryCode}.${admin1Code}`) || '';
+  const countryName = countries.get(countryCode) || countryCode;
+  const elevation = parseInt(column('elevation')) || parseInt(column('dem'));
+
+  return {
+    geonameId: parseInt(column('geonameId')),
+    name,
+    asciiName,
+    countryCode,
+    countryName,
+    admin1Code,
+    admin1Name,
+    lat: parseFloat(column('lat')),
+    lon: parseFloat(column('lon')),
+    featureCode: column('featureCode'),
+    population: parseInt(column('population')) || 0,
+    // DEM values of -9999 mark missing heights
+    elevation: Number.isFinite(elevation) && elevation > -9999 ? elevation : null,
+    timezone: column('timezone') || null,
+    searchNames: [...new Set([name, asciiName, ...alternateNames].map(normalize).filter(Boolean))],
+    qualifiers: [...new Set([admin1Code, admin1Name, countryCode, countryName].map(normalize).filter(Boolean))]
+  };
+}).filter(place => Number.isInteger(place.geonameId) && Number.isFinite(place.lat) && Number.isFinite(place.lon));
+
+/**
+ * Read the gazetteer files of a directory (see config/gazetteer.js)
+ * @returns {Array} Places
+ */
+const readGazetteer = (directory, files) => {
+  const read = file => fs.readFileSync(path.join(directory, file), 'utf8');
+  const optional = file => (fs.existsSync(path.join(directory, file)) ? read(file) : '');
+
+  return parseCities(read(files.cities), parseAdmin1(optional(files.admin1)), parseCountries(optional(files.countries)));
+};
+
+module.exports = {
+  normalize,
+  parseAdmin1,
+  parseCountries,
+  parseCities,
+  readGazetteer
+};
@@ -0,0 +1,110 @@
+/**
+ * Seeded Random Number Generator
+ *
+ * Small deterministic PRNG (mulberry32) with the distributions used by the
+ * mock generator and the bootstrap routines. The same seed always yields the
+ * same sequence, so results are reproducible across runs and processes.
+ */
+
+class SeededRandom {
+  /**
+   * @param {number|string} seed - Numeric seed or any string key
+   */
+  constructor(seed) {
+    this.state = typeof seed === 'number' ? seed >>> 0 : SeededRandom.hash(String(seed));
+    this.spareNormal = null;
+  }
+
+  /**
+   * Hash a string into a 32-bit unsigned integer (FNV-1a)
+   */
+  static hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  /**
+   * Create a generator from several key parts, e.g. fromKey(lat, lon, year)
+   */
+  static fromKey(...parts) {
+    return new SeededRandom(parts.join(':'));
+  }
+
+  /**
+   * Uniform value in [0, 1)
+   */
+  next() {
+    let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Uniform value in [min, max)
+   */
+  uniform(min = 0, max = 1) {
+    return min + (max - min) * this.next();
+  }
+
+  /**
+   * Uniform integer in [0, n)
+   */
+  int(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /**
+   * Normally distributed value (Box-Muller)
+   */
+  normal(mean = 0, std = 1) {
+    if (this.spareNormal !== null) {
+      const z = this.spareNormal;
+      this.spareNormal = null;
+      return mean + std * z;
+    }
+
+    let u = 0;
+    while (u === 0) u = this.next();
+    const v = this.next();
+    const r = Math.sqrt(-2 * Math.log(u));
+
+    this.spareNormal = r * Math.sin(2 * Math.PI * v);
+    return mean + std * r * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Gamma distributed value (Marsaglia-Tsang)
+   * @param {number} shape - Shape parameter k
+   * @param {number} scale - Scale parameter theta
+   */
+  gamma(shape, scale = 1) {
+    if (shape < 1) {
+      // Boost shape and correct with a uniform power
+      return this.gamma(shape + 1, scale) * Math.pow(this.next(), 1 / shape);
+    }
+
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+
+    for (;;) {
+      let x;
+      let v;
+      do {
+        x = this.normal();
+        v = 1 + c * x;
+      } while (v <= 0);
+
+      v = v * v * v;
+      const u = this.next();
+      if (u < 1 - 0.0331 * x * x * x * x) return d * v * scale;
+      if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v * scale;
+    }
+  }
+}
+
+module.exports = SeededRandom;